@@ -5,25 +5,53 @@
 const express = require("express");
 const cors = require("cors");
 
+const { getTrustProxy } = require("./config");
 const { NotFoundError } = require("./expressError");
+const { fromDbError } = require("./helpers/dbErrors");
+const { toProblem, toLegacyError } = require("./helpers/problem");
 
+const { requestId } = require("./middleware/requestId");
+const { trackRequests } = require("./middleware/metrics");
 const { authenticateJWT } = require("./middleware/auth");
+const { rateLimit } = require("./middleware/rateLimit");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
+const healthRoutes = require("./routes/health");
+const jobsRoutes = require("./routes/jobs");
+const metricsRoutes = require("./routes/metrics");
+const openapiRoutes = require("./routes/openapi");
+const searchRoutes = require("./routes/search");
 const usersRoutes = require("./routes/users");
 
 const morgan = require("morgan");
 
 const app = express();
 
-app.use(cors());
+// so req.ip is the client's, not a proxy's, for per-IP limits
+app.set("trust proxy", getTrustProxy());
+
+app.use(requestId);
+app.use(trackRequests);
+app.use(cors({ exposedHeaders: ["X-Request-Id"] }));
 app.use(express.json());
 app.use(morgan("tiny"));
+// before logins and rate limits, which health checks and metrics don't need
+app.use(healthRoutes);
+app.use(metricsRoutes);
 app.use(authenticateJWT);
+app.use(rateLimit({ name: "all", limit: 300, windowSeconds: 60 }));
 
-app.use("/auth", authRoutes);
+// logging in is limited by IP, on top of the per-user login throttle
+app.use("/auth",
+    rateLimit({ name: "auth", limit: 20, windowSeconds: 60, keyBy: "ip" }),
+    authRoutes);
 app.use("/companies", companiesRoutes);
+app.use("/jobs", jobsRoutes);
+app.use("/search",
+    rateLimit({ name: "search", limit: 30, windowSeconds: 60 }),
+    searchRoutes);
 app.use("/users", usersRoutes);
+app.use(openapiRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -31,15 +59,30 @@ app.use(function (req, res, next) {
   return next(new NotFoundError());
 });
 
-/** Generic error handler; anything unhandled goes here. */
+/** Turn database constraint violations (and values too big for their
+ * columns) into 400/409 errors.
+ */
+app.use(function (err, req, res, next) {
+  return next(fromDbError(err));
+});
+
+/** Generic error handler; anything unhandled goes here.
+ *
+ * Responds with problem details (application/problem+json; see
+ * helpers/problem.js), or with the old { error: { message, status } } if the
+ * request has the header X-Error-Format: legacy.
+ */
 app.use(function (err, req, res, next) {
-  if (process.env.NODE_ENV !== "test") console.error(err.stack);
+  if (process.env.NODE_ENV !== "test") console.error(`[${req.id}]`, err.stack);
   const status = err.status || 500;
-  const message = err.message;
+  if (err.retryAfter !== undefined) res.set("Retry-After", String(err.retryAfter));
 
-  return res.status(status).json({
-    error: { message, status },
-  });
+  if (req.get("X-Error-Format") === "legacy") {
+    return res.status(status).json(toLegacyError(err));
+  }
+  return res.status(status)
+      .type("application/problem+json")
+      .json(toProblem(err, req));
 });
 
 module.exports = app;
@@ -9,6 +9,37 @@ test("not found for site 404", async function () {
   expect(resp.statusCode).toEqual(404);
 });
 
+test("errors are problem details", async function () {
+  const resp = await request(app).get("/no-such-path");
+  expect(resp.headers["content-type"]).toMatch(/^application\/problem\+json/);
+  expect(resp.body).toEqual({
+    type: "http://localhost:3001/problems/not-found",
+    title: "Not Found",
+    status: 404,
+    detail: "Not Found",
+    instance: "/no-such-path",
+    requestId: resp.headers["x-request-id"],
+  });
+});
+
+test("errors in the old shape on request", async function () {
+  const resp = await request(app)
+      .get("/no-such-path")
+      .set("X-Error-Format", "legacy");
+  expect(resp.headers["content-type"]).toMatch(/^application\/json/);
+  expect(resp.body).toEqual({
+    error: { message: "Not Found", status: 404 },
+  });
+});
+
+test("uses the request's own request id", async function () {
+  const resp = await request(app)
+      .get("/no-such-path")
+      .set("X-Request-Id", "abc-123");
+  expect(resp.headers["x-request-id"]).toEqual("abc-123");
+  expect(resp.body.requestId).toEqual("abc-123");
+});
+
 test("not found for site 404 (test stack print)", async function () {
   process.env.NODE_ENV = "";
   const resp = await request(app).get("/no-such-path");
@@ -16,11 +16,63 @@ function getDatabaseUri() {
       : process.env.DATABASE_URL || "jobly";
 }
 
+// Most database connections open at once (see db.js)
+const DB_POOL_SIZE = +process.env.DB_POOL_SIZE || 10;
+
+// How long to let in-flight requests finish when shutting down (see server.js)
+const SHUTDOWN_TIMEOUT_SECONDS = +process.env.SHUTDOWN_TIMEOUT_SECONDS || 10;
+
 // Speed up bcrypt during tests, since the algorithm safety isn't being tested
 //
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
+// Access tokens are short-lived; clients get new ones with a refresh token
+// (see models/refreshToken.js), which lasts much longer.
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRES_DAYS = +process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30;
+
+// Password reset tokens are emailed, so they only last a short time.
+const PASSWORD_RESET_EXPIRES_MINUTES =
+    +process.env.PASSWORD_RESET_EXPIRES_MINUTES || 60;
+const EMAIL_VERIFICATION_EXPIRES_HOURS =
+    +process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || 48;
+
+// Failed logins: after this many in a row, a username (or, with a higher
+// limit since many users can share one, a client IP) is locked out for a
+// while. See models/loginThrottle.js.
+const LOGIN_MAX_FAILURES = +process.env.LOGIN_MAX_FAILURES || 5;
+const LOGIN_MAX_FAILURES_PER_IP = +process.env.LOGIN_MAX_FAILURES_PER_IP || 20;
+const LOGIN_LOCKOUT_MINUTES = +process.env.LOGIN_LOCKOUT_MINUTES || 15;
+
+// If set, admins must log in with two-factor authentication to act as admins
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === "true";
+
+// Where rate limit counts are kept: "memory" (per process) or "postgres"
+// (shared by every process using the database). See middleware/rateLimit.js.
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+
+// Proxies (like a load balancer) in front of this server, whose
+// X-Forwarded-For header gives the client's IP: Express's "trust proxy"
+// setting, as "true" (any), a number of hops (like 1, for one load balancer)
+// or addresses and subnets ("loopback, 10.0.0.0/8"). Unset, the client's IP
+// is whatever connected; behind a proxy, that's the proxy, and the per-IP
+// login lockout and rate limits would count every client as one.
+function getTrustProxy() {
+  const value = process.env.TRUST_PROXY;
+  if (value === undefined || value === "" || value === "false") return false;
+  if (value === "true") return true;
+  if (/^\d+$/.test(value)) return +value;
+  return value;
+}
+
+// Where this API can be reached, for links in emails
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
+
+// If set, users must verify their email address before applying for jobs
+const REQUIRE_VERIFIED_EMAIL_TO_APPLY =
+    process.env.REQUIRE_VERIFIED_EMAIL_TO_APPLY === "true";
+
 console.log("Jobly Config:".green);
 console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
@@ -32,5 +84,19 @@ module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_DAYS,
+  PASSWORD_RESET_EXPIRES_MINUTES,
+  EMAIL_VERIFICATION_EXPIRES_HOURS,
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_MINUTES,
+  REQUIRE_ADMIN_2FA,
+  RATE_LIMIT_STORE,
+  PUBLIC_URL,
+  REQUIRE_VERIFIED_EMAIL_TO_APPLY,
   getDatabaseUri,
+  getTrustProxy,
+  DB_POOL_SIZE,
+  SHUTDOWN_TIMEOUT_SECONDS,
 };
@@ -25,3 +25,24 @@ describe("config can come from env", function () {
   });
 })
 
+describe("getTrustProxy", function () {
+  afterEach(function () {
+    delete process.env.TRUST_PROXY;
+  });
+
+  test("works", function () {
+    const { getTrustProxy } = require("./config");
+    expect(getTrustProxy()).toEqual(false);
+
+    for (const [value, expected] of [
+      ["false", false],
+      ["true", true],
+      ["1", 1],
+      ["loopback, 10.0.0.0/8", "loopback, 10.0.0.0/8"],
+    ]) {
+      process.env.TRUST_PROXY = value;
+      expect(getTrustProxy()).toEqual(expected);
+    }
+  });
+});
+
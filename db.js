@@ -1,23 +1,141 @@
 "use strict";
 /** Database setup for jobly. */
-const { Client } = require("pg");
-const { getDatabaseUri } = require("./config");
+const { AsyncLocalStorage } = require("async_hooks");
+const { Pool } = require("pg");
+const { getDatabaseUri, DB_POOL_SIZE } = require("./config");
+const { histogram, gauge } = require("./helpers/metrics");
 
-let db;
+let pool;
 
 if (process.env.NODE_ENV === "production") {
-  db = new Client({
+  pool = new Pool({
     connectionString: getDatabaseUri(),
+    max: DB_POOL_SIZE,
     ssl: {
       rejectUnauthorized: false
     }
   });
 } else {
-  db = new Client({
-    connectionString: getDatabaseUri()
+  pool = new Pool({
+    connectionString: getDatabaseUri(),
+    max: DB_POOL_SIZE,
   });
 }
 
-db.connect();
+// a connection that drops while idle in the pool is just replaced, rather
+// than crashing the process
+pool.on("error", function (err) {
+  console.error("Idle database connection failed:", err.message);
+});
+
+const queryDuration = histogram(
+    "jobly_db_query_duration_seconds",
+    "How long database queries took");
+
+gauge("jobly_db_pool_connections",
+    "Database connections open in the pool, by whether they're in use",
+    () => [
+      { labels: { state: "idle" }, value: pool.idleCount },
+      { labels: { state: "in_use" }, value: pool.totalCount - pool.idleCount },
+    ]);
+
+gauge("jobly_db_pool_waiting",
+    "Queries waiting for a database connection, since all are in use",
+    () => [{ value: pool.waitingCount }]);
+
+/** The transaction (if any) the current code is running in, as
+ * { client, depth }; see withTransaction.
+ */
+const transactions = new AsyncLocalStorage();
+
+/** For tests: the connection every query uses, in a transaction that's
+ * rolled back after each test; see beginTestTransaction.
+ */
+let testClient = null;
+
+/** Run a query: in the current transaction if there is one, else on any
+ * connection from the pool.
+ */
+
+function query(text, params) {
+  const tx = transactions.getStore();
+  const client = tx ? tx.client : testClient || pool;
+  const done = queryDuration.startTimer();
+  return client.query(text, params).finally(() => done());
+}
+
+/** Run async fn(client) in a transaction, committing if it succeeds and
+ * rolling back if it throws; returns what fn returns.
+ *
+ * Queries made with db.query inside fn (including in functions it calls)
+ * use the transaction. Called inside another transaction, it uses a
+ * savepoint, so an error undoes only what fn did.
+ */
+
+async function withTransaction(fn) {
+  const outer = transactions.getStore();
+
+  // already in a transaction (a test's counts as one)
+  if (outer || testClient) {
+    const client = outer ? outer.client : testClient;
+    const depth = outer ? outer.depth + 1 : 1;
+    const savepoint = `sp_${depth}`;
+    await client.query(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await transactions.run({ client, depth }, () => fn(client));
+      await client.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (err) {
+      await client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw err;
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await transactions.run({ client, depth: 0 }, () => fn(client));
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/** For tests: send every query to one connection, in a transaction, until
+ * rollbackTestTransaction undoes it.
+ */
+
+async function beginTestTransaction() {
+  testClient = await pool.connect();
+  await testClient.query("BEGIN");
+}
+
+async function rollbackTestTransaction() {
+  try {
+    await testClient.query("ROLLBACK");
+  } finally {
+    testClient.release();
+    testClient = null;
+  }
+}
+
+/** Close every connection in the pool. */
+
+function end() {
+  return pool.end();
+}
+
+const db = {
+  pool,
+  query,
+  withTransaction,
+  beginTestTransaction,
+  rollbackTestTransaction,
+  end,
+};
 
-module.exports = db;
\ No newline at end of file
+module.exports = db;
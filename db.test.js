@@ -0,0 +1,104 @@
+"use strict";
+
+const db = require("./db");
+
+const to = "db-test@email.com";
+
+/** Return subjects of mail in the outbox to `to`, read on a connection of
+ * its own (so outside any transaction).
+ */
+
+async function committedSubjects() {
+  const result = await db.pool.query(
+      `SELECT subject FROM mail_outbox WHERE recipient = $1 ORDER BY id`, [to]);
+  return result.rows.map(r => r.subject);
+}
+
+function addMail(subject) {
+  return db.query(
+      `INSERT INTO mail_outbox (recipient, subject, body) VALUES ($1, $2, '')`,
+      [to, subject]);
+}
+
+afterEach(async function () {
+  await db.query(`DELETE FROM mail_outbox WHERE recipient = $1`, [to]);
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+describe("withTransaction", function () {
+  test("works: commits", async function () {
+    const result = await db.withTransaction(async () => {
+      await addMail("a");
+      expect(await committedSubjects()).toEqual([]);
+      return "done";
+    });
+
+    expect(result).toEqual("done");
+    expect(await committedSubjects()).toEqual(["a"]);
+  });
+
+  test("rolls back if fn throws", async function () {
+    await expect(db.withTransaction(async () => {
+      await addMail("a");
+      throw new Error("oops");
+    })).rejects.toThrow("oops");
+
+    expect(await committedSubjects()).toEqual([]);
+  });
+
+  test("queries inside see the transaction's writes", async function () {
+    await db.withTransaction(async (client) => {
+      await addMail("a");
+      const viaDb = await db.query(
+          `SELECT subject FROM mail_outbox WHERE recipient = $1`, [to]);
+      const viaClient = await client.query(
+          `SELECT subject FROM mail_outbox WHERE recipient = $1`, [to]);
+      expect(viaDb.rows).toEqual([{ subject: "a" }]);
+      expect(viaClient.rows).toEqual([{ subject: "a" }]);
+    });
+  });
+
+  test("nested: error undoes only the inner transaction", async function () {
+    await db.withTransaction(async () => {
+      await addMail("outer");
+      await expect(db.withTransaction(async () => {
+        await addMail("inner");
+        throw new Error("oops");
+      })).rejects.toThrow("oops");
+      await db.withTransaction(async () => {
+        await addMail("inner again");
+      });
+    });
+
+    expect(await committedSubjects()).toEqual(["outer", "inner again"]);
+  });
+
+  test("nested: outer error undoes inner too", async function () {
+    await expect(db.withTransaction(async () => {
+      await db.withTransaction(() => addMail("inner"));
+      throw new Error("oops");
+    })).rejects.toThrow("oops");
+
+    expect(await committedSubjects()).toEqual([]);
+  });
+});
+
+describe("test transactions", function () {
+  test("undo everything, even committed transactions", async function () {
+    await db.beginTestTransaction();
+    try {
+      await addMail("a");
+      await db.withTransaction(() => addMail("b"));
+      const result = await db.query(
+          `SELECT subject FROM mail_outbox WHERE recipient = $1`, [to]);
+      expect(result.rows.length).toEqual(2);
+    } finally {
+      await db.rollbackTestTransaction();
+    }
+
+    expect(await committedSubjects()).toEqual([]);
+  });
+});
@@ -28,26 +28,70 @@ class UnauthorizedError extends ExpressError {
   }
 }
 
-/** 400 BAD REQUEST error. */
+/** 400 BAD REQUEST error.
+ *
+ * errors, if given, says what's wrong with the request, as
+ * [{ field, rule, expected, message }, ...] (see helpers/validation.js).
+ */
 
 class BadRequestError extends ExpressError {
-  constructor(message = "Bad Request") {
+  constructor(message = "Bad Request", errors) {
     super(message, 400);
+    this.errors = errors;
   }
 }
 
-/** 403 BAD REQUEST error. */
+/** 403 FORBIDDEN error. */
 
 class ForbiddenError extends ExpressError {
-  constructor(message = "Bad Request") {
+  constructor(message = "Forbidden") {
     super(message, 403);
   }
 }
 
+/** 409 CONFLICT error: the request clashes with existing data (say, a
+ * duplicate name). errors is as for BadRequestError.
+ */
+
+class ConflictError extends ExpressError {
+  constructor(message = "Conflict", errors) {
+    super(message, 409);
+    this.errors = errors;
+  }
+}
+
+/** 422 UNPROCESSABLE ENTITY error: the request is well-formed, but can't
+ * be done (say, a change that isn't allowed in the data's current state).
+ * errors is as for BadRequestError.
+ */
+
+class UnprocessableEntityError extends ExpressError {
+  constructor(message = "Unprocessable Entity", errors) {
+    super(message, 422);
+    this.errors = errors;
+  }
+}
+
+/** 429 TOO MANY REQUESTS error.
+ *
+ * retryAfter is how many seconds until the client may try again; it's sent
+ * as the Retry-After header.
+ */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  ConflictError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
 };
\ No newline at end of file
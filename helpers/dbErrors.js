@@ -0,0 +1,135 @@
+"use strict";
+
+/** Turning Postgres constraint violations (and values that don't fit their
+ * columns) into client errors, with errors shaped like validation errors
+ * (see helpers/validation.js).
+ */
+
+const { BadRequestError, ConflictError } = require("../expressError");
+
+/** Postgres error codes (SQLSTATE) for constraint violations, and for data
+ * too large for its column.
+ */
+const STRING_DATA_RIGHT_TRUNCATION = "22001";
+const NUMERIC_VALUE_OUT_OF_RANGE = "22003";
+const NOT_NULL_VIOLATION = "23502";
+const FOREIGN_KEY_VIOLATION = "23503";
+const UNIQUE_VIOLATION = "23505";
+const CHECK_VIOLATION = "23514";
+
+/** Turn a column name like "company_handle" into its field name in the API,
+ * like "companyHandle".
+ */
+
+function fieldName(column) {
+  return column.replace(/_([a-z])/g, (m, letter) => letter.toUpperCase());
+}
+
+/** Pull the field and value out of a violation's detail, like
+ * 'Key (handle)=(c1) already exists.' (for keys of several columns, these
+ * are comma-separated).
+ *
+ * Returns { field, value }, falling back to the constraint's name if there's
+ * no detail.
+ */
+
+function keyOf(err) {
+  const match = (err.detail || "").match(/^Key \((.+?)\)=\((.*)\)/);
+  if (!match) return { field: err.constraint, value: "" };
+  return {
+    field: match[1].split(", ").map(fieldName).join(","),
+    value: match[2],
+  };
+}
+
+/** Return the ConflictError for a duplicate value of field (for a key of
+ * several fields, comma-separated: "username,jobId"), whether found by a
+ * model checking first or by a unique constraint.
+ */
+
+function duplicateError(field, value) {
+  return new ConflictError(`Duplicate ${field}: ${value}`, [{
+    field,
+    rule: "unique",
+    message: `${field} ${value} already exists`,
+  }]);
+}
+
+/** Turn err, if it's a constraint violation, into:
+ *
+ * - unique: ConflictError
+ * - foreign key: BadRequestError if the row refers to one that doesn't
+ *   exist, ConflictError if other rows still refer to it
+ * - check or not null: BadRequestError
+ * - string too long or number out of range: BadRequestError (Postgres
+ *   doesn't say which field, so field is "", as for the data as a whole)
+ *
+ * Anything else is returned as is.
+ */
+
+function fromDbError(err) {
+  switch (err.code) {
+    case UNIQUE_VIOLATION: {
+      const { field, value } = keyOf(err);
+      return duplicateError(field, value);
+    }
+
+    case FOREIGN_KEY_VIOLATION: {
+      const { field, value } = keyOf(err);
+      if (/still referenced/.test(err.detail)) {
+        return new ConflictError(`Still in use: ${value}`, [{
+          field,
+          rule: "foreignKey",
+          message: `${field} ${value} is still referenced`,
+        }]);
+      }
+      return new BadRequestError(`No such ${field}: ${value}`, [{
+        field,
+        rule: "foreignKey",
+        message: `${field} ${value} does not exist`,
+      }]);
+    }
+
+    case CHECK_VIOLATION: {
+      // Postgres names column checks "<table>_<column>_check"
+      const field = fieldName(err.constraint
+          .replace(`${err.table}_`, "")
+          .replace(/_check$/, ""));
+      return new BadRequestError(`Invalid ${field}`, [{
+        field,
+        rule: "check",
+        expected: err.constraint,
+        message: `${field} is not allowed`,
+      }]);
+    }
+
+    case NOT_NULL_VIOLATION: {
+      const field = fieldName(err.column);
+      return new BadRequestError(`Missing ${field}`, [{
+        field,
+        rule: "required",
+        message: `${field} is required`,
+      }]);
+    }
+
+    case STRING_DATA_RIGHT_TRUNCATION:
+      return new BadRequestError("Value too long", [{
+        field: "",
+        rule: "maxLength",
+        message: err.message,
+      }]);
+
+    case NUMERIC_VALUE_OUT_OF_RANGE:
+      return new BadRequestError("Number out of range", [{
+        field: "",
+        rule: "range",
+        message: err.message,
+      }]);
+
+    default:
+      return err;
+  }
+}
+
+
+module.exports = { fromDbError, duplicateError };
@@ -0,0 +1,116 @@
+"use strict";
+
+const { fromDbError } = require("./dbErrors");
+const { BadRequestError, ConflictError } = require("../expressError");
+
+describe("fromDbError", function () {
+  test("unique", function () {
+    const err = fromDbError({
+      code: "23505",
+      table: "companies",
+      constraint: "companies_name_key",
+      detail: "Key (name)=(C1) already exists.",
+    });
+    expect(err instanceof ConflictError).toBeTruthy();
+    expect(err.message).toEqual("Duplicate name: C1");
+    expect(err.errors).toEqual([{
+      field: "name",
+      rule: "unique",
+      message: "name C1 already exists",
+    }]);
+  });
+
+  test("unique on several columns", function () {
+    const err = fromDbError({
+      code: "23505",
+      table: "applications",
+      constraint: "applications_pkey",
+      detail: "Key (username, job_id)=(u1, 1) already exists.",
+    });
+    expect(err.errors[0].field).toEqual("username,jobId");
+  });
+
+  test("foreign key: no such row", function () {
+    const err = fromDbError({
+      code: "23503",
+      table: "jobs",
+      constraint: "jobs_company_handle_fkey",
+      detail: 'Key (company_handle)=(nope) is not present in table "companies".',
+    });
+    expect(err instanceof BadRequestError).toBeTruthy();
+    expect(err.errors).toEqual([{
+      field: "companyHandle",
+      rule: "foreignKey",
+      message: "companyHandle nope does not exist",
+    }]);
+  });
+
+  test("foreign key: still referenced", function () {
+    const err = fromDbError({
+      code: "23503",
+      table: "users",
+      constraint: "api_keys_username_fkey",
+      detail: 'Key (username)=(u1) is still referenced from table "api_keys".',
+    });
+    expect(err instanceof ConflictError).toBeTruthy();
+    expect(err.errors[0].message).toEqual("username u1 is still referenced");
+  });
+
+  test("check", function () {
+    const err = fromDbError({
+      code: "23514",
+      table: "jobs",
+      constraint: "jobs_salary_check",
+      detail: "Failing row contains (1, j1, -1, null, c1).",
+    });
+    expect(err instanceof BadRequestError).toBeTruthy();
+    expect(err.errors).toEqual([{
+      field: "salary",
+      rule: "check",
+      expected: "jobs_salary_check",
+      message: "salary is not allowed",
+    }]);
+  });
+
+  test("not null", function () {
+    const err = fromDbError({
+      code: "23502",
+      table: "jobs",
+      column: "company_handle",
+    });
+    expect(err instanceof BadRequestError).toBeTruthy();
+    expect(err.errors).toEqual([{
+      field: "companyHandle",
+      rule: "required",
+      message: "companyHandle is required",
+    }]);
+  });
+
+  test("string too long", function () {
+    const err = fromDbError({
+      code: "22001",
+      message: "value too long for type character varying(25)",
+    });
+    expect(err instanceof BadRequestError).toBeTruthy();
+    expect(err.errors).toEqual([{
+      field: "",
+      rule: "maxLength",
+      message: "value too long for type character varying(25)",
+    }]);
+  });
+
+  test("number out of range", function () {
+    const err = fromDbError({
+      code: "22003",
+      message: 'value "3000000000" is out of range for type integer',
+    });
+    expect(err instanceof BadRequestError).toBeTruthy();
+    expect(err.message).toEqual("Number out of range");
+    expect(err.errors[0].rule).toEqual("range");
+  });
+
+  test("anything else is unchanged", function () {
+    const orig = new Error("boom");
+    expect(fromDbError(orig)).toBe(orig);
+  });
+});
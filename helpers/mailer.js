@@ -0,0 +1,33 @@
+"use strict";
+
+const MailOutbox = require("../models/mailOutbox");
+
+/** Sending email.
+ *
+ * A mailer is any object with an async send({ to, subject, text }) method.
+ * The default writes messages to the mail outbox table instead of sending
+ * them, so dev and tests need no mail server; to really send email, plug in
+ * another mailer (e.g. an SMTP client) with setMailer at startup.
+ */
+
+const outboxMailer = {
+  async send(message) {
+    await MailOutbox.add(message);
+  },
+};
+
+let mailer = outboxMailer;
+
+/** Send message { to, subject, text } with the current mailer. */
+
+async function sendMail(message) {
+  await mailer.send(message);
+}
+
+/** Use newMailer to send email; with no argument, go back to the outbox. */
+
+function setMailer(newMailer = outboxMailer) {
+  mailer = newMailer;
+}
+
+module.exports = { sendMail, setMailer, outboxMailer };
@@ -0,0 +1,40 @@
+"use strict";
+
+const { sendMail, setMailer } = require("./mailer");
+const MailOutbox = require("../models/mailOutbox");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const message = { to: "u1@email.com", subject: "Hi", text: "Hello" };
+
+describe("sendMail", function () {
+  test("works: default writes to outbox", async function () {
+    await sendMail(message);
+    const mail = await MailOutbox.findAll();
+    expect(mail).toEqual([
+      { id: expect.any(Number), createdAt: expect.any(Date), ...message },
+    ]);
+  });
+
+  test("works: with another mailer", async function () {
+    const sent = [];
+    setMailer({ async send(m) { sent.push(m); } });
+    try {
+      await sendMail(message);
+    } finally {
+      setMailer();
+    }
+
+    expect(sent).toEqual([message]);
+    expect(await MailOutbox.findAll()).toEqual([]);
+  });
+});
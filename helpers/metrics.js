@@ -0,0 +1,212 @@
+"use strict";
+
+/** Metrics for monitoring, in the Prometheus text format (see GET /metrics
+ * in routes/metrics.js).
+ *
+ * Each module registers the metrics it records when it's loaded, like:
+ *
+ *   const logins = counter("jobly_logins_total", "Logins", ["result"]);
+ *   logins.inc({ result: "succeeded" });
+ */
+
+/** Upper bounds of histogram buckets, in seconds. */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/** Every registered metric, by name, in the order registered. */
+const registry = new Map();
+
+/** Add a metric to the registry; throws an error if its name is taken. */
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric already registered: ${metric.name}`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/** Return just labelNames of labels, in that order, as strings. */
+
+function pick(labelNames, labels) {
+  const picked = {};
+  for (const name of labelNames) picked[name] = String(labels[name] ?? "");
+  return picked;
+}
+
+/** Return the key for a metric's values with these labels. */
+
+function keyOf(labelNames, labels) {
+  return JSON.stringify(Object.values(pick(labelNames, labels)));
+}
+
+/** Return labels formatted for a sample, like '{method="GET",status="200"}'
+ * (or "" if there are none).
+ */
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, "\\\"")
+        .replace(/\n/g, "\\n");
+    return `${name}="${escaped}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/** Return a number formatted for a sample. */
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+/** Return the HELP and TYPE lines for metric. */
+
+function header({ name, help, type }) {
+  const escaped = help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+  return [`# HELP ${name} ${escaped}`, `# TYPE ${name} ${type}`];
+}
+
+/** Register a counter: a count that only goes up.
+ *
+ * Returns { inc(labels, by = 1) }, where labels has a value for each of
+ * labelNames.
+ */
+
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+
+  return register({
+    name,
+    help,
+    type: "counter",
+
+    inc(labels = {}, by = 1) {
+      const key = keyOf(labelNames, labels);
+      const sample = values.get(key)
+          || { labels: pick(labelNames, labels), value: 0 };
+      sample.value += by;
+      values.set(key, sample);
+    },
+
+    samples() {
+      return [...values.values()].map(({ labels, value }) => ({ name, labels, value }));
+    },
+
+    reset() {
+      values.clear();
+    },
+  });
+}
+
+/** Register a histogram: counts of observations (like request durations)
+ * in buckets no larger than each of buckets, with their sum.
+ *
+ * Returns { observe(labels, value), startTimer() }, where startTimer returns
+ * a function that observes the seconds since, given labels.
+ */
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const values = new Map();
+
+  return register({
+    name,
+    help,
+    type: "histogram",
+
+    observe(labels, value) {
+      const key = keyOf(labelNames, labels);
+      const sample = values.get(key) || {
+        labels: pick(labelNames, labels),
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) sample.counts[i]++;
+      });
+      sample.sum += value;
+      sample.count++;
+      values.set(key, sample);
+    },
+
+    startTimer() {
+      const started = process.hrtime.bigint();
+      return (labels = {}) => {
+        this.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+      };
+    },
+
+    samples() {
+      const samples = [];
+      for (const { labels, counts, sum, count } of values.values()) {
+        buckets.forEach((bound, i) => {
+          samples.push({
+            name: `${name}_bucket`,
+            labels: { ...labels, le: formatValue(bound) },
+            value: counts[i],
+          });
+        });
+        samples.push({ name: `${name}_bucket`, labels: { ...labels, le: "+Inf" }, value: count });
+        samples.push({ name: `${name}_sum`, labels, value: sum });
+        samples.push({ name: `${name}_count`, labels, value: count });
+      }
+      return samples;
+    },
+
+    reset() {
+      values.clear();
+    },
+  });
+}
+
+/** Register a gauge: a value that goes up and down, read when the metrics
+ * are (like how many connections are open).
+ *
+ * collect() returns its current values, as [{ labels, value }, ...].
+ */
+
+function gauge(name, help, collect) {
+  return register({
+    name,
+    help,
+    type: "gauge",
+
+    samples() {
+      return collect().map(({ labels = {}, value }) => ({ name, labels, value }));
+    },
+
+    reset() {},
+  });
+}
+
+/** Return every registered metric in the Prometheus text format. */
+
+function render() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(...header(metric));
+    for (const { name, labels, value } of metric.samples()) {
+      lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/** Forget every recorded value (metrics stay registered): for tests. */
+
+function resetMetrics() {
+  for (const metric of registry.values()) metric.reset();
+}
+
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  counter,
+  histogram,
+  gauge,
+  render,
+  resetMetrics,
+};
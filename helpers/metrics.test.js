@@ -0,0 +1,78 @@
+"use strict";
+
+const {
+  counter,
+  histogram,
+  gauge,
+  render,
+  resetMetrics,
+} = require("./metrics");
+
+const hits = counter("test_hits_total", "Hits", ["page"]);
+const waits = histogram("test_wait_seconds", "Waits", [], [0.1, 1]);
+let level = 3;
+gauge("test_level", "Level", () => [{ labels: { tank: "a" }, value: level }]);
+
+afterEach(resetMetrics);
+
+describe("counter", function () {
+  test("works", function () {
+    hits.inc({ page: "home" });
+    hits.inc({ page: "home" }, 2);
+    hits.inc({ page: "about" });
+    expect(render()).toContain([
+      "# HELP test_hits_total Hits",
+      "# TYPE test_hits_total counter",
+      'test_hits_total{page="home"} 3',
+      'test_hits_total{page="about"} 1',
+    ].join("\n"));
+  });
+
+  test("escapes label values", function () {
+    hits.inc({ page: 'say "hi"\\\n' });
+    expect(render()).toContain('test_hits_total{page="say \\"hi\\"\\\\\\n"} 1');
+  });
+
+  test("can't register a name twice", function () {
+    expect(() => counter("test_hits_total", "Again")).toThrow(/already registered/);
+  });
+});
+
+describe("histogram", function () {
+  test("works", function () {
+    waits.observe({}, 0.05);
+    waits.observe({}, 0.5);
+    waits.observe({}, 5);
+    expect(render()).toContain([
+      "# TYPE test_wait_seconds histogram",
+      'test_wait_seconds_bucket{le="0.1"} 1',
+      'test_wait_seconds_bucket{le="1"} 2',
+      'test_wait_seconds_bucket{le="+Inf"} 3',
+      "test_wait_seconds_sum 5.55",
+      "test_wait_seconds_count 3",
+    ].join("\n"));
+  });
+
+  test("works: timer", function () {
+    const done = waits.startTimer();
+    done();
+    expect(render()).toContain('test_wait_seconds_bucket{le="0.1"} 1');
+  });
+});
+
+describe("gauge", function () {
+  test("reads its value when rendered", function () {
+    expect(render()).toContain('test_level{tank="a"} 3');
+    level = 5;
+    expect(render()).toContain('test_level{tank="a"} 5');
+  });
+});
+
+describe("resetMetrics", function () {
+  test("works", function () {
+    hits.inc({ page: "home" });
+    resetMetrics();
+    expect(render()).not.toContain("test_hits_total{");
+    expect(render()).toContain("# TYPE test_hits_total counter");
+  });
+});
@@ -0,0 +1,247 @@
+"use strict";
+
+/** Versioned database migrations.
+ *
+ * Each migration is a pair of files in migrations/: NNNN_name.up.sql, to
+ * apply it, and NNNN_name.down.sql, to undo it. They're applied in order of
+ * version (NNNN), each in its own transaction, and recorded in the
+ * schema_migrations table.
+ *
+ * The functions here that change the database take client: a single
+ * connection (from db.pool.connect()), not the pool, since the transactions
+ * and the migration lock belong to the connection they're made on.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+/** Key for the advisory lock held while migrating, so two processes can't
+ * migrate the same database at once.
+ */
+const LOCK_KEY = 7301;
+
+/** Return the migrations in dir, oldest first:
+ *
+ *   [{ version, name, up, down }, ...]
+ *
+ * where up and down are paths to their SQL files.
+ *
+ * Throws an error if a migration is missing either file, or two have the same
+ * version.
+ */
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+    const [, version, name, direction] = match;
+
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Two migrations with version ${version}`);
+    }
+    migration[direction] = path.join(dir, file);
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()]
+      .sort((a, b) => a.version.localeCompare(b.version));
+  for (const m of migrations) {
+    if (!m.up || !m.down) {
+      throw new Error(`Migration ${m.version}_${m.name} needs .up.sql and .down.sql`);
+    }
+  }
+  return migrations;
+}
+
+/** Make the table of applied migrations, if there isn't one. */
+
+async function ensureTable(client, table) {
+  await client.query(
+      `CREATE TABLE IF NOT EXISTS ${table} (
+         version TEXT PRIMARY KEY,
+         name TEXT NOT NULL,
+         applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+       )`);
+}
+
+/** Return applied migrations' versions, with when they were applied, as a
+ * Map of version => Date.
+ */
+
+async function appliedVersions(client, table) {
+  const result = await client.query(
+      `SELECT version, applied_at AS "appliedAt" FROM ${table}`);
+  return new Map(result.rows.map(r => [r.version, r.appliedAt]));
+}
+
+/** Run file's SQL and then record (to apply it) or unrecord migration, in a
+ * transaction.
+ */
+
+async function run(client, table, migration, direction) {
+  const sql = fs.readFileSync(migration[direction], "utf8");
+  try {
+    await client.query("BEGIN");
+    await client.query(sql);
+    if (direction === "up") {
+      await client.query(
+          `INSERT INTO ${table} (version, name) VALUES ($1, $2)`,
+          [migration.version, migration.name]);
+    } else {
+      await client.query(
+          `DELETE FROM ${table} WHERE version = $1`, [migration.version]);
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    err.message = `Migration ${migration.version}_${migration.name} ` +
+        `(${direction}) failed: ${err.message}`;
+    throw err;
+  }
+}
+
+/** Run fn while holding the migration lock, with the migrations table
+ * ready.
+ */
+
+async function withLock(client, table, fn) {
+  await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+  try {
+    await ensureTable(client, table);
+    return await fn();
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]);
+  }
+}
+
+/** Apply migrations not yet applied, oldest first.
+ *
+ * Options:
+ * - dir: where migrations are (default: migrations/)
+ * - table: where applied migrations are recorded (default: schema_migrations)
+ *
+ * Returns [{ version, name }, ...] of those applied.
+ */
+
+async function migrateUp(client, { dir, table = "schema_migrations" } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(client, table, async () => {
+    const applied = await appliedVersions(client, table);
+    const done = [];
+    for (const m of migrations) {
+      if (applied.has(m.version)) continue;
+      await run(client, table, m, "up");
+      done.push({ version: m.version, name: m.name });
+    }
+    return done;
+  });
+}
+
+/** Undo the latest steps (default 1) applied migrations, newest first.
+ *
+ * Options are as for migrateUp.
+ *
+ * Returns [{ version, name }, ...] of those undone.
+ *
+ * Throws an error if an applied migration's files are missing.
+ */
+
+async function migrateDown(client, { steps = 1, dir, table = "schema_migrations" } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(client, table, async () => {
+    const applied = await appliedVersions(client, table);
+    const toUndo = [...applied.keys()].sort().reverse().slice(0, steps);
+    const done = [];
+    for (const version of toUndo) {
+      const m = migrations.find(m => m.version === version);
+      if (!m) throw new Error(`No files for applied migration ${version}`);
+      await run(client, table, m, "down");
+      done.push({ version: m.version, name: m.name });
+    }
+    return done;
+  });
+}
+
+/** Return every migration, oldest first, and whether it's applied:
+ *
+ *   [{ version, name, appliedAt }, ...]
+ *
+ * where appliedAt is null for migrations not yet applied.
+ *
+ * Options are as for migrateUp.
+ */
+
+async function migrationStatus(client, { dir, table = "schema_migrations" } = {}) {
+  const migrations = loadMigrations(dir);
+  await ensureTable(client, table);
+  const applied = await appliedVersions(client, table);
+
+  return migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    appliedAt: applied.get(m.version) || null,
+  }));
+}
+
+/** Return { version, pending }: the version of the latest migration applied
+ * (null if none), and how many migrations aren't applied yet.
+ *
+ * Only reads the database: it's fine for the migrations table not to exist.
+ * Options are as for migrateUp.
+ */
+
+async function migrationVersion(client, { dir, table = "schema_migrations" } = {}) {
+  const migrations = loadMigrations(dir);
+  const exists = await client.query(`SELECT to_regclass($1) AS t`, [table]);
+  const applied = exists.rows[0].t === null
+      ? new Map()
+      : await appliedVersions(client, table);
+
+  const versions = [...applied.keys()].sort();
+  return {
+    version: versions.length > 0 ? versions[versions.length - 1] : null,
+    pending: migrations.filter(m => !applied.has(m.version)).length,
+  };
+}
+
+/** Make empty files for a new migration called name (like "add_job_tags"),
+ * numbered after the latest in dir.
+ *
+ * Returns { up, down }: paths to the new files.
+ */
+
+function createMigration(name, dir = MIGRATIONS_DIR) {
+  if (!/^\w+$/.test(name)) {
+    throw new Error("Migration names may only have letters, digits and _");
+  }
+
+  const migrations = loadMigrations(dir);
+  const last = migrations.length > 0
+      ? +migrations[migrations.length - 1].version
+      : 0;
+  const base = `${String(last + 1).padStart(4, "0")}_${name}`;
+
+  const up = path.join(dir, `${base}.up.sql`);
+  const down = path.join(dir, `${base}.down.sql`);
+  fs.writeFileSync(up, `-- ${base}: apply\n\n`);
+  fs.writeFileSync(down, `-- ${base}: undo what ${base}.up.sql does\n\n`);
+  return { up, down };
+}
+
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  migrationVersion,
+  createMigration,
+};
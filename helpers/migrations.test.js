@@ -0,0 +1,224 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const db = require("../db");
+const {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  migrationVersion,
+  createMigration,
+} = require("./migrations");
+
+const table = "test_schema_migrations";
+let dir;
+let client;
+
+/** Write a migration to dir that makes (and drops) table tableName. */
+
+function writeMigration(version, name, tableName) {
+  fs.writeFileSync(path.join(dir, `${version}_${name}.up.sql`),
+      `CREATE TABLE ${tableName} (id INTEGER);`);
+  fs.writeFileSync(path.join(dir, `${version}_${name}.down.sql`),
+      `DROP TABLE ${tableName};`);
+}
+
+async function tableExists(name) {
+  const result = await db.query(`SELECT to_regclass($1) AS t`, [name]);
+  return result.rows[0].t !== null;
+}
+
+beforeEach(async function () {
+  client = await db.pool.connect();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-migrations-"));
+  writeMigration("0001", "first", "migration_test_a");
+  writeMigration("0002", "second", "migration_test_b");
+});
+
+afterEach(async function () {
+  client.release();
+  fs.rmSync(dir, { recursive: true });
+  await db.query(`DROP TABLE IF EXISTS migration_test_a, migration_test_b, ${table}`);
+});
+
+afterAll(async function () {
+  await db.end();
+});
+
+/************************************** loadMigrations */
+
+describe("loadMigrations", function () {
+  test("works", function () {
+    expect(loadMigrations(dir)).toEqual([
+      {
+        version: "0001",
+        name: "first",
+        up: path.join(dir, "0001_first.up.sql"),
+        down: path.join(dir, "0001_first.down.sql"),
+      },
+      {
+        version: "0002",
+        name: "second",
+        up: path.join(dir, "0002_second.up.sql"),
+        down: path.join(dir, "0002_second.down.sql"),
+      },
+    ]);
+  });
+
+  test("fails: missing down", function () {
+    fs.unlinkSync(path.join(dir, "0002_second.down.sql"));
+    expect(() => loadMigrations(dir))
+        .toThrow("Migration 0002_second needs .up.sql and .down.sql");
+  });
+
+  test("fails: repeated version", function () {
+    writeMigration("0002", "other", "migration_test_c");
+    expect(() => loadMigrations(dir)).toThrow("Two migrations with version 0002");
+  });
+
+  test("the app's migrations are all there", function () {
+    expect(loadMigrations()[0]).toEqual(expect.objectContaining({
+      version: "0001",
+      name: "initial",
+    }));
+  });
+});
+
+/************************************** migrateUp */
+
+describe("migrateUp", function () {
+  test("works", async function () {
+    const done = await migrateUp(client, { dir, table });
+    expect(done).toEqual([
+      { version: "0001", name: "first" },
+      { version: "0002", name: "second" },
+    ]);
+    expect(await tableExists("migration_test_a")).toBeTruthy();
+    expect(await tableExists("migration_test_b")).toBeTruthy();
+  });
+
+  test("releases the migration lock", async function () {
+    await migrateUp(client, { dir, table });
+    const other = await db.pool.connect();
+    try {
+      const result = await other.query("SELECT pg_try_advisory_lock(7301) AS locked");
+      expect(result.rows[0].locked).toBe(true);
+      await other.query("SELECT pg_advisory_unlock(7301)");
+    } finally {
+      other.release();
+    }
+  });
+
+  test("only applies pending migrations", async function () {
+    await migrateUp(client, { dir, table });
+    writeMigration("0003", "third", "migration_test_c");
+    try {
+      expect(await migrateUp(client, { dir, table }))
+          .toEqual([{ version: "0003", name: "third" }]);
+    } finally {
+      await db.query(`DROP TABLE IF EXISTS migration_test_c`);
+    }
+  });
+
+  test("failed migration is rolled back", async function () {
+    fs.writeFileSync(path.join(dir, "0002_second.up.sql"),
+        `CREATE TABLE migration_test_b (id INTEGER); SELECT nope;`);
+
+    await expect(migrateUp(client, { dir, table }))
+        .rejects.toThrow("Migration 0002_second (up) failed");
+    expect(await tableExists("migration_test_a")).toBeTruthy();
+    expect(await tableExists("migration_test_b")).toBeFalsy();
+
+    const status = await migrationStatus(client, { dir, table });
+    expect(status.map(m => m.appliedAt !== null)).toEqual([true, false]);
+  });
+});
+
+/************************************** migrateDown */
+
+describe("migrateDown", function () {
+  test("works: latest", async function () {
+    await migrateUp(client, { dir, table });
+    expect(await migrateDown(client, { dir, table }))
+        .toEqual([{ version: "0002", name: "second" }]);
+    expect(await tableExists("migration_test_a")).toBeTruthy();
+    expect(await tableExists("migration_test_b")).toBeFalsy();
+  });
+
+  test("works: steps", async function () {
+    await migrateUp(client, { dir, table });
+    expect(await migrateDown(client, { steps: 5, dir, table })).toEqual([
+      { version: "0002", name: "second" },
+      { version: "0001", name: "first" },
+    ]);
+    expect(await tableExists("migration_test_a")).toBeFalsy();
+  });
+
+  test("nothing applied", async function () {
+    expect(await migrateDown(client, { dir, table })).toEqual([]);
+  });
+});
+
+/************************************** migrationStatus */
+
+describe("migrationStatus", function () {
+  test("works", async function () {
+    await migrateUp(client, { dir, table });
+    writeMigration("0003", "third", "migration_test_c");
+
+    expect(await migrationStatus(client, { dir, table })).toEqual([
+      { version: "0001", name: "first", appliedAt: expect.any(Date) },
+      { version: "0002", name: "second", appliedAt: expect.any(Date) },
+      { version: "0003", name: "third", appliedAt: null },
+    ]);
+  });
+});
+
+/************************************** migrationVersion */
+
+describe("migrationVersion", function () {
+  test("works", async function () {
+    await migrateUp(client, { dir, table });
+    writeMigration("0003", "third", "migration_test_c");
+
+    expect(await migrationVersion(client, { dir, table }))
+        .toEqual({ version: "0002", pending: 1 });
+  });
+
+  test("works: no migrations table", async function () {
+    expect(await migrationVersion(client, { dir, table }))
+        .toEqual({ version: null, pending: 2 });
+    expect(await tableExists(table)).toBeFalsy();
+  });
+});
+
+/************************************** createMigration */
+
+describe("createMigration", function () {
+  test("works", function () {
+    const { up, down } = createMigration("add_tags", dir);
+    expect(up).toEqual(path.join(dir, "0003_add_tags.up.sql"));
+    expect(down).toEqual(path.join(dir, "0003_add_tags.down.sql"));
+    expect(loadMigrations(dir).map(m => m.name))
+        .toEqual(["first", "second", "add_tags"]);
+  });
+
+  test("works: first migration", function () {
+    const empty = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-migrations-"));
+    try {
+      expect(createMigration("initial", empty).up)
+          .toEqual(path.join(empty, "0001_initial.up.sql"));
+    } finally {
+      fs.rmSync(empty, { recursive: true });
+    }
+  });
+
+  test("fails: bad name", function () {
+    expect(() => createMigration("add tags", dir))
+        .toThrow("Migration names may only have letters, digits and _");
+  });
+});
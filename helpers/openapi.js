@@ -0,0 +1,191 @@
+"use strict";
+
+/** Building an OpenAPI 3.1 document for the API from the JSON schemas in
+ * schemas/ and a list of operations (see routes/openapi.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const config = require("../config");
+const { version } = require("../package.json");
+
+const SCHEMAS_DIR = path.join(__dirname, "..", "schemas");
+
+/** Return every schema in schemas/, keyed by file name (like "companyNew"),
+ * ready to use as OpenAPI components: without $schema and $id, since
+ * OpenAPI 3.1 uses JSON Schema 2020-12 and refers to them by name.
+ */
+
+function loadSchemas() {
+  const schemas = {};
+  for (const file of fs.readdirSync(SCHEMAS_DIR).sort()) {
+    if (!file.endsWith(".json")) continue;
+    const schema = { ...require(path.join(SCHEMAS_DIR, file)) };
+    delete schema.$schema;
+    delete schema.$id;
+    schemas[path.basename(file, ".json")] = schema;
+  }
+  return schemas;
+}
+
+/** Turn an Express path like "/users/:username/jobs/:id(\\d+)" into an
+ * OpenAPI one like "/users/{username}/jobs/{id}".
+ *
+ * Returns { path, params: [{ name, numeric }, ...] }
+ */
+
+function toOpenApiPath(expressPath) {
+  const params = [];
+  const converted = expressPath.replace(
+      /:(\w+)(\([^)]*\))?/g,
+      (match, name, pattern) => {
+        params.push({ name, numeric: pattern === "(\\d+)" });
+        return `{${name}}`;
+      });
+  return { path: converted.replace(/(.)\/$/, "$1"), params };
+}
+
+/** Return query parameters for the properties of each of schemas. */
+
+function queryParameters(schemas) {
+  const params = [];
+  for (const schema of schemas) {
+    const required = schema.required || [];
+    for (const [name, prop] of Object.entries(schema.properties)) {
+      if (params.some(p => p.name === name)) continue;
+      params.push({
+        name,
+        in: "query",
+        required: required.includes(name),
+        schema: prop,
+      });
+    }
+  }
+  return params;
+}
+
+/** Return the OpenAPI operation object for op (see routes/openapi.js). */
+
+function operationFor(op, params, schemas) {
+  const operation = {
+    summary: op.summary,
+    description: `Authorization required: ${op.auth}`,
+    // grouped by where their router is mounted, like "companies"
+    tags: [op.path.split("/")[1]],
+  };
+
+  const parameters = params.map(p => ({
+    name: p.name,
+    in: "path",
+    required: true,
+    schema: { type: p.numeric ? "integer" : "string" },
+  }));
+  const query = [op.query, op.paged && "pagination"].filter(Boolean);
+  parameters.push(...queryParameters(query.map(name => schemas[name])));
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (op.body) {
+    const refs = [].concat(op.body)
+        .map(name => ({ $ref: `#/components/schemas/${name}` }));
+    operation.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: refs.length === 1 ? refs[0] : { oneOf: refs },
+        },
+      },
+    };
+  }
+
+  operation.security = op.auth === "none"
+      ? []
+      : [{ bearerAuth: [] }, { apiKey: [] }];
+
+  operation.responses = {
+    [op.status || 200]: { description: op.returns },
+    default: {
+      description: "Error",
+      content: {
+        "application/problem+json": {
+          schema: { $ref: "#/components/schemas/Problem" },
+        },
+      },
+    },
+  };
+
+  return operation;
+}
+
+/** Return the OpenAPI document for operations, a list of
+ *
+ *   { method, path, summary, auth, returns, status, body, query, paged }
+ *
+ * where path is the Express path (including where its router is mounted),
+ * auth describes who may call it ("none" if anyone), returns describes a
+ * successful response (with status, default 200), body and query name the
+ * schemas in schemas/ for the request body (or a list of schemas, if it
+ * may be any of them) and query string, and paged is true for lists taking
+ * the params in schemas/pagination.json.
+ */
+
+function buildSpec(operations) {
+  const schemas = loadSchemas();
+  const paths = {};
+
+  for (const op of operations) {
+    const { path: openApiPath, params } = toOpenApiPath(op.path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][op.method] = operationFor(op, params, schemas);
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Jobly",
+      version,
+      description: "Companies, the jobs they post, and the users applying.",
+    },
+    servers: [{ url: config.PUBLIC_URL }],
+    paths,
+    components: {
+      schemas: {
+        ...schemas,
+        Problem: {
+          type: "object",
+          description: "Problem details (RFC 7807); see helpers/problem.js",
+          properties: {
+            type: { type: "string", format: "uri" },
+            title: { type: "string" },
+            status: { type: "integer" },
+            detail: { type: "string" },
+            instance: { type: "string" },
+            requestId: { type: "string" },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  field: { type: "string" },
+                  rule: { type: "string" },
+                  expected: {},
+                  message: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+      },
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+      },
+    },
+  };
+}
+
+
+module.exports = {
+  toOpenApiPath,
+  buildSpec,
+};
@@ -0,0 +1,56 @@
+"use strict";
+
+const { toOpenApiPath, buildSpec } = require("./openapi");
+
+describe("toOpenApiPath", function () {
+  test("works", function () {
+    expect(toOpenApiPath("/users/:username/jobs/:id(\\d+)")).toEqual({
+      path: "/users/{username}/jobs/{id}",
+      params: [
+        { name: "username", numeric: false },
+        { name: "id", numeric: true },
+      ],
+    });
+  });
+
+  test("works: no params", function () {
+    expect(toOpenApiPath("/companies/")).toEqual({ path: "/companies", params: [] });
+  });
+});
+
+describe("buildSpec", function () {
+  test("works: query params and alternative bodies", function () {
+    const spec = buildSpec([
+      {
+        method: "get", path: "/jobs", summary: "List jobs",
+        query: "jobSearch", paged: true, auth: "none", returns: "{ jobs }",
+      },
+      {
+        method: "post", path: "/auth/token", summary: "Log in",
+        body: ["userAuth", "tokenChallenge"], auth: "none", returns: "{ token }",
+      },
+    ]);
+
+    const list = spec.paths["/jobs"].get;
+    expect(list.security).toEqual([]);
+    expect(list.parameters.map(p => p.name)).toEqual(
+        ["title", "minSalary", "hasEquity", "limit", "offset", "after", "before", "sort"]);
+
+    expect(spec.paths["/auth/token"].post.requestBody.content["application/json"])
+        .toEqual({
+          schema: {
+            oneOf: [
+              { $ref: "#/components/schemas/userAuth" },
+              { $ref: "#/components/schemas/tokenChallenge" },
+            ],
+          },
+        });
+  });
+
+  test("schemas lose $schema and $id", function () {
+    const { jobNew } = buildSpec([]).components.schemas;
+    expect(jobNew.$schema).toBeUndefined();
+    expect(jobNew.$id).toBeUndefined();
+    expect(jobNew.type).toEqual("object");
+  });
+});
@@ -0,0 +1,280 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { assertValid, MAX_INTEGER } = require("./validation");
+const paginationSchema = require("../schemas/pagination.json");
+
+const DEFAULT_LIMIT = 20;
+
+const PAGE_PARAMS = ["limit", "offset", "after", "before", "sort"];
+
+/** Split list query params into pagination params and everything else.
+ *
+ * Query string values arrive as strings; limit and offset are converted to
+ * integers and validated against schemas/pagination.json.
+ *
+ * Returns { page, rest }
+ *   where page is { limit, offset, after, before, sort } (only provided keys)
+ *
+ * Throws BadRequestError if pagination params are invalid.
+ */
+
+function pageFromQuery(query = {}) {
+  const page = {};
+  const rest = {};
+
+  for (const [key, val] of Object.entries(query)) {
+    if (PAGE_PARAMS.includes(key)) page[key] = val;
+    else rest[key] = val;
+  }
+
+  if (page.limit !== undefined) page.limit = +page.limit;
+  if (page.offset !== undefined) page.offset = +page.offset;
+
+  assertValid(page, paginationSchema);
+
+  return { page, rest };
+}
+
+/** Turn a sort param like "-numEmployees,name" into pagination keys.
+ *
+ * sort is a comma-separated list of property names, each optionally
+ * prefixed with "-" for descending order; if not given, defaultSort is used.
+ *
+ * sortable is { prop: { col, type, nullable }, ... }: the whitelist of
+ * properties that can be sorted on, with the SQL column for each and its
+ * type ("text", the default, "integer" or "numeric"), which cursors are
+ * checked against. Mark a column nullable so its NULLs are listed last,
+ * whichever way it's sorted, and cursors handle them.
+ *
+ * tiebreaker is a sortable prop for a unique, non-null column; it's added
+ * last (ascending) unless already present, so the order is total.
+ *
+ * Returns [{ col, prop, desc, type, nullable }, ...]
+ *
+ * Throws BadRequestError for unknown or repeated sort fields.
+ */
+
+function sortKeys(sort, sortable, defaultSort, tiebreaker) {
+  const fields = (sort || defaultSort).split(",");
+  const keys = [];
+
+  for (const field of fields) {
+    const desc = field.startsWith("-");
+    const prop = desc ? field.slice(1) : field;
+
+    if (!Object.prototype.hasOwnProperty.call(sortable, prop)) {
+      throw new BadRequestError(`Cannot sort by: ${prop}`);
+    }
+    if (keys.some(k => k.prop === prop)) {
+      throw new BadRequestError(`Duplicate sort field: ${prop}`);
+    }
+
+    const { col, type = "text", nullable = false } = sortable[prop];
+    keys.push({ col, prop, desc, type, nullable });
+  }
+
+  if (!keys.some(k => k.prop === tiebreaker)) {
+    const { col, type = "text" } = sortable[tiebreaker];
+    keys.push({ col, prop: tiebreaker, desc: false, type, nullable: false });
+  }
+
+  return keys;
+}
+
+/** Encode the key values of a row as an opaque cursor string. */
+
+function encodeCursor(row, keys) {
+  const values = Object.fromEntries(keys.map(k => [k.prop, row[k.prop]]));
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+/** Is value one that key's column could hold? (NUMERIC columns come back
+ * from pg as strings.)
+ */
+
+function fitsKey(value, key) {
+  if (value === null) return key.nullable;
+  switch (key.type) {
+    case "integer":
+      return Number.isInteger(value) && Math.abs(value) <= MAX_INTEGER;
+    case "numeric":
+      return (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value))
+          || Number.isFinite(value);
+    default:
+      return typeof value === "string";
+  }
+}
+
+/** Decode a cursor made by encodeCursor; returns array of key values.
+ *
+ * A cursor is only valid for the sort order it was made with.
+ *
+ * Throws BadRequestError if cursor is malformed, for a different sort, or
+ * has values of the wrong type for their columns.
+ */
+
+function decodeCursor(cursor, keys) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  if (values === null || typeof values !== "object"
+      || Object.keys(values).join(",") !== keys.map(k => k.prop).join(",")) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  if (!keys.every(k => fitsKey(values[k.prop], k))) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  return keys.map(k => values[k.prop]);
+}
+
+/** Build the SQL condition for rows that come after the cursor values in
+ * the order given by keys (or before them, if backwards).
+ *
+ * NULLs in nullable keys come after every value (see orderBy in
+ * sqlForPagination), so going forwards they're past any value, and going
+ * backwards any value is past them.
+ *
+ * When every key sorts the same way and none can be NULL, this is a single
+ * row comparison, which Postgres can answer from a matching index;
+ * otherwise it's expanded into "first key past the cursor, or equal and
+ * second key past it, ...".
+ */
+
+function sqlForKeyset(keys, cursorValues, backwards, values, firstIdx) {
+  const placeholders = cursorValues.map((val) => {
+    if (val === null) return null;
+    values.push(val);
+    return `$${firstIdx + values.length - 1}`;
+  });
+
+  const uniform = keys.every(k => k.desc === keys[0].desc && !k.nullable)
+      && !cursorValues.includes(null);
+  if (uniform) {
+    const op = (keys[0].desc !== backwards) ? "<" : ">";
+    return `(${keys.map(k => k.col).join(", ")}) ${op} (${placeholders.join(", ")})`;
+  }
+
+  const equal = keys.map((k, i) => placeholders[i] === null
+      ? `${k.col} IS NULL`
+      : `${k.col} = ${placeholders[i]}`);
+
+  const past = keys.map((k, i) => {
+    const ph = placeholders[i];
+    if (ph === null) return backwards ? `${k.col} IS NOT NULL` : null;
+    const beyond = `${k.col} ${(k.desc !== backwards) ? "<" : ">"} ${ph}`;
+    return (k.nullable && !backwards) ? `(${beyond} OR ${k.col} IS NULL)` : beyond;
+  });
+
+  const alternatives = [];
+  keys.forEach((k, i) => {
+    if (past[i] === null) return;
+    alternatives.push([...equal.slice(0, i), past[i]].join(" AND "));
+  });
+
+  if (alternatives.length === 0) return "FALSE";
+  return "(" + alternatives.map(a => `(${a})`).join(" OR ") + ")";
+}
+
+/** Build the SQL fragments for keyset or limit/offset pagination.
+ *
+ * page is { limit, offset, after, before }; after/before are cursors and
+ * can't be combined with each other or with offset.
+ *
+ * keys is [{ col, prop, desc, type, nullable }, ...] as made by sortKeys: the
+ * columns the list is ordered by, most significant first, ending with a
+ * unique column so the order is total. col is the SQL expression, prop the
+ * property name on returned rows.
+ *
+ * firstIdx is the number of the first $-placeholder to use, so these can
+ * follow the values of the query's own filters.
+ *
+ * Returns { whereExpression, orderBy, limitOffset, values, backwards }
+ *   whereExpression is null if no cursor was given. One extra row is
+ *   requested past limit, so callers can tell if there is another page.
+ */
+
+function sqlForPagination(page, keys, firstIdx = 1) {
+  const { limit = DEFAULT_LIMIT, offset, after, before } = page;
+
+  if (after !== undefined && before !== undefined) {
+    throw new BadRequestError("Cannot use both after and before");
+  }
+  if (offset !== undefined && (after !== undefined || before !== undefined)) {
+    throw new BadRequestError("Cannot use offset with a cursor");
+  }
+
+  const backwards = before !== undefined;
+  const cursor = after !== undefined ? after : before;
+  const values = [];
+  let whereExpression = null;
+
+  if (cursor !== undefined) {
+    const cursorValues = decodeCursor(cursor, keys);
+    whereExpression =
+        sqlForKeyset(keys, cursorValues, backwards, values, firstIdx);
+  }
+
+  // NULLs last either way, so fetching backwards reads them first
+  const orderBy = "ORDER BY " + keys
+      .map(k => `${k.col} ${(k.desc !== backwards) ? "DESC" : "ASC"}`
+          + (k.nullable ? (backwards ? " NULLS FIRST" : " NULLS LAST") : ""))
+      .join(", ");
+
+  values.push(limit + 1);
+  let limitOffset = `LIMIT $${firstIdx + values.length - 1}`;
+  if (offset !== undefined) {
+    values.push(offset);
+    limitOffset += ` OFFSET $${firstIdx + values.length - 1}`;
+  }
+
+  return { whereExpression, orderBy, limitOffset, values, backwards };
+}
+
+/** Trim the extra row from a page fetched with sqlForPagination and work
+ * out the cursors either side of it.
+ *
+ * Returns { rows, pagination }
+ *   where pagination is { total, limit, offset, nextCursor, prevCursor }
+ *   and a cursor is null if there is no page in that direction.
+ */
+
+function paginate(rows, total, page, keys) {
+  const { limit = DEFAULT_LIMIT, offset = 0, after, before } = page;
+  const backwards = before !== undefined;
+  const hasMore = rows.length > limit;
+
+  rows = rows.slice(0, limit);
+  if (backwards) rows.reverse();
+
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : (after !== undefined || offset > 0);
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+
+  return {
+    rows,
+    pagination: {
+      total,
+      limit,
+      offset: (after === undefined && before === undefined) ? offset : null,
+      nextCursor: hasNext && last ? encodeCursor(last, keys) : null,
+      prevCursor: hasPrev && first ? encodeCursor(first, keys) : null,
+    },
+  };
+}
+
+
+module.exports = {
+  DEFAULT_LIMIT,
+  pageFromQuery,
+  sortKeys,
+  encodeCursor,
+  decodeCursor,
+  sqlForPagination,
+  paginate,
+};
@@ -0,0 +1,282 @@
+const {
+  pageFromQuery,
+  sortKeys,
+  encodeCursor,
+  decodeCursor,
+  sqlForPagination,
+  paginate,
+} = require("./pagination");
+const { BadRequestError } = require("../expressError");
+
+const sortable = {
+  id: { col: "id", type: "integer" },
+  title: { col: "title" },
+  salary: { col: "salary", type: "integer", nullable: true },
+};
+const keys = sortKeys(undefined, sortable, "title", "id");
+
+describe("pageFromQuery", function () {
+  test("works: splits and converts", function () {
+    const result = pageFromQuery({ limit: "5", offset: "10", title: "t" });
+    expect(result).toEqual({
+      page: { limit: 5, offset: 10 },
+      rest: { title: "t" },
+    });
+  });
+
+  test("works: no params", function () {
+    expect(pageFromQuery({})).toEqual({ page: {}, rest: {} });
+  });
+
+  test("works: sort is a page param", function () {
+    expect(pageFromQuery({ sort: "-salary,title" })).toEqual({
+      page: { sort: "-salary,title" },
+      rest: {},
+    });
+  });
+
+  test("bad request on malformed sort", function () {
+    expect(() => pageFromQuery({ sort: "salary;DROP" })).toThrow(BadRequestError);
+  });
+
+  test("bad request on invalid limit", function () {
+    expect(() => pageFromQuery({ limit: "0" })).toThrow(BadRequestError);
+    expect(() => pageFromQuery({ limit: "1000" })).toThrow(BadRequestError);
+    expect(() => pageFromQuery({ limit: "nope" })).toThrow(BadRequestError);
+  });
+
+  test("bad request on invalid offset", function () {
+    expect(() => pageFromQuery({ offset: "-1" })).toThrow(BadRequestError);
+    expect(() => pageFromQuery({ offset: "1e20" })).toThrow(BadRequestError);
+  });
+});
+
+describe("sortKeys", function () {
+  test("works: default adds tiebreaker", function () {
+    expect(keys).toEqual([
+      { col: "title", prop: "title", desc: false, type: "text", nullable: false },
+      { col: "id", prop: "id", desc: false, type: "integer", nullable: false },
+    ]);
+  });
+
+  test("works: mixed directions", function () {
+    expect(sortKeys("-salary,title", sortable, "title", "id")).toEqual([
+      { col: "salary", prop: "salary", desc: true, type: "integer", nullable: true },
+      { col: "title", prop: "title", desc: false, type: "text", nullable: false },
+      { col: "id", prop: "id", desc: false, type: "integer", nullable: false },
+    ]);
+  });
+
+  test("works: tiebreaker not repeated", function () {
+    expect(sortKeys("-id", sortable, "title", "id")).toEqual([
+      { col: "id", prop: "id", desc: true, type: "integer", nullable: false },
+    ]);
+  });
+
+  test("bad request on unknown field", function () {
+    expect(() => sortKeys("password", sortable, "title", "id"))
+        .toThrow(BadRequestError);
+    expect(() => sortKeys("constructor", sortable, "title", "id"))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request on repeated field", function () {
+    expect(() => sortKeys("title,-title", sortable, "title", "id"))
+        .toThrow(BadRequestError);
+  });
+});
+
+describe("cursors", function () {
+  test("round trip", function () {
+    const cursor = encodeCursor({ title: "t1", id: 7, salary: 1 }, keys);
+    expect(decodeCursor(cursor, keys)).toEqual(["t1", 7]);
+  });
+
+  test("bad request on cursor for another sort", function () {
+    const otherKeys = sortKeys("salary", sortable, "title", "id");
+    const cursor = encodeCursor({ title: "t1", id: 7, salary: 1 }, otherKeys);
+    expect(() => decodeCursor(cursor, keys)).toThrow(BadRequestError);
+  });
+
+  test("bad request on garbage", function () {
+    expect(() => decodeCursor("nope", keys)).toThrow(BadRequestError);
+  });
+
+  test("bad request on wrong number of keys", function () {
+    const cursor = encodeCursor({ title: "t1" }, [keys[0]]);
+    expect(() => decodeCursor(cursor, keys)).toThrow(BadRequestError);
+  });
+
+  test("works: null for a nullable key", function () {
+    const salaryKeys = sortKeys("salary", sortable, "title", "id");
+    const cursor = encodeCursor({ salary: null, id: 7 }, salaryKeys);
+    expect(decodeCursor(cursor, salaryKeys)).toEqual([null, 7]);
+  });
+
+  test("bad request on values of the wrong type", function () {
+    const salaryKeys = sortKeys("salary", sortable, "title", "id");
+    for (const values of [
+      { salary: "abc", id: 1 },
+      { salary: 1.5, id: 1 },
+      { salary: 1, id: 99999999999 },
+      { salary: 1, id: null },
+      { salary: 1, id: { nested: true } },
+    ]) {
+      const cursor = encodeCursor(values, salaryKeys);
+      expect(() => decodeCursor(cursor, salaryKeys)).toThrow("Invalid cursor");
+    }
+    const titleCursor = encodeCursor({ title: 5, id: 1 }, keys);
+    expect(() => decodeCursor(titleCursor, keys)).toThrow("Invalid cursor");
+  });
+});
+
+describe("sqlForPagination", function () {
+  test("works: defaults", function () {
+    expect(sqlForPagination({}, keys)).toEqual({
+      whereExpression: null,
+      orderBy: "ORDER BY title ASC, id ASC",
+      limitOffset: "LIMIT $1",
+      values: [21],
+      backwards: false,
+    });
+  });
+
+  test("works: limit and offset after filter values", function () {
+    expect(sqlForPagination({ limit: 5, offset: 10 }, keys, 3)).toEqual({
+      whereExpression: null,
+      orderBy: "ORDER BY title ASC, id ASC",
+      limitOffset: "LIMIT $3 OFFSET $4",
+      values: [6, 10],
+      backwards: false,
+    });
+  });
+
+  test("works: after cursor", function () {
+    const after = encodeCursor({ title: "t1", id: 7 }, keys);
+    expect(sqlForPagination({ limit: 5, after }, keys, 2)).toEqual({
+      whereExpression: "(title, id) > ($2, $3)",
+      orderBy: "ORDER BY title ASC, id ASC",
+      limitOffset: "LIMIT $4",
+      values: ["t1", 7, 6],
+      backwards: false,
+    });
+  });
+
+  test("works: before cursor", function () {
+    const before = encodeCursor({ title: "t1", id: 7 }, keys);
+    expect(sqlForPagination({ limit: 5, before }, keys)).toEqual({
+      whereExpression: "(title, id) < ($1, $2)",
+      orderBy: "ORDER BY title DESC, id DESC",
+      limitOffset: "LIMIT $3",
+      values: ["t1", 7, 6],
+      backwards: true,
+    });
+  });
+
+  test("works: mixed directions and nullable column", function () {
+    const mixed = sortKeys("-salary", sortable, "title", "id");
+    const after = encodeCursor({ salary: 100, id: 7 }, mixed);
+    expect(sqlForPagination({ after }, mixed)).toEqual({
+      whereExpression: "(((salary < $1 OR salary IS NULL)) OR (salary = $1 AND id > $2))",
+      orderBy: "ORDER BY salary DESC NULLS LAST, id ASC",
+      limitOffset: "LIMIT $3",
+      values: [100, 7, 21],
+      backwards: false,
+    });
+  });
+
+  test("works: cursor on NULL ascending", function () {
+    const bySalary = sortKeys("salary", sortable, "title", "id");
+    const after = encodeCursor({ salary: null, id: 7 }, bySalary);
+    expect(sqlForPagination({ after }, bySalary).whereExpression)
+        .toEqual("((salary IS NULL AND id > $1))");
+
+    const before = encodeCursor({ salary: 100, id: 7 }, bySalary);
+    expect(sqlForPagination({ before }, bySalary)).toEqual({
+      whereExpression: "((salary < $1) OR (salary = $1 AND id < $2))",
+      orderBy: "ORDER BY salary DESC NULLS FIRST, id DESC",
+      limitOffset: "LIMIT $3",
+      values: [100, 7, 21],
+      backwards: true,
+    });
+  });
+
+  test("works: cursor on NULL descending", function () {
+    const bySalary = sortKeys("-salary", sortable, "title", "id");
+    const after = encodeCursor({ salary: null, id: 7 }, bySalary);
+    expect(sqlForPagination({ after }, bySalary).whereExpression)
+        .toEqual("((salary IS NULL AND id > $1))");
+
+    const before = encodeCursor({ salary: null, id: 7 }, bySalary);
+    expect(sqlForPagination({ before }, bySalary)).toEqual({
+      whereExpression: "((salary IS NOT NULL) OR (salary IS NULL AND id < $1))",
+      orderBy: "ORDER BY salary ASC NULLS FIRST, id DESC",
+      limitOffset: "LIMIT $2",
+      values: [7, 21],
+      backwards: true,
+    });
+  });
+
+  test("works: non-null cursor ascending keeps NULLs after", function () {
+    const bySalary = sortKeys("salary", sortable, "title", "id");
+    const after = encodeCursor({ salary: 100, id: 7 }, bySalary);
+    expect(sqlForPagination({ after }, bySalary).whereExpression)
+        .toEqual("(((salary > $1 OR salary IS NULL)) OR (salary = $1 AND id > $2))");
+  });
+
+  test("bad request with both cursors", function () {
+    const cursor = encodeCursor({ title: "t1", id: 7 }, keys);
+    expect(() => sqlForPagination({ after: cursor, before: cursor }, keys))
+        .toThrow(BadRequestError);
+  });
+
+  test("bad request with offset and cursor", function () {
+    const cursor = encodeCursor({ title: "t1", id: 7 }, keys);
+    expect(() => sqlForPagination({ after: cursor, offset: 1 }, keys))
+        .toThrow(BadRequestError);
+  });
+});
+
+describe("paginate", function () {
+  const rows = [
+    { title: "a", id: 1 },
+    { title: "b", id: 2 },
+    { title: "c", id: 3 },
+  ];
+
+  test("works: first page with more", function () {
+    const { rows: page, pagination } = paginate(rows, 10, { limit: 2 }, keys);
+    expect(page).toEqual(rows.slice(0, 2));
+    expect(pagination).toEqual({
+      total: 10,
+      limit: 2,
+      offset: 0,
+      nextCursor: encodeCursor(rows[1], keys),
+      prevCursor: null,
+    });
+  });
+
+  test("works: last page after cursor", function () {
+    const after = encodeCursor({ title: "0", id: 0 }, keys);
+    const { rows: page, pagination } =
+        paginate(rows, 10, { limit: 5, after }, keys);
+    expect(page).toEqual(rows);
+    expect(pagination).toEqual({
+      total: 10,
+      limit: 5,
+      offset: null,
+      nextCursor: null,
+      prevCursor: encodeCursor(rows[0], keys),
+    });
+  });
+
+  test("works: backwards restores order", function () {
+    const before = encodeCursor({ title: "d", id: 4 }, keys);
+    const desc = [...rows].reverse();
+    const { rows: page, pagination } =
+        paginate(desc, 10, { limit: 2, before }, keys);
+    expect(page).toEqual([rows[1], rows[2]]);
+    expect(pagination.prevCursor).toEqual(encodeCursor(rows[1], keys));
+    expect(pagination.nextCursor).toEqual(encodeCursor(rows[2], keys));
+  });
+});
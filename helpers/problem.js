@@ -0,0 +1,57 @@
+"use strict";
+
+/** Error responses as "problem details" (RFC 7807). */
+
+const { STATUS_CODES } = require("http");
+
+const config = require("../config");
+
+/** Return the type URI for problems with status, like
+ * "http://localhost:3001/problems/not-found".
+ */
+
+function problemType(status) {
+  const slug = (STATUS_CODES[status] || "Error").toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-");
+  return `${config.PUBLIC_URL}/problems/${slug}`;
+}
+
+/** Describe err, for request req, as a problem:
+ *
+ *   { type, title, status, detail, instance, requestId, errors }
+ *
+ * where title is the standard text for status, detail is err's message,
+ * instance is the path requested, and errors (only for some errors) lists
+ * what's wrong with the request (see helpers/validation.js).
+ */
+
+function toProblem(err, req) {
+  const status = err.status || 500;
+  return {
+    type: problemType(status),
+    title: STATUS_CODES[status],
+    status,
+    detail: err.message,
+    instance: req.originalUrl,
+    requestId: req.id,
+    errors: err.errors,
+  };
+}
+
+/** Describe err the way errors were before problem details:
+ *
+ *   { error: { message, status, errors } }
+ */
+
+function toLegacyError(err) {
+  return {
+    error: { message: err.message, status: err.status || 500, errors: err.errors },
+  };
+}
+
+
+module.exports = {
+  problemType,
+  toProblem,
+  toLegacyError,
+};
@@ -0,0 +1,48 @@
+"use strict";
+
+const { problemType, toProblem, toLegacyError } = require("./problem");
+const { BadRequestError, NotFoundError } = require("../expressError");
+
+const req = { originalUrl: "/companies/nope", id: "req-1" };
+
+describe("problemType", function () {
+  test("works", function () {
+    expect(problemType(404)).toEqual("http://localhost:3001/problems/not-found");
+    expect(problemType(429))
+        .toEqual("http://localhost:3001/problems/too-many-requests");
+  });
+});
+
+describe("toProblem", function () {
+  test("works", function () {
+    expect(toProblem(new NotFoundError("No company: nope"), req)).toEqual({
+      type: "http://localhost:3001/problems/not-found",
+      title: "Not Found",
+      status: 404,
+      detail: "No company: nope",
+      instance: "/companies/nope",
+      requestId: "req-1",
+      errors: undefined,
+    });
+  });
+
+  test("works: with errors", function () {
+    const errors = [{ field: "name", rule: "required", message: "name is required" }];
+    const problem = toProblem(new BadRequestError("Request is invalid", errors), req);
+    expect(problem.errors).toEqual(errors);
+  });
+
+  test("works: unexpected error", function () {
+    const problem = toProblem(new Error("boom"), req);
+    expect(problem.status).toEqual(500);
+    expect(problem.title).toEqual("Internal Server Error");
+  });
+});
+
+describe("toLegacyError", function () {
+  test("works", function () {
+    expect(toLegacyError(new NotFoundError())).toEqual({
+      error: { message: "Not Found", status: 404, errors: undefined },
+    });
+  });
+});
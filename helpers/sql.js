@@ -32,4 +32,12 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
-module.exports = { sqlForPartialUpdate };
+// Helper Fnc: sqlWhere
+// Join filter expressions into a WHERE clause, or "" if there are none
+// ["name ILIKE $1", "num_employees >= $2"] => 'WHERE name ILIKE $1 AND num_employees >= $2'
+function sqlWhere(whereExpressions) {
+  if (whereExpressions.length === 0) return "";
+  return "WHERE " + whereExpressions.join(" AND ");
+}
+
+module.exports = { sqlForPartialUpdate, sqlWhere };
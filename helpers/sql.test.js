@@ -1,4 +1,4 @@
-const { sqlForPartialUpdate } = require("./sql")
+const { sqlForPartialUpdate, sqlWhere } = require("./sql")
 const { BadRequestError } = require("../expressError");
 
 describe("update models with helper function", function() {
@@ -22,8 +22,19 @@ describe("update models with helper function", function() {
         const dataToUpdate = { firstName: 'Aliya', age: 32};
         const result = sqlForPartialUpdate(dataToUpdate, {})
         expect(result).toEqual({
-            setCols: '"first_name"=$1, "age"=$2',
+            setCols: '"firstName"=$1, "age"=$2',
             values: ['Aliya', 32],
         });
     });
-});
\ No newline at end of file
+});
+
+describe("join filters into WHERE clause", function() {
+    test("works: several expressions", function(){
+        expect(sqlWhere(["name ILIKE $1", "num_employees >= $2"]))
+            .toEqual("WHERE name ILIKE $1 AND num_employees >= $2");
+    });
+
+    test("works: no expressions", function(){
+        expect(sqlWhere([])).toEqual("");
+    });
+});
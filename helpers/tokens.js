@@ -1,18 +1,72 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_EXPIRES_IN } = require("../config");
+const { UnauthorizedError } = require("../expressError");
 
-/** return signed JWT from user data. */
+/** Two-factor login challenges are signed with their own key, so they can
+ * never pass as access tokens.
+ */
+const CHALLENGE_KEY = `${SECRET_KEY}:2fa-challenge`;
+const CHALLENGE_EXPIRES_IN = "5m";
 
-function createToken(user) {
-  console.assert(user.isAdmin !== undefined,
-      "createToken passed user without isAdmin property");
+/** return signed JWT from user data.
+ *
+ * The payload carries the user's role; requirePermission looks up what the
+ * role is allowed to do. The token expires after ACCESS_TOKEN_EXPIRES_IN;
+ * use a refresh token to get another. Its jti (token id) lets it be revoked
+ * sooner, and iatMs (issue time, in ms: iat is only to the second) lets a
+ * user's earlier tokens be revoked; see models/tokenRevocation.js.
+ *
+ * mfa records that the user logged in with two-factor authentication.
+ */
+
+function createToken(user, { mfa = false } = {}) {
+  console.assert(user.role !== undefined,
+      "createToken passed user without role property");
 
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    role: user.role || "candidate",
+    mfa,
+    iatMs: Date.now(),
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+/** Hash a random token (refresh token, password reset token) for storage.
+ * These are 256-bit random values, so a fast hash is enough: there's nothing
+ * to brute-force.
+ */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/** return signed challenge for username, who has passed the password step
+ * of logging in and must now give a two-factor code.
+ */
+
+function createChallenge(username) {
+  return jwt.sign({ username }, CHALLENGE_KEY,
+      { expiresIn: CHALLENGE_EXPIRES_IN });
+}
+
+/** Given a challenge from createChallenge, return its username.
+ *
+ * Throws UnauthorizedError if invalid or expired.
+ */
+
+function verifyChallenge(challenge) {
+  try {
+    return jwt.verify(challenge, CHALLENGE_KEY).username;
+  } catch (err) {
+    throw new UnauthorizedError("Invalid or expired challenge");
+  }
 }
 
-module.exports = { createToken };
+module.exports = { createToken, hashToken, createChallenge, verifyChallenge };
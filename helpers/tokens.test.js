@@ -1,25 +1,41 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const {
+  createToken,
+  hashToken,
+  createChallenge,
+  verifyChallenge,
+} = require("./tokens");
+const { UnauthorizedError } = require("../expressError");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
   test("works: not admin", function () {
-    const token = createToken({ username: "test", is_admin: false });
+    const token = createToken({ username: "test", isAdmin: false, role: "recruiter" });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      role: "recruiter",
+      mfa: false,
+      iatMs: expect.any(Number),
     });
   });
 
   test("works: admin", function () {
-    const token = createToken({ username: "test", isAdmin: true });
+    const token = createToken({ username: "test", isAdmin: true, role: "admin" });
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: true,
+      role: "admin",
+      mfa: false,
+      iatMs: expect.any(Number),
     });
   });
 
@@ -29,8 +45,66 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      role: "candidate",
+      mfa: false,
+      iatMs: expect.any(Number),
     });
   });
+
+  test("works: expires", function () {
+    const token = createToken({ username: "test", role: "candidate" });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp - payload.iat).toEqual(15 * 60);
+
+    expect(() => jwt.verify(token, SECRET_KEY, { clockTimestamp: payload.exp + 1 }))
+        .toThrow(jwt.TokenExpiredError);
+  });
+
+  test("works: each token has its own id", function () {
+    const user = { username: "test", role: "candidate" };
+    const first = jwt.verify(createToken(user), SECRET_KEY);
+    const second = jwt.verify(createToken(user), SECRET_KEY);
+    expect(first.jti).not.toEqual(second.jti);
+  });
+
+  test("works: two-factor login", function () {
+    const token = createToken({ username: "test", role: "admin" }, { mfa: true });
+    expect(jwt.verify(token, SECRET_KEY).mfa).toBe(true);
+  });
+});
+
+describe("createChallenge", function () {
+  test("works", function () {
+    const challenge = createChallenge("test");
+    expect(verifyChallenge(challenge)).toEqual("test");
+  });
+
+  test("is not an access token", function () {
+    const challenge = createChallenge("test");
+    expect(() => jwt.verify(challenge, SECRET_KEY)).toThrow();
+  });
+});
+
+describe("verifyChallenge", function () {
+  test("unauth for an access token", function () {
+    const token = createToken({ username: "test", role: "candidate" });
+    expect(() => verifyChallenge(token)).toThrow(UnauthorizedError);
+  });
+
+  test("unauth for garbage", function () {
+    expect(() => verifyChallenge("nope")).toThrow(UnauthorizedError);
+  });
+});
+
+describe("hashToken", function () {
+  test("works", function () {
+    const hash = hashToken("token");
+    expect(hash).toEqual(expect.stringMatching(/^[0-9a-f]{64}$/));
+    expect(hashToken("token")).toEqual(hash);
+    expect(hashToken("other")).not.toEqual(hash);
+  });
 });
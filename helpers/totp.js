@@ -0,0 +1,128 @@
+"use strict";
+
+/** Time-based one-time passwords (RFC 6238), as used by authenticator apps:
+ * HMAC-SHA1, 6 digits, 30-second steps.
+ */
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/** Encode buffer as unpadded base32 (RFC 4648), as authenticator apps
+ * expect secrets.
+ */
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return out;
+}
+
+/** Decode base32 string (case, spaces and padding ignored) to a buffer. */
+
+function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/** Return a new random secret, base32-encoded. */
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** Return the time step for a time in ms (default: now). */
+
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/** Return the code for base32 secret at time step, as a string of DIGITS
+ * digits.
+ */
+
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret))
+      .update(counter)
+      .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/** Return the time step at which code is valid for secret, allowing window
+ * steps either side of time for clock drift; or null if it isn't valid.
+ */
+
+function matchStep(secret, code, time = Date.now(), window = 1) {
+  const now = timeStep(time);
+  const given = Buffer.from(String(code));
+
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = Buffer.from(codeAt(secret, step));
+    if (given.length === expected.length
+        && crypto.timingSafeEqual(given, expected)) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/** Return the otpauth:// URI that authenticator apps scan (as a QR code) to
+ * add account with secret.
+ */
+
+function otpauthUri(secret, account, issuer = "Jobly") {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  codeAt,
+  matchStep,
+  otpauthUri,
+};
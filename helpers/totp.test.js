@@ -0,0 +1,69 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  codeAt,
+  matchStep,
+  otpauthUri,
+} = require("./totp");
+
+// the RFC 6238 test secret, "12345678901234567890"
+const rfcSecret = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", function () {
+  test("works: round trip", function () {
+    const buf = Buffer.from("foobar");
+    expect(base32Encode(buf)).toEqual("MZXW6YTBOI");
+    expect(base32Decode("mzxw 6ytb oi======")).toEqual(buf);
+  });
+
+  test("throws on invalid characters", function () {
+    expect(() => base32Decode("ABC1")).toThrow();
+  });
+});
+
+describe("generateSecret", function () {
+  test("works", function () {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toEqual(secret);
+  });
+});
+
+describe("codeAt", function () {
+  test("works: RFC 6238 test vectors", function () {
+    expect(codeAt(rfcSecret, timeStep(59 * 1000))).toEqual("287082");
+    expect(codeAt(rfcSecret, timeStep(1111111109 * 1000))).toEqual("081804");
+    expect(codeAt(rfcSecret, timeStep(1234567890 * 1000))).toEqual("005924");
+  });
+});
+
+describe("matchStep", function () {
+  const time = 1234567890 * 1000;
+
+  test("works", function () {
+    expect(matchStep(rfcSecret, "005924", time)).toEqual(timeStep(time));
+  });
+
+  test("works: allows one step of drift", function () {
+    const before = codeAt(rfcSecret, timeStep(time) - 1);
+    expect(matchStep(rfcSecret, before, time)).toEqual(timeStep(time) - 1);
+
+    const longBefore = codeAt(rfcSecret, timeStep(time) - 2);
+    expect(matchStep(rfcSecret, longBefore, time)).toBeNull();
+  });
+
+  test("null for wrong code", function () {
+    expect(matchStep(rfcSecret, "000000", time)).toBeNull();
+    expect(matchStep(rfcSecret, "5924", time)).toBeNull();
+  });
+});
+
+describe("otpauthUri", function () {
+  test("works", function () {
+    expect(otpauthUri("ABC", "u1")).toEqual(
+        "otpauth://totp/Jobly%3Au1?secret=ABC&issuer=Jobly"
+        + "&algorithm=SHA1&digits=6&period=30");
+  });
+});
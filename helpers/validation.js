@@ -0,0 +1,59 @@
+"use strict";
+
+/** Validating request data against JSON schemas (see schemas/), with errors
+ * clients can act on.
+ */
+
+const jsonschema = require("jsonschema");
+
+const { BadRequestError } = require("../expressError");
+
+/** Largest value of a Postgres INTEGER column (like the SERIAL ids). */
+const MAX_INTEGER = 2147483647;
+
+/** Turn a jsonschema error into { field, rule, expected, message }:
+ *
+ * - field: path to the bad value, like "handle" or "jobs[0].salary" ("" for
+ *   the data as a whole)
+ * - rule: the schema keyword it breaks, like "maxLength" or "required"
+ * - expected: that keyword's value in the schema, like 25 (left out for
+ *   required and additionalProperties, where field says it all)
+ * - message: for people, like "handle does not meet maximum length of 25"
+ */
+
+function describeError(err) {
+  const path = err.property.replace(/^instance\.?/, "");
+
+  if (err.name === "required" || err.name === "additionalProperties") {
+    const field = path ? `${path}.${err.argument}` : err.argument;
+    const problem = err.name === "required" ? "is required" : "is not allowed";
+    return { field, rule: err.name, message: `${field} ${problem}` };
+  }
+
+  return {
+    field: path,
+    rule: err.name,
+    expected: err.argument,
+    message: path ? `${path} ${err.message}` : err.message,
+  };
+}
+
+/** Validate data against schema.
+ *
+ * Throws BadRequestError, with errors as described above, if invalid.
+ */
+
+function assertValid(data, schema) {
+  const validator = jsonschema.validate(data, schema);
+  if (!validator.valid) {
+    throw new BadRequestError(
+        "Request is invalid", validator.errors.map(describeError));
+  }
+}
+
+
+module.exports = {
+  MAX_INTEGER,
+  describeError,
+  assertValid,
+};
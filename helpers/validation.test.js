@@ -0,0 +1,72 @@
+"use strict";
+
+const { assertValid } = require("./validation");
+const { BadRequestError } = require("../expressError");
+
+const schema = {
+  type: "object",
+  properties: {
+    handle: { type: "string", maxLength: 5 },
+    jobs: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { salary: { type: "integer", minimum: 0 } },
+      },
+    },
+  },
+  required: ["handle"],
+  additionalProperties: false,
+};
+
+/** Return the errors assertValid throws for data. */
+
+function errorsFor(data) {
+  try {
+    assertValid(data, schema);
+  } catch (err) {
+    expect(err instanceof BadRequestError).toBeTruthy();
+    return err.errors;
+  }
+  throw new Error("expected data to be invalid");
+}
+
+describe("assertValid", function () {
+  test("works: valid", function () {
+    expect(() => assertValid({ handle: "c1" }, schema)).not.toThrow();
+  });
+
+  test("rule with an expected value", function () {
+    expect(errorsFor({ handle: "too-long" })).toEqual([{
+      field: "handle",
+      rule: "maxLength",
+      expected: 5,
+      message: "handle does not meet maximum length of 5",
+    }]);
+  });
+
+  test("nested field", function () {
+    expect(errorsFor({ handle: "c1", jobs: [{ salary: -1 }] })).toEqual([{
+      field: "jobs[0].salary",
+      rule: "minimum",
+      expected: 0,
+      message: "jobs[0].salary must have a minimum value of 0",
+    }]);
+  });
+
+  test("required and additional properties", function () {
+    expect(errorsFor({ nope: 1 })).toEqual([
+      { field: "handle", rule: "required", message: "handle is required" },
+      { field: "nope", rule: "additionalProperties", message: "nope is not allowed" },
+    ]);
+  });
+
+  test("whole value", function () {
+    expect(errorsFor("c1")).toEqual([{
+      field: "",
+      rule: "type",
+      expected: ["object"],
+      message: "is not of a type(s) object",
+    }]);
+  });
+});
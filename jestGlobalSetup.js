@@ -0,0 +1,11 @@
+"use strict";
+
+/** Before any tests run, bring the test database up to date with the
+ * migrations in migrations/.
+ */
+
+module.exports = async function () {
+  process.env.NODE_ENV = "test";
+  const { main } = require("./migrate");
+  await main(["up"]);
+};
@@ -4,58 +4,249 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+// read at call time, not destructured, so the option can change at runtime
+const config = require("../config");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const Role = require("../models/role");
+const Company = require("../models/company");
+const TokenRevocation = require("../models/tokenRevocation");
+const ApiKey = require("../models/apiKey");
 
 
+/** The API key sent with a request, in an X-API-Key header or as
+ * "Authorization: ApiKey [key]"; undefined if none.
+ */
+
+function apiKeyFrom(headers) {
+  if (headers["x-api-key"]) return headers["x-api-key"].trim();
+
+  const match = /^ApiKey (.+)$/i.exec(headers.authorization || "");
+  return match ? match[1].trim() : undefined;
+}
+
 /** Middleware: Authenticate user.
  *
- * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * If a token was provided, verify it, and, if valid and not revoked, store
+ * the token payload on res.locals (this will include the username, isAdmin,
+ * role, jti and exp fields.)
+ *
+ * If an API key was provided instead, and is valid, store
+ * { username, role, isAdmin: false, apiKey: { id, scopes } } on res.locals.
+ * A key only acts through its scopes (see requirePermission): it never
+ * counts as an admin, or as its user for policies like isCorrectUser.
  *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
-  try {
-    const authHeader = req.headers && req.headers.authorization;
-    if (authHeader) {
-      const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+async function authenticateJWT(req, res, next) {
+  if (!req.headers) return next();
+
+  const apiKey = apiKeyFrom(req.headers);
+  if (apiKey) {
+    try {
+      const found = await ApiKey.authenticate(apiKey);
+      if (found) {
+        res.locals.user = {
+          username: found.username,
+          role: found.role,
+          isAdmin: false,
+          apiKey: { id: found.id, scopes: found.scopes },
+        };
+      }
+      return next();
+    } catch (err) {
+      return next(err);
     }
-    return next();
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return next();
+
+  let payload;
+  try {
+    const token = authHeader.replace(/^[Bb]earer /, "").trim();
+    payload = jwt.verify(token, SECRET_KEY);
   } catch (err) {
     return next();
   }
+
+  try {
+    if (!await TokenRevocation.isRevoked(payload)) res.locals.user = payload;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
 }
 
-/** Middleware to use when they must be logged in.
+/** Middleware to use when they must be logged in as themselves.
  *
- * If not, raises Unauthorized.
+ * If not logged in, raises Unauthorized; with an API key (which only acts
+ * through its scopes; see requirePermission), raises Forbidden.
  */
 
 function ensureLoggedIn(req, res, next) {
   try {
     if (!res.locals.user) throw new UnauthorizedError();
+    if (res.locals.user.apiKey) {
+      throw new ForbiddenError("API keys can't be used here");
+    }
     return next();
   } catch (err) {
     return next(err);
   }
 }
 
+/** Is user an admin who hasn't logged in with two-factor authentication,
+ * when REQUIRE_ADMIN_2FA says they must? Such admins can still act as
+ * themselves (say, to enroll), but not as admins.
+ */
+
+function adminLacks2fa(user) {
+  return config.REQUIRE_ADMIN_2FA && user.role === "admin" && !user.mfa;
+}
+
+const ADMIN_2FA_MESSAGE = "Admins must log in with two-factor authentication";
+
+/** Middleware to use when they must be logged in as an admin.
+ *
+ * If not, raises Forbidden.
+ */
+
 function requireAdmin(req, res, next) {
   try {
-    if (!res.locals.user || !res.locals.user.is_admin) {
+    if (!res.locals.user || !res.locals.user.isAdmin) {
       throw new ForbiddenError();
     }
+    if (adminLacks2fa(res.locals.user)) throw new ForbiddenError(ADMIN_2FA_MESSAGE);
     return next();
   } catch (err) {
     return next(err);
   }
 }
 
+/** Policies for ensurePolicy: functions of (user, req) returning whether the
+ * logged-in user may go ahead with the request.
+ */
+
+function isAdmin(user) {
+  return user.isAdmin === true && !adminLacks2fa(user);
+}
+
+/** The user named in the route's :username param, logged in themselves
+ * (not through an API key).
+ */
+
+function isCorrectUser(user, req) {
+  return !user.apiKey && user.username === req.params.username;
+}
+
+/** Combine policies: allowed if any of them allows. */
+
+function anyOf(...policies) {
+  return (user, req) => policies.some(policy => policy(user, req));
+}
+
+/** Make middleware that allows the request only if policy(user, req) is
+ * true for the logged-in user.
+ *
+ * If not logged in, raises Unauthorized; if policy says no, raises Forbidden.
+ */
+
+function ensurePolicy(policy) {
+  return function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+      if (!policy(user, req)) throw new ForbiddenError();
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Middleware to use when they must be logged in as the user named in the
+ * route's :username param, or as an admin.
+ *
+ * If not logged in, raises Unauthorized; otherwise, if neither, raises
+ * Forbidden.
+ */
+
+const ensureCorrectUserOrAdmin = ensurePolicy(anyOf(isCorrectUser, isAdmin));
+
+/** Make middleware that allows the request only if the logged-in user's
+ * role grants permission (like "jobs:write"; see the role_permissions
+ * table).
+ *
+ * The role comes from the token; what it grants is looked up on each
+ * request, so changes to a role's permissions apply at once. With an API
+ * key, the permission must also be in the key's scopes.
+ *
+ * If not logged in, raises Unauthorized; if not permitted (or an admin
+ * without the two-factor login REQUIRE_ADMIN_2FA asks for), raises Forbidden.
+ */
+
+function requirePermission(permission) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+      if (adminLacks2fa(user)) throw new ForbiddenError(ADMIN_2FA_MESSAGE);
+      if (user.apiKey && !user.apiKey.scopes.includes(permission)) {
+        throw new ForbiddenError(`API key lacks scope: ${permission}`);
+      }
+
+      const permissions = await Role.permissions(user.role);
+      if (!permissions.includes(permission)) throw new ForbiddenError();
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Make middleware that allows the request only if the logged-in user is an
+ * admin or a member of the company whose handle getHandle(req) returns (by
+ * default, the route's :handle param). getHandle can be async, and can throw
+ * (say, NotFound for a missing job) to end the request.
+ *
+ * An API key counts as its user's membership only if scope (the permission
+ * the route needs, like "jobs:write") is in the key's scopes.
+ *
+ * If not logged in, raises Unauthorized; if neither, raises Forbidden.
+ */
+
+function ensureCompanyMemberOrAdmin(scope, getHandle = req => req.params.handle) {
+  return async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (!user) throw new UnauthorizedError();
+      if (isAdmin(user)) return next();
+      if (user.apiKey && !user.apiKey.scopes.includes(scope)) {
+        throw new ForbiddenError(`API key lacks scope: ${scope}`);
+      }
+
+      const handle = await getHandle(req);
+      if (!await Company.isMember(handle, user.username)) {
+        throw new ForbiddenError();
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
 
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
-  requireAdmin
+  requireAdmin,
+  isAdmin,
+  isCorrectUser,
+  anyOf,
+  ensurePolicy,
+  ensureCorrectUserOrAdmin,
+  requirePermission,
+  ensureCompanyMemberOrAdmin,
 };
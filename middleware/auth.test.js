@@ -1,20 +1,41 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const {
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../expressError");
 const {
   authenticateJWT,
   ensureLoggedIn,
+  requireAdmin,
+  isAdmin,
+  isCorrectUser,
+  anyOf,
+  ensurePolicy,
+  ensureCorrectUserOrAdmin,
+  requirePermission,
+  ensureCompanyMemberOrAdmin,
 } = require("./auth");
 
 
+const db = require("../db");
+const TokenRevocation = require("../models/tokenRevocation");
+const ApiKey = require("../models/apiKey");
+const { createToken } = require("../helpers/tokens");
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
+const config = require("../config");
+const testJwt = createToken({ username: "test", isAdmin: false, role: "candidate" });
 const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
 
+afterAll(async function () {
+  await db.end();
+});
+
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  test("works: via header", async function () {
     expect.assertions(2);
      //there are multiple ways to pass an authorization token, this is how you pass it in the header.
     //this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
@@ -23,35 +44,116 @@ describe("authenticateJWT", function () {
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
+        exp: expect.any(Number),
+        jti: expect.any(String),
         username: "test",
         isAdmin: false,
+        role: "candidate",
+        mfa: false,
+        iatMs: expect.any(Number),
       },
     });
   });
 
-  test("works: no header", function () {
+  test("works: API key", async function () {
+    expect.assertions(4);
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    await db.beginTestTransaction();
+    try {
+      await db.query(
+          `INSERT INTO users (username, password, first_name, last_name, email, role)
+           VALUES ('test', 'x', 'T', 'T', 't@t.com', 'recruiter')`);
+      const { id, key } =
+          await ApiKey.create("test", { name: "k", scopes: ["jobs:write"] });
+      const user = {
+        username: "test",
+        role: "recruiter",
+        isAdmin: false,
+        apiKey: { id, scopes: ["jobs:write"] },
+      };
+
+      await authenticateJWT({ headers: { "x-api-key": key } }, res, next);
+      expect(res.locals.user).toEqual(user);
+
+      res.locals = {};
+      await authenticateJWT(
+          { headers: { authorization: `ApiKey ${key}` } }, res, next);
+      expect(res.locals.user).toEqual(user);
+    } finally {
+      await db.rollbackTestTransaction();
+    }
+  });
+
+  test("works: unknown API key", async function () {
+    expect.assertions(2);
+    const req = { headers: { "x-api-key": "jobly_nope" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: no header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token without jti", async function () {
+    expect.assertions(2);
+    const oldJwt = jwt.sign({ username: "test", role: "candidate" }, SECRET_KEY);
+    const req = { headers: { authorization: `Bearer ${oldJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: revoked token", async function () {
+    expect.assertions(2);
+    const { jti, exp } = jwt.verify(testJwt, SECRET_KEY);
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    await db.beginTestTransaction();
+    try {
+      await TokenRevocation.revoke(jti, exp);
+      await authenticateJWT(req, res, next);
+    } finally {
+      await db.rollbackTestTransaction();
+      TokenRevocation.clearCache();
+    }
     expect(res.locals).toEqual({});
   });
 });
@@ -77,4 +179,329 @@ describe("ensureLoggedIn", function () {
     };
     ensureLoggedIn(req, res, next);
   });
+
+  test("forbidden with an API key", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = {
+      locals: { user: { username: "test", apiKey: { id: 1, scopes: ["jobs:write"] } } },
+    };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    ensureLoggedIn(req, res, next);
+  });
+});
+
+
+describe("requireAdmin", function () {
+  test("works", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    requireAdmin(req, res, next);
+  });
+
+  test("forbidden if not admin", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    requireAdmin(req, res, next);
+  });
+
+  test("forbidden if anon", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    requireAdmin(req, res, next);
+  });
+
+  describe("with REQUIRE_ADMIN_2FA", function () {
+    beforeEach(function () {
+      config.REQUIRE_ADMIN_2FA = true;
+    });
+
+    afterEach(function () {
+      config.REQUIRE_ADMIN_2FA = false;
+    });
+
+    test("works with two-factor login", function () {
+      expect.assertions(1);
+      const req = {};
+      const user = { username: "test", isAdmin: true, role: "admin", mfa: true };
+      const res = { locals: { user } };
+      const next = function (err) {
+        expect(err).toBeFalsy();
+      };
+      requireAdmin(req, res, next);
+    });
+
+    test("forbidden without two-factor login", function () {
+      expect.assertions(1);
+      const req = {};
+      const user = { username: "test", isAdmin: true, role: "admin", mfa: false };
+      const res = { locals: { user } };
+      const next = function (err) {
+        expect(err instanceof ForbiddenError).toBeTruthy();
+      };
+      requireAdmin(req, res, next);
+    });
+
+    test("isAdmin policy false without two-factor login", function () {
+      expect(isAdmin({ username: "a", isAdmin: true, role: "admin", mfa: false }))
+          .toBe(false);
+      expect(isAdmin({ username: "a", isAdmin: true, role: "admin", mfa: true }))
+          .toBe(true);
+    });
+  });
+});
+
+
+describe("policies", function () {
+  const req = { params: { username: "test" } };
+
+  test("isAdmin", function () {
+    expect(isAdmin({ username: "a", isAdmin: true })).toBe(true);
+    expect(isAdmin({ username: "a", isAdmin: false })).toBe(false);
+    expect(isAdmin({ username: "a", is_admin: true })).toBe(false);
+  });
+
+  test("isCorrectUser", function () {
+    expect(isCorrectUser({ username: "test" }, req)).toBe(true);
+    expect(isCorrectUser({ username: "other" }, req)).toBe(false);
+    expect(isCorrectUser({ username: "test", apiKey: { id: 1, scopes: [] } }, req))
+        .toBe(false);
+  });
+
+  test("anyOf", function () {
+    const policy = anyOf(isCorrectUser, isAdmin);
+    expect(policy({ username: "test", isAdmin: false }, req)).toBe(true);
+    expect(policy({ username: "other", isAdmin: true }, req)).toBe(true);
+    expect(policy({ username: "other", isAdmin: false }, req)).toBe(false);
+  });
+});
+
+
+describe("ensurePolicy", function () {
+  test("works: passes user and req to policy", function () {
+    expect.assertions(2);
+    const req = { params: { id: "1" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const policy = (user, r) => user.username === "test" && r.params.id === "1";
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensurePolicy(policy)(req, res, next);
+    ensurePolicy(() => true)(req, res, next);
+  });
+
+  test("forbidden if policy fails", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", isAdmin: true } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    ensurePolicy(() => false)(req, res, next);
+  });
+
+  test("unauth if anon", function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensurePolicy(() => true)(req, res, next);
+  });
+});
+
+
+describe("ensureCorrectUserOrAdmin", function () {
+  test("works: same user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+
+  test("works: admin", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+
+  test("forbidden if other user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "other", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+
+  test("unauth if anon", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+});
+
+
+describe("requirePermission", function () {
+  test("works", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", role: "recruiter" } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await requirePermission("jobs:write")(req, res, next);
+  });
+
+  test("forbidden if role lacks permission", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", role: "recruiter" } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    await requirePermission("companies:write")(req, res, next);
+  });
+
+  test("forbidden for admin without two-factor login if required", async function () {
+    expect.assertions(2);
+    const req = {};
+    const user = { username: "test", isAdmin: true, role: "admin" };
+    config.REQUIRE_ADMIN_2FA = true;
+    try {
+      await requirePermission("companies:write")(
+          req, { locals: { user } }, err => expect(err instanceof ForbiddenError).toBeTruthy());
+      await requirePermission("companies:write")(
+          req, { locals: { user: { ...user, mfa: true } } }, err => expect(err).toBeFalsy());
+    } finally {
+      config.REQUIRE_ADMIN_2FA = false;
+    }
+  });
+
+  test("API key: only its scopes", async function () {
+    expect.assertions(2);
+    const req = {};
+    const user = {
+      username: "test",
+      role: "recruiter",
+      apiKey: { id: 1, scopes: ["applications:read"] },
+    };
+    await requirePermission("applications:read")(
+        req, { locals: { user } }, err => expect(err).toBeFalsy());
+    await requirePermission("jobs:write")(
+        req, { locals: { user } }, err => expect(err instanceof ForbiddenError).toBeTruthy());
+  });
+
+  test("forbidden for unknown role or no role", async function () {
+    expect.assertions(2);
+    const req = {};
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    await requirePermission("jobs:write")(
+        req, { locals: { user: { username: "test", role: "nope" } } }, next);
+    await requirePermission("jobs:write")(
+        req, { locals: { user: { username: "test", isAdmin: true } } }, next);
+  });
+
+  test("unauth if anon", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await requirePermission("jobs:write")(req, res, next);
+  });
+});
+
+
+describe("ensureCompanyMemberOrAdmin", function () {
+  test("works: admin", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureCompanyMemberOrAdmin("jobs:write")(req, res, next);
+  });
+
+  test("forbidden if not a member", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "nope" } };
+    const res = { locals: { user: { username: "test", role: "recruiter" } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    await ensureCompanyMemberOrAdmin("jobs:write")(req, res, next);
+  });
+
+  test("passes on errors from getHandle", async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user: { username: "test", role: "recruiter" } } };
+    const getHandle = async () => {
+      throw new NotFoundError();
+    };
+    const next = function (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    };
+    await ensureCompanyMemberOrAdmin("jobs:write", getHandle)(req, res, next);
+  });
+
+  test("forbidden with an API key without the scope", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = {
+      locals: {
+        user: {
+          username: "test",
+          role: "recruiter",
+          apiKey: { id: 1, scopes: ["applications:read"] },
+        },
+      },
+    };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    await ensureCompanyMemberOrAdmin("jobs:write")(req, res, next);
+  });
+
+  test("unauth if anon", async function () {
+    expect.assertions(1);
+    const req = { params: { handle: "c1" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    await ensureCompanyMemberOrAdmin("jobs:write")(req, res, next);
+  });
 });
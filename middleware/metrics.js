@@ -0,0 +1,55 @@
+"use strict";
+
+/** Request metrics middleware. */
+
+const { counter, histogram } = require("../helpers/metrics");
+
+const requests = counter(
+    "jobly_http_requests_total",
+    "HTTP requests, by method, route and status",
+    ["method", "route", "status"]);
+
+const requestDuration = histogram(
+    "jobly_http_request_duration_seconds",
+    "How long HTTP requests took to respond to, by method, route and status",
+    ["method", "route", "status"]);
+
+/** Route label for requests that didn't match a route (like 404s). */
+const UNMATCHED = "unmatched";
+
+/** Middleware: count each request and time how long it takes, by its route's
+ * pattern (like "/companies/:handle", so every company's requests are
+ * counted together), once the response has been sent.
+ *
+ * The pattern is noted when Express matches the route, since Express resets
+ * req.baseUrl (where the route's router is mounted) if an error leaves the
+ * router.
+ */
+
+function trackRequests(req, res, next) {
+  const done = requestDuration.startTimer();
+  let route;
+  let label = UNMATCHED;
+
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set(matched) {
+      route = matched;
+      // a router's own "/" is just where it's mounted, like "/companies"
+      label = (req.baseUrl + matched.path).replace(/(.)\/$/, "$1");
+    },
+  });
+
+  res.on("finish", function () {
+    const labels = { method: req.method, route: label, status: res.statusCode };
+    requests.inc(labels);
+    done(labels);
+  });
+
+  return next();
+}
+
+
+module.exports = { trackRequests, UNMATCHED };
@@ -0,0 +1,37 @@
+"use strict";
+
+const express = require("express");
+const request = require("supertest");
+
+const { trackRequests } = require("./metrics");
+const { render, resetMetrics } = require("../helpers/metrics");
+
+const app = express();
+app.use(trackRequests);
+const router = new express.Router();
+router.get("/", (req, res) => res.send("list"));
+router.get("/:id", (req, res, next) => next(new Error("boom")));
+app.use("/things", router);
+app.use((err, req, res, next) => res.status(500).send(err.message));
+
+afterEach(resetMetrics);
+
+describe("trackRequests", function () {
+  test("labels a router's own / with where it's mounted", async function () {
+    await request(app).get("/things");
+    expect(render()).toContain(
+        'jobly_http_requests_total{method="GET",route="/things",status="200"} 1');
+  });
+
+  test("keeps the route when an error leaves the router", async function () {
+    await request(app).get("/things/1");
+    expect(render()).toContain(
+        'jobly_http_requests_total{method="GET",route="/things/:id",status="500"} 1');
+  });
+
+  test("labels requests matching no route as unmatched", async function () {
+    await request(app).get("/nope");
+    expect(render()).toContain(
+        'jobly_http_requests_total{method="GET",route="unmatched",status="404"} 1');
+  });
+});
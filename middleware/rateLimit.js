@@ -0,0 +1,129 @@
+"use strict";
+
+/** Rate limiting middleware. */
+
+const { TooManyRequestsError } = require("../expressError");
+const { RATE_LIMIT_STORE } = require("../config");
+const RateLimit = require("../models/rateLimit");
+
+/** How often to drop ended windows from the default store, so it doesn't
+ * keep a count for every client ever seen.
+ */
+const SWEEP_SECONDS = 60;
+
+/** Rate limit counts kept in this process. Stores have two methods,
+ * hit(key, windowSeconds) => { count, resetAt } and removeExpired(); see
+ * models/rateLimit.js for the Postgres one.
+ */
+
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  async hit(key, windowSeconds) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowSeconds * 1000 };
+      this.windows.set(key, window);
+    }
+    window.count++;
+
+    return { count: window.count, resetAt: new Date(window.resetAt) };
+  }
+
+  /** Forget counts for windows that have ended. */
+
+  async removeExpired() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+
+  /** Forget all counts. */
+
+  reset() {
+    this.windows.clear();
+  }
+}
+
+/** The store rate limits use unless given another (see RATE_LIMIT_STORE). */
+const memoryStore = new MemoryStore();
+const defaultStore = RATE_LIMIT_STORE === "postgres" ? RateLimit : memoryStore;
+
+// unref'd, so it doesn't keep the process (or a test run) alive
+setInterval(function () {
+  defaultStore.removeExpired().catch(function (err) {
+    console.error("Removing expired rate limits failed:", err.message);
+  });
+}, SWEEP_SECONDS * 1000).unref();
+
+/** Ways to tell clients apart, for keyBy. req.ip is the proxy's, not the
+ * client's, unless TRUST_PROXY is set (see config.js).
+ */
+const KEYS = {
+  ip: (req) => `ip:${req.ip}`,
+
+  // the API key or logged-in user, falling back to IP for anonymous requests
+  user: (req, res) => {
+    const user = res.locals.user;
+    if (user && user.apiKey) return `key:${user.apiKey.id}`;
+    if (user) return `user:${user.username}`;
+    return `ip:${req.ip}`;
+  },
+};
+
+/** Make middleware allowing each client at most limit requests every
+ * windowSeconds.
+ *
+ * - name: tells this limit's counts apart from other limits'
+ * - keyBy: "ip", "user" (API key, else username, else IP), or a function
+ *   (req, res) returning a key; "user" needs authenticateJWT to run first
+ * - store: where counts are kept (default: see RATE_LIMIT_STORE)
+ *
+ * Every response gets RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset (seconds until the window ends) headers. Requests over the
+ * limit get TooManyRequestsError, with Retry-After.
+ */
+
+function rateLimit({ name, limit, windowSeconds, keyBy = "user", store = defaultStore }) {
+  const keyFor = typeof keyBy === "function" ? keyBy : KEYS[keyBy];
+  if (!keyFor) throw new Error(`Unknown rate limit keyBy: ${keyBy}`);
+
+  return async function (req, res, next) {
+    try {
+      const key = `${name}:${keyFor(req, res)}`;
+      const { count, resetAt } = await store.hit(key, windowSeconds);
+      const resetIn = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set({
+        "RateLimit-Limit": String(limit),
+        "RateLimit-Remaining": String(Math.max(0, limit - count)),
+        "RateLimit-Reset": String(resetIn),
+      });
+
+      if (count > limit) {
+        throw new TooManyRequestsError(
+            `Rate limit exceeded; try again in ${resetIn} seconds`, resetIn);
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Forget all counts in the in-memory store: for tests. */
+
+function resetRateLimits() {
+  memoryStore.reset();
+}
+
+
+module.exports = {
+  rateLimit,
+  MemoryStore,
+  resetRateLimits,
+};
@@ -0,0 +1,149 @@
+"use strict";
+
+const { TooManyRequestsError } = require("../expressError");
+const { rateLimit, MemoryStore } = require("./rateLimit");
+
+/** A res with the bits rateLimit uses, recording headers set. */
+
+function fakeRes(user) {
+  return {
+    locals: { user },
+    headers: {},
+    set(headers) {
+      Object.assign(this.headers, headers);
+    },
+  };
+}
+
+/** Call middleware, resolving to what it passed to next. */
+
+function run(middleware, req, res) {
+  return new Promise(resolve => middleware(req, res, resolve));
+}
+
+
+describe("MemoryStore", function () {
+  test("counts hits in a window", async function () {
+    const store = new MemoryStore();
+    expect((await store.hit("a", 60)).count).toEqual(1);
+    expect((await store.hit("a", 60)).count).toEqual(2);
+    expect((await store.hit("b", 60)).count).toEqual(1);
+  });
+
+  test("starts a new window when the last has ended", async function () {
+    const store = new MemoryStore();
+    await store.hit("a", 60);
+    await store.hit("a", 60);
+    store.windows.get("a").resetAt = Date.now() - 1;
+
+    const { count, resetAt } = await store.hit("a", 60);
+    expect(count).toEqual(1);
+    expect(resetAt.getTime()).toBeGreaterThan(Date.now() + 59000);
+  });
+
+  test("removeExpired", async function () {
+    const store = new MemoryStore();
+    await store.hit("a", 60);
+    await store.hit("b", 60);
+    store.windows.get("a").resetAt = Date.now() - 1;
+
+    await store.removeExpired();
+    expect([...store.windows.keys()]).toEqual(["b"]);
+  });
+
+  test("reset", async function () {
+    const store = new MemoryStore();
+    await store.hit("a", 60);
+    store.reset();
+    expect((await store.hit("a", 60)).count).toEqual(1);
+  });
+});
+
+
+describe("rateLimit", function () {
+  const req = { ip: "10.0.0.1" };
+
+  test("works: under the limit", async function () {
+    const limit = rateLimit(
+        { name: "t", limit: 2, windowSeconds: 60, store: new MemoryStore() });
+    const res = fakeRes();
+
+    expect(await run(limit, req, res)).toBeUndefined();
+    expect(res.headers).toEqual({
+      "RateLimit-Limit": "2",
+      "RateLimit-Remaining": "1",
+      "RateLimit-Reset": "60",
+    });
+  });
+
+  test("over the limit", async function () {
+    const limit = rateLimit(
+        { name: "t", limit: 2, windowSeconds: 60, store: new MemoryStore() });
+    await run(limit, req, fakeRes());
+    await run(limit, req, fakeRes());
+
+    const res = fakeRes();
+    const err = await run(limit, req, res);
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+    expect(err.status).toEqual(429);
+    expect(err.retryAfter).toEqual(60);
+    expect(res.headers["RateLimit-Remaining"]).toEqual("0");
+  });
+
+  test("keys by user, then API key, then IP", async function () {
+    const store = new MemoryStore();
+    const limit = rateLimit({ name: "t", limit: 1, windowSeconds: 60, store });
+
+    await run(limit, req, fakeRes({ username: "u1" }));
+    await run(limit, req, fakeRes({ username: "u1", apiKey: { id: 3 } }));
+    await run(limit, req, fakeRes());
+
+    expect([...store.windows.keys()]).toEqual(
+        ["t:user:u1", "t:key:3", "t:ip:10.0.0.1"]);
+    // a different user from the same IP isn't limited
+    expect(await run(limit, req, fakeRes({ username: "u2" }))).toBeUndefined();
+  });
+
+  test("keys by IP", async function () {
+    const limit = rateLimit({
+      name: "t", limit: 1, windowSeconds: 60, keyBy: "ip",
+      store: new MemoryStore(),
+    });
+
+    await run(limit, req, fakeRes({ username: "u1" }));
+    const err = await run(limit, req, fakeRes({ username: "u2" }));
+    expect(err instanceof TooManyRequestsError).toBeTruthy();
+  });
+
+  test("keys by function", async function () {
+    const store = new MemoryStore();
+    const limit = rateLimit({
+      name: "t", limit: 1, windowSeconds: 60, store,
+      keyBy: (req) => req.params.handle,
+    });
+
+    await run(limit, { params: { handle: "c1" } }, fakeRes());
+    expect([...store.windows.keys()]).toEqual(["t:c1"]);
+  });
+
+  test("limits are separate by name", async function () {
+    const store = new MemoryStore();
+    const a = rateLimit({ name: "a", limit: 1, windowSeconds: 60, store });
+    const b = rateLimit({ name: "b", limit: 1, windowSeconds: 60, store });
+
+    await run(a, req, fakeRes());
+    expect(await run(b, req, fakeRes())).toBeUndefined();
+  });
+
+  test("passes on store errors", async function () {
+    const store = { hit: async () => { throw new Error("down"); } };
+    const limit = rateLimit({ name: "t", limit: 1, windowSeconds: 60, store });
+
+    expect((await run(limit, req, fakeRes())).message).toEqual("down");
+  });
+
+  test("unknown keyBy", function () {
+    expect(() => rateLimit({ name: "t", limit: 1, windowSeconds: 60, keyBy: "nope" }))
+        .toThrow("Unknown rate limit keyBy: nope");
+  });
+});
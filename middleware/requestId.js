@@ -0,0 +1,25 @@
+"use strict";
+
+/** Request ID middleware. */
+
+const crypto = require("crypto");
+
+/** What we'll accept as a request ID from the client (or a proxy). */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/** Middleware: give each request an ID, as req.id and the X-Request-Id
+ * response header, to tie a client's report of an error to our logs.
+ *
+ * Uses the request's own X-Request-Id if it has a sensible one (say, from a
+ * load balancer), else makes one up.
+ */
+
+function requestId(req, res, next) {
+  const given = req.get("X-Request-Id");
+  req.id = given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  return next();
+}
+
+
+module.exports = { requestId };
@@ -0,0 +1,43 @@
+"use strict";
+
+const { requestId } = require("./requestId");
+
+/** A req with the given X-Request-Id, and a res recording headers set. */
+
+function fake(given) {
+  const req = { get: () => given };
+  const res = {
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+  };
+  return { req, res };
+}
+
+describe("requestId", function () {
+  test("works: makes one up", function () {
+    expect.assertions(2);
+    const { req, res } = fake(undefined);
+    requestId(req, res, function () {
+      expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(res.headers["X-Request-Id"]).toEqual(req.id);
+    });
+  });
+
+  test("works: uses the request's own", function () {
+    expect.assertions(1);
+    const { req, res } = fake("lb-42");
+    requestId(req, res, function () {
+      expect(req.id).toEqual("lb-42");
+    });
+  });
+
+  test("ignores a strange one", function () {
+    expect.assertions(1);
+    const { req, res } = fake("<script>");
+    requestId(req, res, function () {
+      expect(req.id).not.toEqual("<script>");
+    });
+  });
+});
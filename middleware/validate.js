@@ -0,0 +1,37 @@
+"use strict";
+
+/** Request validation middleware. */
+
+const { assertValid, MAX_INTEGER } = require("../helpers/validation");
+const { NotFoundError } = require("../expressError");
+
+/** Middleware: validate the request's body (or source, like "query") against
+ * schema.
+ *
+ * If invalid, passes on BadRequestError listing what's wrong (see
+ * helpers/validation.js).
+ */
+
+function validate(schema, source = "body") {
+  return function (req, res, next) {
+    try {
+      assertValid(req[source], schema);
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/** Param handler for numeric ids (routes match them with :id(\\d+)), for
+ * router.param("id", checkId): an id too big for an INTEGER column can't be
+ * found, so it's NotFound rather than a database error.
+ */
+
+function checkId(req, res, next, id) {
+  if (+id > MAX_INTEGER) return next(new NotFoundError(`Not found: ${id}`));
+  return next();
+}
+
+
+module.exports = { validate, checkId };
@@ -0,0 +1,58 @@
+"use strict";
+
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { validate, checkId } = require("./validate");
+
+const schema = {
+  type: "object",
+  properties: { token: { type: "string" } },
+  required: ["token"],
+};
+
+describe("validate", function () {
+  test("works: valid body", function () {
+    expect.assertions(1);
+    const req = { body: { token: "t" } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    validate(schema)(req, {}, next);
+  });
+
+  test("invalid body", function () {
+    expect.assertions(2);
+    const req = { body: {} };
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.errors).toEqual([
+        { field: "token", rule: "required", message: "token is required" },
+      ]);
+    };
+    validate(schema)(req, {}, next);
+  });
+
+  test("works: query", function () {
+    expect.assertions(1);
+    const req = { body: {}, query: { token: "t" } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    validate(schema, "query")(req, {}, next);
+  });
+});
+
+describe("checkId", function () {
+  test("works", function () {
+    expect.assertions(1);
+    checkId({}, {}, function (err) {
+      expect(err).toBeFalsy();
+    }, "2147483647");
+  });
+
+  test("not found if too big for an INTEGER", function () {
+    expect.assertions(1);
+    checkId({}, {}, function (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }, "2147483648");
+  });
+});
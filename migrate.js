@@ -0,0 +1,71 @@
+"use strict";
+
+/** Command line for database migrations (see helpers/migrations.js).
+ *
+ *   node migrate.js up            apply all pending migrations
+ *   node migrate.js down [steps]  undo the latest (or latest steps) migrations
+ *   node migrate.js status        list migrations and whether they're applied
+ *   node migrate.js create name   make files for a new migration
+ *
+ * Migrates the database config.js picks: set NODE_ENV=test for jobly_test.
+ */
+
+const {
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  createMigration,
+} = require("./helpers/migrations");
+
+const USAGE = "Usage: node migrate.js up | down [steps] | status | create name";
+
+/** Run the migration command in args; returns the lines to print. */
+
+async function main([command, arg]) {
+  if (command === "create") {
+    if (!arg) throw new Error(USAGE);
+    const { up, down } = createMigration(arg);
+    return [`Created ${up}`, `Created ${down}`];
+  }
+
+  if (!["up", "down", "status"].includes(command)) throw new Error(USAGE);
+
+  const db = require("./db");
+  // one connection for it all: migrations' transactions and lock are its
+  const client = await db.pool.connect();
+  try {
+    if (command === "up") {
+      const done = await migrateUp(client);
+      if (done.length === 0) return ["Nothing to migrate"];
+      return done.map(m => `Applied ${m.version}_${m.name}`);
+    }
+
+    if (command === "down") {
+      const steps = arg === undefined ? 1 : +arg;
+      if (!Number.isInteger(steps) || steps < 1) throw new Error(USAGE);
+      const done = await migrateDown(client, { steps });
+      if (done.length === 0) return ["Nothing to undo"];
+      return done.map(m => `Undid ${m.version}_${m.name}`);
+    }
+
+    const migrations = await migrationStatus(client);
+    return migrations.map(m =>
+      `${m.appliedAt ? m.appliedAt.toISOString() : "pending".padEnd(24)}  ` +
+      `${m.version}_${m.name}`);
+  } finally {
+    client.release();
+    await db.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+      .then(lines => console.log(lines.join("\n")))
+      .catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+      });
+}
+
+
+module.exports = { main };
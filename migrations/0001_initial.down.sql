@@ -0,0 +1,23 @@
+DROP TABLE application_transitions;
+DROP TABLE applications;
+DROP TABLE jobs;
+DROP TABLE company_members;
+DROP TABLE mail_outbox;
+DROP TABLE rate_limits;
+DROP TABLE login_failures;
+DROP TABLE api_keys;
+DROP TABLE recovery_codes;
+DROP TABLE user_totp;
+DROP TABLE email_verification_tokens;
+DROP TABLE password_reset_tokens;
+DROP TABLE revoked_user_tokens;
+DROP TABLE revoked_tokens;
+DROP TABLE refresh_tokens;
+DROP TABLE users;
+DROP TABLE role_permissions;
+DROP TABLE permissions;
+DROP TABLE roles;
+DROP TABLE companies;
+
+DROP FUNCTION jobs_search_vector_update();
+DROP FUNCTION companies_refresh_job_search();
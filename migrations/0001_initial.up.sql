@@ -0,0 +1,269 @@
+CREATE TABLE companies (
+  handle VARCHAR(25) PRIMARY KEY CHECK (handle = lower(handle)),
+  name TEXT UNIQUE NOT NULL,
+  num_employees INTEGER CHECK (num_employees >= 0),
+  description TEXT NOT NULL,
+  logo_url TEXT
+);
+
+-- Access control. Each user has one role; a role grants a set of
+-- permissions, which routes check with requirePermission.
+CREATE TABLE roles (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE permissions (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE role_permissions (
+  role TEXT
+    REFERENCES roles ON DELETE CASCADE,
+  permission TEXT
+    REFERENCES permissions ON DELETE CASCADE,
+  PRIMARY KEY (role, permission)
+);
+
+INSERT INTO roles (name, description)
+VALUES ('admin', 'Full access'),
+       ('recruiter', 'Posts jobs and reviews applications'),
+       ('candidate', 'Applies for jobs'),
+       ('auditor', 'Read-only access to applications');
+
+INSERT INTO permissions (name, description)
+VALUES ('companies:write', 'Create, update and delete companies'),
+       ('jobs:write', 'Create, update and delete jobs'),
+       ('applications:read', 'View the applications to a job');
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('admin', 'companies:write'),
+       ('admin', 'jobs:write'),
+       ('admin', 'applications:read'),
+       ('recruiter', 'jobs:write'),
+       ('recruiter', 'applications:read'),
+       ('auditor', 'applications:read');
+
+CREATE TABLE users (
+  username VARCHAR(25) PRIMARY KEY,
+  password TEXT NOT NULL,
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  email TEXT NOT NULL
+    CHECK (position('@' IN email) > 1),
+  email_verified_at TIMESTAMPTZ,
+  role TEXT NOT NULL DEFAULT 'candidate'
+    REFERENCES roles
+);
+
+-- Refresh tokens, stored as SHA-256 hashes. Each refresh replaces the token
+-- used (used_at is set) with a new one in the same family; replaying a used
+-- token revokes the whole family.
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  family_id UUID NOT NULL,
+  mfa BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX refresh_tokens_family_id_idx ON refresh_tokens (family_id);
+
+-- Revoked access tokens: single tokens by jti (on logout), kept until they
+-- would have expired anyway, and all of a user's tokens issued up to a time
+-- (on password or role change).
+CREATE TABLE revoked_tokens (
+  jti UUID PRIMARY KEY,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE revoked_user_tokens (
+  username VARCHAR(25) PRIMARY KEY
+    REFERENCES users ON DELETE CASCADE,
+  revoked_at TIMESTAMPTZ NOT NULL
+);
+
+-- Password reset tokens, stored as SHA-256 hashes; each can be used once.
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+-- Email verification tokens, stored as SHA-256 hashes. A token verifies the
+-- address it was sent to, so it's useless once the user's email changes.
+CREATE TABLE email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+-- TOTP two-factor authentication (RFC 6238). The secret is needed to check
+-- codes, so it can't be hashed. enabled_at is set once the user confirms
+-- enrollment with a code; last_used_step stops a code being used twice.
+CREATE TABLE user_totp (
+  username VARCHAR(25) PRIMARY KEY
+    REFERENCES users ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  enabled_at TIMESTAMPTZ,
+  last_used_step BIGINT
+);
+
+-- Single-use codes to log in when the authenticator is lost, stored as
+-- SHA-256 hashes.
+CREATE TABLE recovery_codes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+-- Personal API keys for integrations, stored as SHA-256 hashes. prefix is
+-- the start of the key, kept so users can tell their keys apart. A key can
+-- only use the permissions in its scopes.
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  prefix TEXT NOT NULL,
+  key_hash TEXT UNIQUE NOT NULL,
+  scopes TEXT[] NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+-- Recent failed logins, by username and by client IP, for backoff and
+-- lockout (see models/loginThrottle.js).
+CREATE TABLE login_failures (
+  kind TEXT CHECK (kind IN ('username', 'ip')),
+  key TEXT,
+  failures INTEGER NOT NULL,
+  last_failed_at TIMESTAMPTZ NOT NULL,
+  locked_until TIMESTAMPTZ,
+  PRIMARY KEY (kind, key)
+);
+
+-- Request counts for rate limiting, when kept in Postgres (see
+-- middleware/rateLimit.js): one row per limit and client, counting requests
+-- in the window that ends at reset_at.
+CREATE TABLE rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+
+-- Email written by the default mailer (see helpers/mailer.js) instead of
+-- being sent.
+CREATE TABLE mail_outbox (
+  id SERIAL PRIMARY KEY,
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Recruiters who can post and edit jobs for a company.
+CREATE TABLE company_members (
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  added_by VARCHAR(25),
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (company_handle, username)
+);
+
+CREATE TABLE jobs (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  salary INTEGER CHECK (salary >= 0),
+  equity NUMERIC CHECK (equity <= 1.0),
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON DELETE CASCADE
+);
+
+CREATE TABLE applications (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('interested', 'applied', 'interviewing', 'offered',
+                     'accepted', 'rejected', 'withdrawn')),
+  PRIMARY KEY (username, job_id)
+);
+
+-- One row per change of application state, including the initial one
+-- (from_state NULL), so there is a timestamp for each step.
+CREATE TABLE application_transitions (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_state TEXT,
+  to_state TEXT NOT NULL,
+  changed_by VARCHAR(25),
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+-- Full-text search. Companies are searched on name (weighted highest) and
+-- description; jobs on title and the name of the company posting them. The
+-- company name lives in another table, so jobs keep theirs up to date with
+-- triggers rather than a generated column.
+
+ALTER TABLE companies ADD COLUMN search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', name), 'A') ||
+    setweight(to_tsvector('english', description), 'B')
+  ) STORED;
+
+CREATE INDEX companies_search_idx ON companies USING GIN (search_vector);
+
+ALTER TABLE jobs ADD COLUMN search_vector tsvector;
+
+CREATE INDEX jobs_search_idx ON jobs USING GIN (search_vector);
+
+CREATE FUNCTION jobs_search_vector_update() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', NEW.title), 'A') ||
+    setweight(to_tsvector('english', coalesce(
+      (SELECT name FROM companies WHERE handle = NEW.company_handle), '')), 'B');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER jobs_search_vector
+  BEFORE INSERT OR UPDATE OF title, company_handle ON jobs
+  FOR EACH ROW EXECUTE FUNCTION jobs_search_vector_update();
+
+CREATE FUNCTION companies_refresh_job_search() RETURNS trigger AS $$
+BEGIN
+  UPDATE jobs SET title = title WHERE company_handle = NEW.handle;
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER companies_refresh_job_search
+  AFTER UPDATE OF name ON companies
+  FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+  EXECUTE FUNCTION companies_refresh_job_search();
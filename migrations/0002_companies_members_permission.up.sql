@@ -0,0 +1,8 @@
+-- Adding and removing a company's recruiters is its own permission, so an
+-- API key can only do it with that scope.
+INSERT INTO permissions (name, description)
+VALUES ('companies:members', 'Add and remove a company''s recruiters');
+
+INSERT INTO role_permissions (role, permission)
+VALUES ('admin', 'companies:members'),
+       ('recruiter', 'companies:members');
@@ -2,12 +2,17 @@ const bcrypt = require("bcrypt");
 
 const db = require("../db.js");
 const { BCRYPT_WORK_FACTOR } = require("../config");
+const TokenRevocation = require("./tokenRevocation");
+
+const testJobIds = [];
 
 async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
+  // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM mail_outbox");
 
   await db.query("DELETE FROM jobs");
 
@@ -31,21 +36,25 @@ async function commonBeforeAll() {
         await bcrypt.hash("password2", BCRYPT_WORK_FACTOR),
       ]);
 
-  await db.query(`
+  const resultsJobs = await db.query(`
   INSERT INTO jobs(title, salary, equity, company_handle)
   VALUES ('t1', 10000, 0.01, 'c1'),
-         ('t2', 10000, NULL, 'c1'),
-         ('t3', 10000, 0.008, 'c3')`);
+         ('t2', 20000, NULL, 'c1'),
+         ('t3', 30000, 0, 'c3'),
+         ('t1', 40000, 0.5, 'c2')
+  RETURNING id`);
+  testJobIds.splice(0, testJobIds.length, ...resultsJobs.rows.map(r => r.id));
 }
 
 
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  await db.beginTestTransaction();
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  await db.rollbackTestTransaction();
+  TokenRevocation.clearCache();
 }
 
 async function commonAfterAll() {
@@ -58,4 +67,5 @@ module.exports = {
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 };
\ No newline at end of file
@@ -0,0 +1,129 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const { hashToken } = require("../helpers/tokens");
+
+/** Start of every key, so they're easy to spot (say, by secret scanners). */
+const KEY_PREFIX = "jobly_";
+
+/** How much of a key is kept to identify it. */
+const SHOWN_LENGTH = KEY_PREFIX.length + 6;
+
+/** Related functions for personal API keys.
+ *
+ * A user can create keys for integrations to call the API as them, without
+ * their password. Each key has scopes: the permissions (see the permissions
+ * table) it can use, which its user's role must also grant. The key itself
+ * is only returned when created; only its hash is stored.
+ */
+
+class ApiKey {
+  /** Create an API key for username with data { name, scopes }.
+   *
+   * Returns { id, name, prefix, scopes, createdAt, lastUsedAt, key }
+   *
+   * Throws NotFoundError if user not found, BadRequestError if their role
+   * doesn't grant every scope.
+   **/
+
+  static async create(username, { name, scopes }) {
+    return db.withTransaction(async () => {
+      const userRes = await db.query(
+            `SELECT u.role, ARRAY_REMOVE(ARRAY_AGG(rp.permission), NULL) AS permissions
+             FROM users AS u
+               LEFT JOIN role_permissions AS rp ON rp.role = u.role
+             WHERE u.username = $1
+             GROUP BY u.username`,
+          [username]);
+      const user = userRes.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+
+      const notGranted = scopes.filter(s => !user.permissions.includes(s));
+      if (notGranted.length > 0) {
+        throw new BadRequestError(
+            `Role ${user.role} doesn't grant: ${notGranted.join(", ")}`);
+      }
+
+      const key = KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+      const result = await db.query(
+            `INSERT INTO api_keys (username, name, prefix, key_hash, scopes)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id, name, prefix, scopes,
+                       created_at AS "createdAt", last_used_at AS "lastUsedAt"`,
+          [username, name, key.slice(0, SHOWN_LENGTH), hashToken(key),
+            [...new Set(scopes)].sort()]);
+
+      return { ...result.rows[0], key };
+    });
+  }
+
+  /** Find username's API keys that haven't been revoked.
+   *
+   * Returns [{ id, name, prefix, scopes, createdAt, lastUsedAt }, ...],
+   *   oldest first
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async findForUser(username) {
+    const userRes = await db.query(
+      `SELECT username FROM users WHERE username = $1`, [username]
+    );
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+          `SELECT id, name, prefix, scopes,
+                  created_at AS "createdAt", last_used_at AS "lastUsedAt"
+           FROM api_keys
+           WHERE username = $1 AND revoked_at IS NULL
+           ORDER BY id`,
+        [username]);
+
+    return result.rows;
+  }
+
+  /** Revoke username's API key with id; returns undefined.
+   *
+   * Throws NotFoundError if they have no such key.
+   **/
+
+  static async revoke(username, id) {
+    const result = await db.query(
+          `UPDATE api_keys
+           SET revoked_at = NOW()
+           WHERE id = $1 AND username = $2 AND revoked_at IS NULL
+           RETURNING id`,
+        [id, username]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No API key: ${id}`);
+  }
+
+  /** Given an API key, return who it's for and what it can do, recording
+   * that it was used.
+   *
+   * Returns { id, username, role, scopes }, or undefined if the key is
+   * unknown or revoked.
+   **/
+
+  static async authenticate(key) {
+    const result = await db.query(
+          `UPDATE api_keys AS k
+           SET last_used_at = NOW()
+           FROM users AS u
+           WHERE k.key_hash = $1
+             AND k.revoked_at IS NULL
+             AND u.username = k.username
+           RETURNING k.id, k.username, u.role, k.scopes`,
+        [hashToken(key)]);
+
+    return result.rows[0];
+  }
+}
+
+
+module.exports = ApiKey;
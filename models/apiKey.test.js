@@ -0,0 +1,138 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const ApiKey = require("./apiKey.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+beforeEach(async function () {
+  await db.query("UPDATE users SET role = 'recruiter' WHERE username = 'u1'");
+});
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const apiKey = await ApiKey.create("u1",
+        { name: "ATS sync", scopes: ["jobs:write", "applications:read"] });
+    expect(apiKey).toEqual({
+      id: expect.any(Number),
+      name: "ATS sync",
+      prefix: apiKey.key.slice(0, 12),
+      scopes: ["applications:read", "jobs:write"],
+      createdAt: expect.any(Date),
+      lastUsedAt: null,
+      key: expect.stringMatching(/^jobly_/),
+    });
+
+    const found = await db.query("SELECT key_hash FROM api_keys");
+    expect(found.rows[0].key_hash).not.toEqual(apiKey.key);
+  });
+
+  test("bad request for scope role doesn't grant", async function () {
+    try {
+      await ApiKey.create("u1", { name: "k", scopes: ["companies:write"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request for unknown scope", async function () {
+    try {
+      await ApiKey.create("u1", { name: "k", scopes: ["nope"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await ApiKey.create("nope", { name: "k", scopes: ["jobs:write"] });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works: without keys or revoked ones", async function () {
+    const first = await ApiKey.create("u1", { name: "a", scopes: ["jobs:write"] });
+    const second = await ApiKey.create("u1", { name: "b", scopes: ["jobs:write"] });
+    await ApiKey.revoke("u1", first.id);
+
+    const apiKeys = await ApiKey.findForUser("u1");
+    expect(apiKeys).toEqual([{
+      id: second.id,
+      name: "b",
+      prefix: second.prefix,
+      scopes: ["jobs:write"],
+      createdAt: expect.any(Date),
+      lastUsedAt: null,
+    }]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await ApiKey.findForUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("not found for another user's key", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "a", scopes: ["jobs:write"] });
+    try {
+      await ApiKey.revoke("u2", apiKey.id);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** authenticate */
+
+describe("authenticate", function () {
+  test("works: records use", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "a", scopes: ["jobs:write"] });
+    expect(await ApiKey.authenticate(apiKey.key)).toEqual({
+      id: apiKey.id,
+      username: "u1",
+      role: "recruiter",
+      scopes: ["jobs:write"],
+    });
+
+    const [found] = await ApiKey.findForUser("u1");
+    expect(found.lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  test("undefined if revoked", async function () {
+    const apiKey = await ApiKey.create("u1", { name: "a", scopes: ["jobs:write"] });
+    await ApiKey.revoke("u1", apiKey.id);
+    expect(await ApiKey.authenticate(apiKey.key)).toBeUndefined();
+  });
+
+  test("undefined if unknown", async function () {
+    expect(await ApiKey.authenticate("jobly_nope")).toBeUndefined();
+  });
+});
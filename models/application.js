@@ -0,0 +1,326 @@
+"use strict";
+
+const db = require("../db");
+// read at call time, not destructured, so the option can change at runtime
+const config = require("../config");
+const {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+  UnprocessableEntityError,
+} = require("../expressError");
+const { counter } = require("../helpers/metrics");
+const { duplicateError } = require("../helpers/dbErrors");
+
+const applicationsCreated = counter(
+    "jobly_applications_created_total",
+    "Applications created, by the state they started in",
+    ["state"]);
+
+/** States an application can move to from each state.
+ *
+ * accepted, rejected and withdrawn are final.
+ */
+const TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+/** States an application can be created in. */
+const INITIAL_STATES = ["interested", "applied"];
+
+/** Moves the applicant can make themselves; all others need an admin. */
+const APPLICANT_TRANSITIONS = {
+  interested: ["applied", "withdrawn"],
+  applied: ["withdrawn"],
+  interviewing: ["withdrawn"],
+  offered: ["accepted", "withdrawn"],
+};
+
+/** Throw ForbiddenError if the user with this email_verified_at can't apply
+ * yet: when REQUIRE_VERIFIED_EMAIL_TO_APPLY is set, only users with a
+ * verified email address can.
+ */
+
+function ensureCanApply(emailVerifiedAt) {
+  if (config.REQUIRE_VERIFIED_EMAIL_TO_APPLY && !emailVerifiedAt) {
+    throw new ForbiddenError("Verify your email address before applying");
+  }
+}
+
+/** Related functions for job applications. */
+
+class Application {
+  /** Can an application move from state `from` to state `to`?
+   *
+   * asAdmin allows the moves only an admin can make (interviewing, offered,
+   * rejected); otherwise only the applicant's own moves are allowed.
+   */
+
+  static canTransition(from, to, asAdmin = false) {
+    if (!(TRANSITIONS[from] || []).includes(to)) return false;
+    return asAdmin || (APPLICANT_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /** Create an application for username to job jobId, in state
+   * (default "applied").
+   *
+   * An application the user withdrew is reopened in state instead, keeping
+   * its history (which records the move from withdrawn).
+   *
+   * changedBy is the username making the change, recorded in the history.
+   *
+   * Returns { username, jobId, state }
+   *
+   * Throws NotFoundError if user or job not found, ConflictError if already
+   * applied (and not withdrawn), BadRequestError if state isn't a starting state, ForbiddenError
+   * if applying needs a verified email address the user doesn't have.
+   **/
+
+  static async create(username, jobId, state = "applied", changedBy = username) {
+    if (!INITIAL_STATES.includes(state)) {
+      throw new BadRequestError(`Applications cannot start as: ${state}`);
+    }
+
+    const application = await db.withTransaction(async () => {
+      const userResult = await db.query(
+        `SELECT username, email_verified_at FROM users WHERE username = $1`, [username]
+      );
+      if (!userResult.rows[0]) {
+        throw new NotFoundError(`No user: ${username}`);
+      }
+      if (state === "applied") ensureCanApply(userResult.rows[0].email_verified_at);
+
+      const jobResult = await db.query(
+        `SELECT id FROM jobs WHERE id = $1`, [jobId]
+      );
+      if (!jobResult.rows[0]) {
+        throw new NotFoundError(`No job: ${jobId}`);
+      }
+
+      const existingResult = await db.query(
+        `SELECT state FROM applications WHERE username = $1 AND job_id = $2 FOR UPDATE`,
+        [username, jobId]
+      );
+      const existing = existingResult.rows[0];
+      if (existing && existing.state !== "withdrawn") {
+        throw duplicateError("username,jobId", `${username}, ${jobId}`);
+      }
+
+      const result = existing
+          ? await db.query(
+                `UPDATE applications
+                 SET state = $3
+                 WHERE username = $1 AND job_id = $2
+                 RETURNING username, job_id AS "jobId", state`,
+              [username, jobId, state])
+          : await db.query(
+                `INSERT INTO applications (username, job_id, state)
+                 VALUES ($1, $2, $3)
+                 RETURNING username, job_id AS "jobId", state`,
+              [username, jobId, state]);
+
+      await db.query(
+            `INSERT INTO application_transitions
+             (username, job_id, from_state, to_state, changed_by)
+             VALUES ($1, $2, $3, $4, $5)`,
+          [username, jobId, existing ? existing.state : null, state, changedBy]);
+
+      return result.rows[0];
+    });
+
+    applicationsCreated.inc({ state });
+    return application;
+  }
+
+  /** Given a username and job id, return the application.
+   *
+   * Returns { username, jobId, state, history }
+   *   where history is [{ fromState, toState, changedBy, changedAt }, ...],
+   *   oldest first
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(username, jobId) {
+    const appRes = await db.query(
+          `SELECT username, job_id AS "jobId", state
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId]);
+
+    const application = appRes.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application for user: ${username}, job: ${jobId}`);
+    }
+
+    const historyRes = await db.query(
+          `SELECT from_state AS "fromState",
+                  to_state AS "toState",
+                  changed_by AS "changedBy",
+                  changed_at AS "changedAt"
+           FROM application_transitions
+           WHERE username = $1 AND job_id = $2
+           ORDER BY changed_at, id`,
+        [username, jobId]);
+
+    application.history = historyRes.rows;
+
+    return application;
+  }
+
+  /** Find all applications to job jobId.
+   *
+   * Returns [{ username, jobId, state, updatedAt }, ...]
+   *   where updatedAt is when the state last changed
+   *
+   * Throws NotFoundError if job not found.
+   **/
+
+  static async findForJob(jobId) {
+    const jobResult = await db.query(
+      `SELECT id FROM jobs WHERE id = $1`, [jobId]
+    );
+    if (!jobResult.rows[0]) {
+      throw new NotFoundError(`No job: ${jobId}`);
+    }
+
+    const result = await db.query(
+          `SELECT a.username,
+                  a.job_id AS "jobId",
+                  a.state,
+                  MAX(t.changed_at) AS "updatedAt"
+           FROM applications AS a
+             LEFT JOIN application_transitions AS t
+               ON t.username = a.username AND t.job_id = a.job_id
+           WHERE a.job_id = $1
+           GROUP BY a.username, a.job_id
+           ORDER BY a.username`,
+        [jobId]);
+
+    return result.rows;
+  }
+
+  /** Find all applications by user username, with the job and company
+   * applied to.
+   *
+   * Returns [{ jobId, state, updatedAt, job }, ...]
+   *   where job is { id, title, salary, equity, company }
+   *   and company is { handle, name, description, numEmployees, logoUrl },
+   *   most recently updated first
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async findForUser(username) {
+    const userResult = await db.query(
+      `SELECT username FROM users WHERE username = $1`, [username]
+    );
+    if (!userResult.rows[0]) {
+      throw new NotFoundError(`No user: ${username}`);
+    }
+
+    const result = await db.query(
+          `SELECT a.job_id AS "jobId",
+                  a.state,
+                  MAX(t.changed_at) AS "updatedAt",
+                  j.title,
+                  j.salary,
+                  j.equity,
+                  c.handle,
+                  c.name,
+                  c.description,
+                  c.num_employees AS "numEmployees",
+                  c.logo_url AS "logoUrl"
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+             JOIN companies AS c ON c.handle = j.company_handle
+             LEFT JOIN application_transitions AS t
+               ON t.username = a.username AND t.job_id = a.job_id
+           WHERE a.username = $1
+           GROUP BY a.username, a.job_id, j.id, c.handle
+           ORDER BY "updatedAt" DESC, a.job_id`,
+        [username]);
+
+    return result.rows.map(row => ({
+      jobId: row.jobId,
+      state: row.state,
+      updatedAt: row.updatedAt,
+      job: {
+        id: row.jobId,
+        title: row.title,
+        salary: row.salary,
+        equity: row.equity,
+        company: {
+          handle: row.handle,
+          name: row.name,
+          description: row.description,
+          numEmployees: row.numEmployees,
+          logoUrl: row.logoUrl,
+        },
+      },
+    }));
+  }
+
+  /** Move an application to state toState.
+   *
+   * changedBy is the username making the change; asAdmin allows the moves
+   * only admins can make (see canTransition).
+   *
+   * Returns { username, jobId, state, history }
+   *
+   * Throws NotFoundError if not found, UnprocessableEntityError if the
+   * workflow doesn't allow the move (from the application's current state),
+   * ForbiddenError if only an admin can make it or applying needs a verified
+   * email address the user doesn't have.
+   **/
+
+  static async transition(username, jobId, toState, { changedBy, asAdmin = false } = {}) {
+    return db.withTransaction(async () => {
+      const current = await db.query(
+            `SELECT a.state, u.email_verified_at
+             FROM applications AS a
+               JOIN users AS u ON u.username = a.username
+             WHERE a.username = $1 AND a.job_id = $2
+             FOR UPDATE OF a`,
+          [username, jobId]);
+
+      if (!current.rows[0]) {
+        throw new NotFoundError(`No application for user: ${username}, job: ${jobId}`);
+      }
+
+      const fromState = current.rows[0].state;
+
+      if (!(TRANSITIONS[fromState] || []).includes(toState)) {
+        throw new UnprocessableEntityError(`Cannot move application from ${fromState} to ${toState}`);
+      }
+      if (!Application.canTransition(fromState, toState, asAdmin)) {
+        throw new ForbiddenError(`Only an admin can move application from ${fromState} to ${toState}`);
+      }
+      if (toState === "applied") ensureCanApply(current.rows[0].email_verified_at);
+
+      await db.query(
+            `UPDATE applications
+             SET state = $3
+             WHERE username = $1 AND job_id = $2`,
+          [username, jobId, toState]);
+
+      await db.query(
+            `INSERT INTO application_transitions
+             (username, job_id, from_state, to_state, changed_by)
+             VALUES ($1, $2, $3, $4, $5)`,
+          [username, jobId, fromState, toState, changedBy]);
+
+      return Application.get(username, jobId);
+    });
+  }
+}
+
+
+module.exports = Application;
@@ -0,0 +1,313 @@
+"use strict";
+
+const db = require("../db.js");
+const {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+  ConflictError,
+  UnprocessableEntityError,
+} = require("../expressError");
+const Application = require("./application.js");
+const config = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** canTransition */
+
+describe("canTransition", function () {
+  test("works: applicant moves", function () {
+    expect(Application.canTransition("interested", "applied")).toBe(true);
+    expect(Application.canTransition("offered", "accepted")).toBe(true);
+    expect(Application.canTransition("interviewing", "withdrawn")).toBe(true);
+  });
+
+  test("works: admin-only moves", function () {
+    expect(Application.canTransition("applied", "interviewing")).toBe(false);
+    expect(Application.canTransition("applied", "interviewing", true)).toBe(true);
+    expect(Application.canTransition("offered", "rejected", true)).toBe(true);
+  });
+
+  test("works: not in workflow, even for admin", function () {
+    expect(Application.canTransition("applied", "accepted", true)).toBe(false);
+    expect(Application.canTransition("withdrawn", "applied", true)).toBe(false);
+    expect(Application.canTransition("rejected", "withdrawn", true)).toBe(false);
+    expect(Application.canTransition("nope", "applied", true)).toBe(false);
+  });
+});
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const application = await Application.create("u1", testJobIds[0]);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobIds[0],
+      state: "applied",
+    });
+  });
+
+  test("works: reopens a withdrawn application", async function () {
+    await Application.create("u1", testJobIds[0]);
+    await Application.transition("u1", testJobIds[0], "withdrawn",
+        { changedBy: "u1" });
+
+    const application = await Application.create("u1", testJobIds[0]);
+    expect(application.state).toEqual("applied");
+    const { history } = await Application.get("u1", testJobIds[0]);
+    expect(history.map(h => [h.fromState, h.toState])).toEqual([
+      [null, "applied"],
+      ["applied", "withdrawn"],
+      ["withdrawn", "applied"],
+    ]);
+  });
+
+  test("conflict if applied and not withdrawn", async function () {
+    await Application.create("u1", testJobIds[0]);
+    await expect(Application.create("u1", testJobIds[0]))
+        .rejects.toThrow(ConflictError);
+  });
+
+  test("bad request with non-initial state", async function () {
+    try {
+      await Application.create("u1", testJobIds[0], "offered");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    await Application.create("u1", testJobIds[0], "interested");
+    const application = await Application.get("u1", testJobIds[0]);
+    expect(application).toEqual({
+      username: "u1",
+      jobId: testJobIds[0],
+      state: "interested",
+      history: [
+        {
+          fromState: null,
+          toState: "interested",
+          changedBy: "u1",
+          changedAt: expect.any(Date),
+        },
+      ],
+    });
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.get("u1", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForJob */
+
+describe("findForJob", function () {
+  test("works", async function () {
+    await Application.create("u1", testJobIds[0]);
+    await Application.create("u2", testJobIds[0], "interested");
+    const applications = await Application.findForJob(testJobIds[0]);
+    expect(applications).toEqual([
+      { username: "u1", jobId: testJobIds[0], state: "applied", updatedAt: expect.any(Date) },
+      { username: "u2", jobId: testJobIds[0], state: "interested", updatedAt: expect.any(Date) },
+    ]);
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Application.findForJob(0);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findForUser */
+
+describe("findForUser", function () {
+  test("works", async function () {
+    await Application.create("u1", testJobIds[0]);
+    const applications = await Application.findForUser("u1");
+    expect(applications).toEqual([
+      {
+        jobId: testJobIds[0],
+        state: "applied",
+        updatedAt: expect.any(Date),
+        job: {
+          id: testJobIds[0],
+          title: "t1",
+          salary: 10000,
+          equity: "0.01",
+          company: {
+            handle: "c1",
+            name: "C1",
+            description: "Desc1",
+            numEmployees: 1,
+            logoUrl: "http://c1.img",
+          },
+        },
+      },
+    ]);
+  });
+
+  test("works: most recently updated first", async function () {
+    await Application.create("u1", testJobIds[0]);
+    await Application.create("u1", testJobIds[1]);
+    await db.query(
+        `UPDATE application_transitions
+         SET changed_at = changed_at - INTERVAL '1 day'
+         WHERE job_id = $1`, [testJobIds[0]]);
+
+    const applications = await Application.findForUser("u1");
+    expect(applications.map(a => a.jobId)).toEqual([testJobIds[1], testJobIds[0]]);
+  });
+
+  test("works: no applications", async function () {
+    expect(await Application.findForUser("u2")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Application.findForUser("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** transition */
+
+describe("transition", function () {
+  beforeEach(async function () {
+    await Application.create("u1", testJobIds[0]);
+  });
+
+  test("works: through to accepted", async function () {
+    await Application.transition("u1", testJobIds[0], "interviewing",
+        { changedBy: "admin", asAdmin: true });
+    await Application.transition("u1", testJobIds[0], "offered",
+        { changedBy: "admin", asAdmin: true });
+    const application = await Application.transition("u1", testJobIds[0], "accepted",
+        { changedBy: "u1" });
+
+    expect(application.state).toEqual("accepted");
+    expect(application.history.map(h => [h.fromState, h.toState, h.changedBy])).toEqual([
+      [null, "applied", "u1"],
+      ["applied", "interviewing", "admin"],
+      ["interviewing", "offered", "admin"],
+      ["offered", "accepted", "u1"],
+    ]);
+  });
+
+  test("works: applicant withdraws", async function () {
+    const application = await Application.transition("u1", testJobIds[0], "withdrawn",
+        { changedBy: "u1" });
+    expect(application.state).toEqual("withdrawn");
+  });
+
+  test("unprocessable on move not in workflow", async function () {
+    try {
+      await Application.transition("u1", testJobIds[0], "accepted",
+          { changedBy: "admin", asAdmin: true });
+      fail();
+    } catch (err) {
+      expect(err instanceof UnprocessableEntityError).toBeTruthy();
+    }
+  });
+
+  test("unprocessable on move from final state", async function () {
+    await Application.transition("u1", testJobIds[0], "rejected",
+        { changedBy: "admin", asAdmin: true });
+    try {
+      await Application.transition("u1", testJobIds[0], "withdrawn",
+          { changedBy: "u1" });
+      fail();
+    } catch (err) {
+      expect(err instanceof UnprocessableEntityError).toBeTruthy();
+    }
+  });
+
+  test("forbidden on admin-only move by applicant", async function () {
+    try {
+      await Application.transition("u1", testJobIds[0], "interviewing",
+          { changedBy: "u1" });
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+    const res = await db.query(
+        "SELECT state FROM applications WHERE username = 'u1' AND job_id = $1",
+        [testJobIds[0]]);
+    expect(res.rows[0].state).toEqual("applied");
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await Application.transition("u2", testJobIds[0], "withdrawn",
+          { changedBy: "u2" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** verified email required */
+
+describe("with REQUIRE_VERIFIED_EMAIL_TO_APPLY", function () {
+  beforeEach(function () {
+    config.REQUIRE_VERIFIED_EMAIL_TO_APPLY = true;
+  });
+
+  afterEach(function () {
+    config.REQUIRE_VERIFIED_EMAIL_TO_APPLY = false;
+  });
+
+  test("forbidden to apply if unverified", async function () {
+    try {
+      await Application.create("u1", testJobIds[0]);
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("forbidden to move to applied if unverified", async function () {
+    await Application.create("u1", testJobIds[0], "interested");
+    try {
+      await Application.transition("u1", testJobIds[0], "applied",
+          { changedBy: "u1" });
+      fail();
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("works if verified", async function () {
+    await db.query("UPDATE users SET email_verified_at = NOW() WHERE username = 'u1'");
+    const application = await Application.create("u1", testJobIds[0]);
+    expect(application.state).toEqual("applied");
+  });
+});
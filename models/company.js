@@ -2,7 +2,16 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError, ExpressError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlWhere } = require("../helpers/sql");
+const { sortKeys, sqlForPagination, paginate } = require("../helpers/pagination");
+const { duplicateError } = require("../helpers/dbErrors");
+
+/** Fields companies can be sorted by, and their columns. */
+const SORTABLE = {
+  handle: { col: "handle" },
+  name: { col: "name" },
+  numEmployees: { col: "num_employees", type: "integer", nullable: true },
+};
 
 /** Related functions for companies. */
 
@@ -13,45 +22,57 @@ class Company {
    *
    * Returns { handle, name, description, numEmployees, logoUrl }
    *
-   * Throws BadRequestError if company already in database.
+   * Throws ConflictError if company already in database.
    * */
 
   static async create({ handle, name, description, numEmployees, logoUrl }) {
-    const duplicateCheck = await db.query(
-          `SELECT handle
-           FROM companies
-           WHERE handle = $1`,
-        [handle]);
-
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate company: ${handle}`);
-
-    const result = await db.query(
-          `INSERT INTO companies
-           (handle, name, description, num_employees, logo_url)
-           VALUES ($1, $2, $3, $4, $5)
-           RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
-        [
-          handle,
-          name,
-          description,
-          numEmployees,
-          logoUrl,
-        ],
-    );
-    const company = result.rows[0];
-
-    return company;
+    return db.withTransaction(async () => {
+      const duplicateCheck = await db.query(
+            `SELECT handle
+             FROM companies
+             WHERE handle = $1`,
+          [handle]);
+
+      if (duplicateCheck.rows[0]) throw duplicateError("handle", handle);
+
+      const result = await db.query(
+            `INSERT INTO companies
+             (handle, name, description, num_employees, logo_url)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
+          [
+            handle,
+            name,
+            description,
+            numEmployees,
+            logoUrl,
+          ],
+      );
+      const company = result.rows[0];
+
+      return company;
+    });
   }
 
   /** Find all companies.
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * Can filter on provided search filters:
+   * - name (will find case-insensitive, partial matches)
+   * - minEmployees
+   * - maxEmployees
+   *
+   * page is { limit, offset, after, before, sort }; see helpers/pagination.js.
+   * sort can use handle, name and numEmployees (default: "name"); handle
+   * breaks ties.
+   *
+   * Returns { companies, pagination }
+   *   where companies is [{ handle, name, description, numEmployees, logoUrl }, ...]
+   *   and pagination is { total, limit, offset, nextCursor, prevCursor }
    * */
 
-  static async findAll(options = {}) {
+  static async findAll(options = {}, page = {}) {
       const { name, minEmployees, maxEmployees } = options;
-      
+
       const validFilters = ['name', 'minEmployees', 'maxEmployees'];
       const invalidFilters = Object.keys(options).filter((filter) => !validFilters.includes(filter));
 
@@ -63,83 +84,84 @@ class Company {
         throw new ExpressError('Employee filter conflict', 400);
       }
 
-      let search = `SELECT handle,
-                      name,
-                      description,
-                      num_employees AS "numEmployees",
-                      logo_url AS "logoUrl"
-               FROM companies`
-
+      const whereExpressions = [];
       const values = [];
 
-      if (name) {
-        search += `WHERE name ILIKE $1`;
-        values.push(`%${name}%`)
+      if (name !== undefined) {
+        values.push(`%${name}%`);
+        whereExpressions.push(`name ILIKE $${values.length}`);
       }
-      
-
-      if (minEmployees) {
-        if (values.length === 0) {
-          search += `WHERE num_employees >= $1`
-        } else {
-          search += `AND num_employees >= $${values.length + 1}`;
-        }
+
+      if (minEmployees !== undefined) {
         values.push(minEmployees);
+        whereExpressions.push(`num_employees >= $${values.length}`);
       }
 
-      if (maxEmployees) {
-        if (values.length === 0) {
-          search += `WHERE num_employees <= $1`;
-        } else {
-          search += `AND num_employees >=$${values.length + 1}`;
-        }
+      if (maxEmployees !== undefined) {
         values.push(maxEmployees);
+        whereExpressions.push(`num_employees <= $${values.length}`);
       }
 
-      search+= `ORDER BY name`
-        
-      const companiesRes = await db.query(
-            search, values);
+      const countRes = await db.query(
+            `SELECT COUNT(*)::integer AS "total"
+             FROM companies
+             ${sqlWhere(whereExpressions)}`, values);
 
-      return companiesRes.rows;
+      const keys = sortKeys(page.sort, SORTABLE, "name", "handle");
+      const { whereExpression, orderBy, limitOffset, values: pageValues } =
+          sqlForPagination(page, keys, values.length + 1);
+      if (whereExpression) whereExpressions.push(whereExpression);
+
+      const companiesRes = await db.query(
+            `SELECT handle,
+                    name,
+                    description,
+                    num_employees AS "numEmployees",
+                    logo_url AS "logoUrl"
+             FROM companies
+             ${sqlWhere(whereExpressions)}
+             ${orderBy}
+             ${limitOffset}`,
+          [...values, ...pageValues]);
+
+      const { rows, pagination } = paginate(
+          companiesRes.rows, countRes.rows[0].total, page, keys);
+
+      return { companies: rows, pagination };
   }
 
   /** Given a company handle, return data about company.
    *
    * Returns { handle, name, description, numEmployees, logoUrl, jobs }
-   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   *   where jobs is [{ id, title, salary, equity }, ...]
    *
    * Throws NotFoundError if not found.
    **/
 
   static async get(handle) {
     const companyRes = await db.query(
-          `SELECT c.handle, c.name, c.description,
-                  c.num_employees AS "numEmployees",
-                  c.logo_url AS "logoUrl",
-                  j.id, j.title, j.salary, j.equity
-           FROM companies AS c
-           JOIN jobs AS j ON c.handle = j.company_handle
-           WHERE c.handle = $1`,
+          `SELECT handle,
+                  name,
+                  description,
+                  num_employees AS "numEmployees",
+                  logo_url AS "logoUrl"
+           FROM companies
+           WHERE handle = $1`,
         [handle]);
 
-    const company = companyRes.rows.map(row => {
-      return {
-        name: row.name,
-        description: row.description,
-        num_employees: row.numEmployees,
-        logo_url: row.logoUrl,
-        jobs: {
-          id: row.id,
-          title: row.title,
-          salary: row.salary,
-          equity: row.equity
-        }
-      }
-    });
+    const company = companyRes.rows[0];
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
 
+    const jobsRes = await db.query(
+          `SELECT id, title, salary, equity
+           FROM jobs
+           WHERE company_handle = $1
+           ORDER BY id`,
+        [handle]);
+
+    company.jobs = jobsRes.rows;
+
     return company;
   }
 
@@ -196,6 +218,115 @@ class Company {
 
     if (!company) throw new NotFoundError(`No company: ${handle}`);
   }
+
+  /** Find the recruiters who are members of company handle.
+   *
+   * Returns [{ username, firstName, lastName, email, addedBy, addedAt }, ...]
+   *   ordered by username
+   *
+   * Throws NotFoundError if company not found.
+   **/
+
+  static async findMembers(handle) {
+    await Company.ensureExists(handle);
+
+    const result = await db.query(
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  m.added_by AS "addedBy",
+                  m.added_at AS "addedAt"
+           FROM company_members AS m
+             JOIN users AS u ON u.username = m.username
+           WHERE m.company_handle = $1
+           ORDER BY u.username`,
+        [handle]);
+
+    return result.rows;
+  }
+
+  /** Add user username as a member of company handle.
+   *
+   * Only users with the recruiter role can be members. addedBy is the
+   * username making the change.
+   *
+   * Returns { companyHandle, username, addedBy, addedAt }
+   *
+   * Throws NotFoundError if company or user not found, BadRequestError if
+   * the user isn't a recruiter or is already a member.
+   **/
+
+  static async addMember(handle, username, addedBy) {
+    return db.withTransaction(async () => {
+      await Company.ensureExists(handle);
+
+      const userRes = await db.query(
+            `SELECT role FROM users WHERE username = $1`, [username]);
+      const user = userRes.rows[0];
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+      if (user.role !== "recruiter") {
+        throw new BadRequestError(`Not a recruiter: ${username}`);
+      }
+
+      const result = await db.query(
+            `INSERT INTO company_members (company_handle, username, added_by)
+             VALUES ($1, $2, $3)
+             ON CONFLICT DO NOTHING
+             RETURNING company_handle AS "companyHandle",
+                       username,
+                       added_by AS "addedBy",
+                       added_at AS "addedAt"`,
+          [handle, username, addedBy]);
+      const member = result.rows[0];
+
+      if (!member) {
+        throw new BadRequestError(`Already a member of ${handle}: ${username}`);
+      }
+
+      return member;
+    });
+  }
+
+  /** Remove user username from the members of company handle; returns
+   * undefined.
+   *
+   * Throws NotFoundError if not a member.
+   **/
+
+  static async removeMember(handle, username) {
+    const result = await db.query(
+          `DELETE
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2
+           RETURNING username`,
+        [handle, username]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No member of ${handle}: ${username}`);
+    }
+  }
+
+  /** Is user username a member of company handle? */
+
+  static async isMember(handle, username) {
+    const result = await db.query(
+          `SELECT username
+           FROM company_members
+           WHERE company_handle = $1 AND username = $2`,
+        [handle, username]);
+
+    return result.rows.length > 0;
+  }
+
+  /** Throws NotFoundError if company handle doesn't exist. */
+
+  static async ensureExists(handle) {
+    const result = await db.query(
+          `SELECT handle FROM companies WHERE handle = $1`, [handle]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No company: ${handle}`);
+  }
 }
 
 
@@ -1,13 +1,14 @@
 "use strict";
 
 const db = require("../db.js");
-const { BadRequestError, NotFoundError } = require("../expressError");
+const { BadRequestError, ConflictError, NotFoundError } = require("../expressError");
 const Company = require("./company.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -15,62 +16,6 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
-/************************************** get / */
-
-const Company = require('./company');
-
-describe('Company model', () => {
-  test('findAll returns all companies when no filters are applied', async () => {
-    const companies = await Company.findAll();
-    expect(companies.length).toBeGreaterThan(0);
-  });
-
-  test('findAll filters by company name when name parameter is provided', async () => {
-    const companies = await Company.findAll({ name: 'net' });
-    expect(companies.length).toBeGreaterThan(0);
-    companies.forEach((company) => {
-      expect(company.name.toLowerCase()).toContain('net');
-    });
-  });
-
-  test('findAll filters by minimum employees when minEmployees parameter is provided', async () => {
-    const companies = await Company.findAll({ minEmployees: 100 });
-    expect(companies.length).toBeGreaterThan(0);
-    companies.forEach((company) => {
-      expect(company.numEmployees).toBeGreaterThanOrEqual(100);
-    });
-  });
-
-  test('findAll filters by maximum employees when maxEmployees parameter is provided', async () => {
-    const companies = await Company.findAll({ maxEmployees: 50 });
-    expect(companies.length).toBeGreaterThan(0);
-    companies.forEach((company) => {
-      expect(company.numEmployees).toBeLessThanOrEqual(50);
-    });
-  });
-
-  test('findAll throws a 400 error when minEmployees is greater than maxEmployees', async () => {
-    await expect(Company.findAll({ minEmployees: 100, maxEmployees: 50 })).rejects.toThrow(
-      'Employee filter conflict'
-    );
-  });
-
-  test('findAll throws an error when the query is not any of the filter options', async () => {
-    await expect(Company.findAll({ foo: 'bar' })).rejects.toThrow('Invalid filter option');
-  });
-
-  test('findAll filters by all three parameters when all three parameters are provided', async () => {
-    const companies = await Company.findAll({ name: 'net', minEmployees: 100, maxEmployees: 1000 });
-    expect(companies.length).toBeGreaterThan(0);
-    companies.forEach((company) => {
-      expect(company.name.toLowerCase()).toContain('net');
-      expect(company.numEmployees).toBeGreaterThanOrEqual(100);
-      expect(company.numEmployees).toBeLessThanOrEqual(1000);
-    });
-  });
-});
-
-
 /************************************** create */
 
 describe("create", function () {
@@ -101,13 +46,18 @@ describe("create", function () {
     ]);
   });
 
-  test("bad request with dupe", async function () {
+  test("conflict with dupe", async function () {
     try {
       await Company.create(newCompany);
       await Company.create(newCompany);
       fail();
     } catch (err) {
-      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err instanceof ConflictError).toBeTruthy();
+      expect(err.errors).toEqual([{
+        field: "handle",
+        rule: "unique",
+        message: "handle new already exists",
+      }]);
     }
   });
 });
@@ -116,7 +66,7 @@ describe("create", function () {
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let companies = await Company.findAll();
+    let { companies, pagination } = await Company.findAll();
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -140,6 +90,92 @@ describe("findAll", function () {
         logoUrl: "http://c3.img",
       },
     ]);
+    expect(pagination).toEqual({
+      total: 3,
+      limit: 20,
+      offset: 0,
+      nextCursor: null,
+      prevCursor: null,
+    });
+  });
+
+  test("works: by name", async function () {
+    let { companies } = await Company.findAll({ name: "c2" });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("works: by min employees", async function () {
+    let { companies } = await Company.findAll({ minEmployees: 2 });
+    expect(companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+  });
+
+  test("works: by max employees", async function () {
+    let { companies } = await Company.findAll({ maxEmployees: 2 });
+    expect(companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+  });
+
+  test("works: by all filters", async function () {
+    let { companies } = await Company.findAll(
+        { name: "c", minEmployees: 2, maxEmployees: 2 });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("bad request if min employees > max employees", async function () {
+    await expect(Company.findAll({ minEmployees: 3, maxEmployees: 1 }))
+        .rejects.toThrow("Employee filter conflict");
+  });
+
+  test("bad request with invalid filter", async function () {
+    await expect(Company.findAll({ foo: "bar" }))
+        .rejects.toThrow("Invalid filter option");
+  });
+
+  test("works: limit and offset", async function () {
+    let { companies, pagination } = await Company.findAll(
+        {}, { limit: 1, offset: 1 });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+    expect(pagination).toEqual({
+      total: 3,
+      limit: 1,
+      offset: 1,
+      nextCursor: expect.any(String),
+      prevCursor: expect.any(String),
+    });
+  });
+
+  test("works: sort", async function () {
+    let { companies } = await Company.findAll({}, { sort: "-numEmployees" });
+    expect(companies.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("works: cursors with sort", async function () {
+    const first = await Company.findAll(
+        {}, { limit: 2, sort: "-numEmployees,name" });
+    expect(first.companies.map(c => c.handle)).toEqual(["c3", "c2"]);
+
+    const second = await Company.findAll(
+        {}, { limit: 2, sort: "-numEmployees,name", after: first.pagination.nextCursor });
+    expect(second.companies.map(c => c.handle)).toEqual(["c1"]);
+  });
+
+  test("bad request with invalid sort", async function () {
+    await expect(Company.findAll({}, { sort: "description" }))
+        .rejects.toThrow("Cannot sort by: description");
+  });
+
+  test("works: cursors", async function () {
+    const first = await Company.findAll({}, { limit: 2 });
+    expect(first.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+
+    const second = await Company.findAll(
+        {}, { limit: 2, after: first.pagination.nextCursor });
+    expect(second.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(second.pagination.nextCursor).toBeNull();
+
+    const back = await Company.findAll(
+        {}, { limit: 2, before: second.pagination.prevCursor });
+    expect(back.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(back.pagination.prevCursor).toBeNull();
   });
 });
 
@@ -154,9 +190,19 @@ describe("get", function () {
       description: "Desc1",
       numEmployees: 1,
       logoUrl: "http://c1.img",
+      jobs: [
+        { id: testJobIds[0], title: "t1", salary: 10000, equity: "0.01" },
+        { id: testJobIds[1], title: "t2", salary: 20000, equity: null },
+      ],
     });
   });
 
+  test("works: company w/o jobs", async function () {
+    await db.query("DELETE FROM jobs WHERE company_handle = 'c1'");
+    let company = await Company.get("c1");
+    expect(company.jobs).toEqual([]);
+  });
+
   test("not found if no such company", async function () {
     try {
       await Company.get("nope");
@@ -262,3 +308,78 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** members */
+
+describe("members", function () {
+  beforeEach(async function () {
+    await db.query("UPDATE users SET role = 'recruiter' WHERE username = 'u2'");
+  });
+
+  test("works: add, find and remove", async function () {
+    const member = await Company.addMember("c1", "u2", "u1");
+    expect(member).toEqual({
+      companyHandle: "c1",
+      username: "u2",
+      addedBy: "u1",
+      addedAt: expect.any(Date),
+    });
+
+    expect(await Company.isMember("c1", "u2")).toBe(true);
+    expect(await Company.isMember("c2", "u2")).toBe(false);
+    expect(await Company.findMembers("c1")).toEqual([
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        addedBy: "u1",
+        addedAt: expect.any(Date),
+      },
+    ]);
+
+    await Company.removeMember("c1", "u2");
+    expect(await Company.isMember("c1", "u2")).toBe(false);
+    expect(await Company.findMembers("c1")).toEqual([]);
+  });
+
+  test("bad request if not a recruiter", async function () {
+    try {
+      await Company.addMember("c1", "u1", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if already a member", async function () {
+    await Company.addMember("c1", "u2", "u1");
+    try {
+      await Company.addMember("c1", "u2", "u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such company or user", async function () {
+    for (const [handle, username] of [["nope", "u2"], ["c1", "nope"]]) {
+      try {
+        await Company.addMember(handle, username, "u1");
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+    await expect(Company.findMembers("nope")).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found on removing non-member", async function () {
+    try {
+      await Company.removeMember("c1", "u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,89 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { EMAIL_VERIFICATION_EXPIRES_HOURS, PUBLIC_URL } = require("../config");
+const { hashToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+
+/** Related functions for verifying users' email addresses.
+ *
+ * A token is emailed to the address; following its link (GET /auth/verify)
+ * marks the address verified. Only its hash is stored.
+ */
+
+class EmailVerification {
+  /** Issue a token to verify that username owns address email, and return
+   * it.
+   **/
+
+  static async issue(username, email) {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await db.query(
+          `INSERT INTO email_verification_tokens
+           (token_hash, username, email, expires_at)
+           VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+        [hashToken(token), username, email, EMAIL_VERIFICATION_EXPIRES_HOURS]);
+
+    return token;
+  }
+
+  /** Email a verification link for address email to it; returns undefined. */
+
+  static async send(username, email) {
+    const token = await EmailVerification.issue(username, email);
+    await sendMail({
+      to: email,
+      subject: "Verify your Jobly email address",
+      text: `To verify this address for ${username}, visit:\n\n`
+          + `${PUBLIC_URL}/auth/verify?token=${token}\n\n`
+          + `The link expires in ${EMAIL_VERIFICATION_EXPIRES_HOURS} hours.`,
+    });
+  }
+
+  /** Use verification token, marking the address it was sent to verified.
+   *
+   * Returns { username, email }
+   *
+   * Throws BadRequestError if token is unknown, expired or already used, or
+   * the user's email has changed since it was sent.
+   **/
+
+  static async verify(token) {
+    return db.withTransaction(async () => {
+      const tokenRes = await db.query(
+            `UPDATE email_verification_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND expires_at > NOW()
+             RETURNING username, email`,
+          [hashToken(token)]);
+      const verification = tokenRes.rows[0];
+
+      if (!verification) {
+        throw new BadRequestError("Invalid or expired verification token");
+      }
+
+      const userRes = await db.query(
+            `UPDATE users
+             SET email_verified_at = COALESCE(email_verified_at, NOW())
+             WHERE username = $1 AND email = $2
+             RETURNING username, email`,
+          [verification.username, verification.email]);
+      const user = userRes.rows[0];
+
+      if (!user) {
+        throw new BadRequestError("Email address has changed; verify the new one");
+      }
+
+      return user;
+    });
+  }
+}
+
+
+module.exports = EmailVerification;
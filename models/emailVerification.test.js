@@ -0,0 +1,101 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const EmailVerification = require("./emailVerification.js");
+const MailOutbox = require("./mailOutbox.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function expectBadRequest(token) {
+  try {
+    await EmailVerification.verify(token);
+    fail();
+  } catch (err) {
+    expect(err instanceof BadRequestError).toBeTruthy();
+  }
+}
+
+async function isVerified(username) {
+  const result = await db.query(
+      `SELECT email_verified_at IS NOT NULL AS verified
+       FROM users WHERE username = $1`, [username]);
+  return result.rows[0].verified;
+}
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works: stores only a hash", async function () {
+    const token = await EmailVerification.issue("u1", "u1@email.com");
+
+    const result = await db.query(
+        `SELECT token_hash, username, email FROM email_verification_tokens`);
+    expect(result.rows).toEqual([
+      { token_hash: expect.any(String), username: "u1", email: "u1@email.com" },
+    ]);
+    expect(result.rows[0].token_hash).not.toEqual(token);
+  });
+});
+
+/************************************** send */
+
+describe("send", function () {
+  test("works: emails a link", async function () {
+    await EmailVerification.send("u1", "u1@email.com");
+
+    const mail = await MailOutbox.findAll();
+    expect(mail.length).toEqual(1);
+    expect(mail[0].to).toEqual("u1@email.com");
+
+    const token = mail[0].text.match(/\/auth\/verify\?token=(\S+)/)[1];
+    expect(await EmailVerification.verify(token))
+        .toEqual({ username: "u1", email: "u1@email.com" });
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works", async function () {
+    expect(await isVerified("u1")).toBe(false);
+    const token = await EmailVerification.issue("u1", "u1@email.com");
+    const result = await EmailVerification.verify(token);
+    expect(result).toEqual({ username: "u1", email: "u1@email.com" });
+    expect(await isVerified("u1")).toBe(true);
+    expect(await isVerified("u2")).toBe(false);
+  });
+
+  test("bad request if already used", async function () {
+    const token = await EmailVerification.issue("u1", "u1@email.com");
+    await EmailVerification.verify(token);
+    await expectBadRequest(token);
+  });
+
+  test("bad request if expired", async function () {
+    const token = await EmailVerification.issue("u1", "u1@email.com");
+    await db.query(
+        "UPDATE email_verification_tokens SET expires_at = NOW() - INTERVAL '1 second'");
+    await expectBadRequest(token);
+  });
+
+  test("bad request if email changed since", async function () {
+    const token = await EmailVerification.issue("u1", "u1@email.com");
+    await db.query("UPDATE users SET email = 'other@email.com' WHERE username = 'u1'");
+    await expectBadRequest(token);
+    expect(await isVerified("u1")).toBe(false);
+  });
+
+  test("bad request if unknown", async function () {
+    await expectBadRequest("nope");
+  });
+});
@@ -2,55 +2,78 @@
 
 const db = require("../db");
 const { BadRequestError, NotFoundError, ExpressError } = require("../expressError");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlWhere } = require("../helpers/sql");
+const { sortKeys, sqlForPagination, paginate } = require("../helpers/pagination");
 
-/** Related functions for companies. */
+/** Fields jobs can be sorted by, and their columns. */
+const SORTABLE = {
+  id: { col: "id", type: "integer" },
+  title: { col: "title" },
+  salary: { col: "salary", type: "integer", nullable: true },
+  equity: { col: "equity", type: "numeric", nullable: true },
+  companyHandle: { col: "company_handle" },
+};
+
+/** Related functions for jobs. */
 
 class Job {
   /** Create a job (from data), update db, return new job data.
    *
-   * data should be { id, salary, title, equity, companyHandle }
+   * data should be { title, salary, equity, companyHandle }
    *
-   * Returns { salary, title, equity, companyHandle }
+   * Returns { id, title, salary, equity, companyHandle }
    *
-   * Throws BadRequestError if job already in database.
+   * Throws BadRequestError if company doesn't exist.
    * */
 
   static async create({ title, salary, equity, companyHandle }) {
-    const duplicateCheck = await db.query(
-          `SELECT id
-           FROM jobs
-           WHERE title = $1`,
-        [title]);
-
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate job: ${title} at ${companyHandle}`);
-
-    const result = await db.query(
-          `INSERT INTO jobs
-           (title, salary, equity, companyHandle)
-           VALUES ($1, $2, $3, $4)
-           RETURNING title, salary, equity, company_handle AS "companyHandle"`,
-        [
-          title,
-          salary,
-          equity,
-          companyHandle
-        ],
-    );
-    const job = result.rows[0];
-
-    return job;
+    return db.withTransaction(async () => {
+      const companyCheck = await db.query(
+            `SELECT handle
+             FROM companies
+             WHERE handle = $1`,
+          [companyHandle]);
+
+      if (!companyCheck.rows[0])
+        throw new BadRequestError(`No company: ${companyHandle}`);
+
+      const result = await db.query(
+            `INSERT INTO jobs
+             (title, salary, equity, company_handle)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id, title, salary, equity, company_handle AS "companyHandle"`,
+          [
+            title,
+            salary,
+            equity,
+            companyHandle,
+          ],
+      );
+      const job = result.rows[0];
+
+      return job;
+    });
   }
 
   /** Find all jobs.
    *
-   * Returns [{ title, salary, equity, companyHandle }, ...]
+   * Can filter on provided search filters:
+   * - title (will find case-insensitive, partial matches)
+   * - minSalary
+   * - hasEquity (true returns only jobs with equity > 0)
+   *
+   * page is { limit, offset, after, before, sort }; see helpers/pagination.js.
+   * sort can use id, title, salary, equity and companyHandle (default:
+   * "title"); id breaks ties.
+   *
+   * Returns { jobs, pagination }
+   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   *   and pagination is { total, limit, offset, nextCursor, prevCursor }
    * */
 
-  static async findAll(options = {}) {
+  static async findAll(options = {}, page = {}) {
       const { title, minSalary, hasEquity } = options;
-      
+
       const validFilters = ['title', 'minSalary', 'hasEquity'];
       const invalidFilters = Object.keys(options).filter((filter) => !validFilters.includes(filter));
 
@@ -58,61 +81,72 @@ class Job {
         throw new ExpressError('Invalid filter option', 400);
       }
 
-
-      let search = `SELECT title,
-                      salary,
-                      equity,
-                      company_handle AS "companyHandle"
-               FROM jobs`
-
+      const whereExpressions = [];
       const values = [];
 
-      if (title) {
-        search += `WHERE title ILIKE $1`;
-        values.push(`%${title}%`)
+      if (title !== undefined) {
+        values.push(`%${title}%`);
+        whereExpressions.push(`title ILIKE $${values.length}`);
       }
-      
 
-      if (minSalary) {
-        const index = values.length + 1;
-        search += values.length === 0 ? ` WHERE salary >= $${index}` : ` AND salary >= $${index}`;
+      if (minSalary !== undefined) {
         values.push(minSalary);
+        whereExpressions.push(`salary >= $${values.length}`);
       }
-  
-      if (hasEquity !== undefined) {
-        const operator = hasEquity ? ">" : "=";
-        search += values.length === 0 ? ` WHERE equity ${operator} 0` : ` AND equity ${operator} 0`;
+
+      if (hasEquity === true) {
+        whereExpressions.push(`equity > 0`);
       }
 
-      search+= `ORDER BY title`;
-        
-      const jobRes = await db.query(
-            search, values);
+      const countRes = await db.query(
+            `SELECT COUNT(*)::integer AS "total"
+             FROM jobs
+             ${sqlWhere(whereExpressions)}`, values);
+
+      const keys = sortKeys(page.sort, SORTABLE, "title", "id");
+      const { whereExpression, orderBy, limitOffset, values: pageValues } =
+          sqlForPagination(page, keys, values.length + 1);
+      if (whereExpression) whereExpressions.push(whereExpression);
 
-      return jobRes.rows;
+      const jobRes = await db.query(
+            `SELECT id,
+                    title,
+                    salary,
+                    equity,
+                    company_handle AS "companyHandle"
+             FROM jobs
+             ${sqlWhere(whereExpressions)}
+             ${orderBy}
+             ${limitOffset}`,
+          [...values, ...pageValues]);
+
+      const { rows, pagination } = paginate(
+          jobRes.rows, countRes.rows[0].total, page, keys);
+
+      return { jobs: rows, pagination };
   }
 
-  /** Given a job title, return data about job.
+  /** Given a job id, return data about job.
    *
-   * Returns { title, salary, equity, companyHandle }
-   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   * Returns { id, title, salary, equity, companyHandle }
    *
    * Throws NotFoundError if not found.
    **/
 
-  static async get(title) {
+  static async get(id) {
     const jobRes = await db.query(
-          `SELECT title,
+          `SELECT id,
+                  title,
                   salary,
                   equity,
                   company_handle AS "companyHandle"
            FROM jobs
-           WHERE title = $1`,
-        [title]);
+           WHERE id = $1`,
+        [id]);
 
     const job = jobRes.rows[0];
 
-    if (!job) throw new NotFoundError(`No job: ${title}`);
+    if (!job) throw new NotFoundError(`No job: ${id}`);
 
     return job;
   }
@@ -122,32 +156,29 @@ class Job {
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
-   * Data can include: {title, salary, equity}
+   * Data can include: { title, salary, equity }
    *
-   * Returns {title, salary, equity}
+   * Returns { id, title, salary, equity, companyHandle }
    *
    * Throws NotFoundError if not found.
    */
 
-  static async update(title, data) {
-    const { setCols, values } = sqlForPartialUpdate(
-        data,
-        {
-          salary: "salary",
-          equity: "equity",
-        });
-    const titleVarIdx = "$" + (values.length + 1);
-
-    const querySql = `UPDATE companies 
-                      SET ${setCols} 
-                      WHERE title = ${titleVarIdx} 
-                      RETURNING title, 
-                                salary, 
-                                equity `;
-    const result = await db.query(querySql, [...values, title]);
+  static async update(id, data) {
+    const { setCols, values } = sqlForPartialUpdate(data, {});
+    const idVarIdx = "$" + (values.length + 1);
+
+    const querySql = `UPDATE jobs
+                      SET ${setCols}
+                      WHERE id = ${idVarIdx}
+                      RETURNING id,
+                                title,
+                                salary,
+                                equity,
+                                company_handle AS "companyHandle"`;
+    const result = await db.query(querySql, [...values, id]);
     const job = result.rows[0];
 
-    if (!job) throw new NotFoundError(`No job: ${title}`);
+    if (!job) throw new NotFoundError(`No job: ${id}`);
 
     return job;
   }
@@ -157,16 +188,16 @@ class Job {
    * Throws NotFoundError if job not found.
    **/
 
-  static async remove(title) {
+  static async remove(id) {
     const result = await db.query(
           `DELETE
            FROM jobs
-           WHERE title = $1
-           RETURNING title`,
-        [title]);
-    const company = result.rows[0];
+           WHERE id = $1
+           RETURNING id`,
+        [id]);
+    const job = result.rows[0];
 
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
+    if (!job) throw new NotFoundError(`No job: ${id}`);
   }
 }
 
@@ -8,6 +8,7 @@ const {
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -15,90 +16,46 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
-/************************************** get / */
-
-const Job = require('./job');
-
-describe('Job model', () => {
-  test('findAll returns all jobs when no filters are applied', async () => {
-    const jobs = await Job.findAll();
-    expect(jobs.length).toBeGreaterThan(0);
-  });
-
-  test('findAll filters by job name when title parameter is provided', async () => {
-    const jobs = await Job.findAll({ title: 't' });
-    expect(jobs.length).toBeGreaterThan(0);
-    jobs.forEach((job) => {
-      expect(job.title.toLowerCase()).toContain('t');
-    });
-  });
-
-  test('findAll filters by minimum salaries when salaries parameter is provided', async () => {
-    const jobs = await Job.findAll({ minSalaries: 100 });
-    expect(jobs.length).toBeGreaterThan(0);
-    jobs.forEach((job) => {
-      expect(job.minSalaries).toBeGreaterThanOrEqual(100);
-    });
-  });
-
-  test('findAll filters by maximum salaries when maxSalaries parameter is provided', async () => {
-    const jobs = await job.findAll({ maxSalaries: 10001 });
-    expect(jobs.length).toBeGreaterThan(0);
-    jobs.forEach((job) => {
-      expect(job.numEmployees).toBeLessThanOrEqual(50);
-    });
-  });
-
-  test('findAll throws an error when the query is not any of the filter options', async () => {
-    await expect(Job.findAll({ foo: 'bar' })).rejects.toThrow('Invalid filter option');
-  });
-
-  test('findAll filters by all three parameters when all three parameters are provided', async () => {
-    const jobs = await Job.findAll({ title: 't', minSalaries: 10000, maxEmployees: 100001 });
-    expect(jobs.length).toBeGreaterThan(0);
-    jobs.forEach((job) => {
-      expect(job.name.toLowerCase()).toContain('t');
-      expect(job.numEmployees).toBeGreaterThanOrEqual(10000);
-      expect(job.numEmployees).toBeLessThanOrEqual(100001);
-    });
-  });
-});
-
-
 /************************************** create */
 
 describe("create", function () {
-  const newCompany = {
-    handle: "new",
-    name: "New",
-    description: "New Description",
-    numEmployees: 1,
-    logoUrl: "http://new.img",
+  const newJob = {
+    title: "Test",
+    salary: 100,
+    equity: 0.1,
+    companyHandle: "c1",
   };
 
   test("works", async function () {
-    let company = await Company.create(newCompany);
-    expect(company).toEqual(newCompany);
+    let job = await Job.create(newJob);
+    expect(job).toEqual({
+      ...newJob,
+      id: expect.any(Number),
+      equity: "0.1",
+    });
 
     const result = await db.query(
-          `SELECT handle, name, description, num_employees, logo_url
-           FROM companies
-           WHERE handle = 'new'`);
+          `SELECT title, salary, equity, company_handle
+           FROM jobs
+           WHERE id = $1`, [job.id]);
     expect(result.rows).toEqual([
       {
-        handle: "new",
-        name: "New",
-        description: "New Description",
-        num_employees: 1,
-        logo_url: "http://new.img",
+        title: "Test",
+        salary: 100,
+        equity: "0.1",
+        company_handle: "c1",
       },
     ]);
   });
 
-  test("bad request with dupe", async function () {
+  test("works: same title at another company", async function () {
+    let job = await Job.create({ ...newJob, title: "t1", companyHandle: "c3" });
+    expect(job.id).not.toEqual(testJobIds[0]);
+  });
+
+  test("bad request with no such company", async function () {
     try {
-      await Company.create(newCompany);
-      await Company.create(newCompany);
+      await Job.create({ ...newJob, companyHandle: "nope" });
       fail();
     } catch (err) {
       expect(err instanceof BadRequestError).toBeTruthy();
@@ -110,50 +67,166 @@ describe("create", function () {
 
 describe("findAll", function () {
   test("works: no filter", async function () {
-    let companies = await Company.findAll();
-    expect(companies).toEqual([
+    let { jobs } = await Job.findAll();
+    expect(jobs).toEqual([
+      {
+        id: testJobIds[0],
+        title: "t1",
+        salary: 10000,
+        equity: "0.01",
+        companyHandle: "c1",
+      },
       {
-        handle: "c1",
-        name: "C1",
-        description: "Desc1",
-        numEmployees: 1,
-        logoUrl: "http://c1.img",
+        id: testJobIds[3],
+        title: "t1",
+        salary: 40000,
+        equity: "0.5",
+        companyHandle: "c2",
       },
       {
-        handle: "c2",
-        name: "C2",
-        description: "Desc2",
-        numEmployees: 2,
-        logoUrl: "http://c2.img",
+        id: testJobIds[1],
+        title: "t2",
+        salary: 20000,
+        equity: null,
+        companyHandle: "c1",
       },
       {
-        handle: "c3",
-        name: "C3",
-        description: "Desc3",
-        numEmployees: 3,
-        logoUrl: "http://c3.img",
+        id: testJobIds[2],
+        title: "t3",
+        salary: 30000,
+        equity: "0",
+        companyHandle: "c3",
       },
     ]);
   });
+
+  test("works: by title", async function () {
+    let { jobs } = await Job.findAll({ title: "T1" });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[0], testJobIds[3]]);
+  });
+
+  test("works: by min salary", async function () {
+    let { jobs } = await Job.findAll({ minSalary: 25000 });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[3], testJobIds[2]]);
+  });
+
+  test("works: by equity", async function () {
+    let { jobs } = await Job.findAll({ hasEquity: true });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[0], testJobIds[3]]);
+  });
+
+  test("works: hasEquity false does not filter", async function () {
+    let { jobs } = await Job.findAll({ hasEquity: false });
+    expect(jobs.length).toEqual(4);
+  });
+
+  test("works: by all filters", async function () {
+    let { jobs } = await Job.findAll({ title: "1", minSalary: 20000, hasEquity: true });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[3]]);
+  });
+
+  test("bad request with invalid filter", async function () {
+    await expect(Job.findAll({ foo: "bar" })).rejects.toThrow("Invalid filter option");
+  });
+
+  test("works: pagination envelope", async function () {
+    let { jobs, pagination } = await Job.findAll({}, { limit: 2 });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[0], testJobIds[3]]);
+    expect(pagination).toEqual({
+      total: 4,
+      limit: 2,
+      offset: 0,
+      nextCursor: expect.any(String),
+      prevCursor: null,
+    });
+  });
+
+  test("works: offset", async function () {
+    let { jobs, pagination } = await Job.findAll({}, { limit: 2, offset: 2 });
+    expect(jobs.map(j => j.id)).toEqual([testJobIds[1], testJobIds[2]]);
+    expect(pagination.nextCursor).toBeNull();
+    expect(pagination.prevCursor).toEqual(expect.any(String));
+  });
+
+  test("works: cursors page through ties on title", async function () {
+    const first = await Job.findAll({}, { limit: 1 });
+    const second = await Job.findAll(
+        {}, { limit: 1, after: first.pagination.nextCursor });
+    expect(second.jobs.map(j => j.id)).toEqual([testJobIds[3]]);
+
+    const back = await Job.findAll(
+        {}, { limit: 1, before: second.pagination.prevCursor });
+    expect(back.jobs.map(j => j.id)).toEqual([testJobIds[0]]);
+    expect(back.pagination.prevCursor).toBeNull();
+  });
+
+  test("works: sort", async function () {
+    let { jobs } = await Job.findAll({}, { sort: "-salary" });
+    expect(jobs.map(j => j.salary)).toEqual([40000, 30000, 20000, 10000]);
+  });
+
+  test("works: NULLs sort last either way", async function () {
+    await db.query("UPDATE jobs SET salary = NULL WHERE id = $1", [testJobIds[1]]);
+
+    let { jobs } = await Job.findAll({}, { sort: "-salary" });
+    expect(jobs.map(j => j.salary)).toEqual([40000, 30000, 10000, null]);
+
+    ({ jobs } = await Job.findAll({}, { sort: "salary" }));
+    expect(jobs.map(j => j.salary)).toEqual([10000, 30000, 40000, null]);
+  });
+
+  test("works: sort by several fields", async function () {
+    let { jobs } = await Job.findAll({}, { sort: "title,-salary" });
+    expect(jobs.map(j => j.id)).toEqual(
+        [testJobIds[3], testJobIds[0], testJobIds[1], testJobIds[2]]);
+  });
+
+  test("works: cursors through NULLs in sort column", async function () {
+    const seen = [];
+    let page = { limit: 1, sort: "-equity" };
+    let pagination;
+    do {
+      const result = await Job.findAll({}, page);
+      seen.push(...result.jobs.map(j => j.equity));
+      pagination = result.pagination;
+      page = { limit: 1, sort: "-equity", after: pagination.nextCursor };
+    } while (pagination.nextCursor);
+    expect(seen).toEqual(["0.5", "0.01", "0", null]);
+
+    const back = await Job.findAll(
+        {}, { limit: 2, sort: "-equity", before: pagination.prevCursor });
+    expect(back.jobs.map(j => j.equity)).toEqual(["0.01", "0"]);
+  });
+
+  test("bad request with invalid sort", async function () {
+    await expect(Job.findAll({}, { sort: "nope" }))
+        .rejects.toThrow("Cannot sort by: nope");
+  });
+
+  test("works: total counts filtered rows", async function () {
+    let { jobs, pagination } = await Job.findAll({ title: "t1" }, { limit: 1 });
+    expect(jobs.length).toEqual(1);
+    expect(pagination.total).toEqual(2);
+  });
 });
 
 /************************************** get */
 
 describe("get", function () {
   test("works", async function () {
-    let company = await Company.get("c1");
-    expect(company).toEqual({
-      handle: "c1",
-      name: "C1",
-      description: "Desc1",
-      numEmployees: 1,
-      logoUrl: "http://c1.img",
+    let job = await Job.get(testJobIds[0]);
+    expect(job).toEqual({
+      id: testJobIds[0],
+      title: "t1",
+      salary: 10000,
+      equity: "0.01",
+      companyHandle: "c1",
     });
   });
 
-  test("not found if no such company", async function () {
+  test("not found if no such job", async function () {
     try {
-      await Company.get("nope");
+      await Job.get(0);
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
@@ -165,62 +238,35 @@ describe("get", function () {
 
 describe("update", function () {
   const updateData = {
-    name: "New",
-    description: "New Description",
-    numEmployees: 10,
-    logoUrl: "http://new.img",
+    title: "New",
+    salary: 500,
+    equity: 0.5,
   };
 
   test("works", async function () {
-    let company = await Company.update("c1", updateData);
-    expect(company).toEqual({
-      handle: "c1",
+    let job = await Job.update(testJobIds[0], updateData);
+    expect(job).toEqual({
+      id: testJobIds[0],
+      companyHandle: "c1",
       ...updateData,
+      equity: "0.5",
     });
 
     const result = await db.query(
-          `SELECT handle, name, description, num_employees, logo_url
-           FROM companies
-           WHERE handle = 'c1'`);
-    expect(result.rows).toEqual([{
-      handle: "c1",
-      name: "New",
-      description: "New Description",
-      num_employees: 10,
-      logo_url: "http://new.img",
-    }]);
-  });
-
-  test("works: null fields", async function () {
-    const updateDataSetNulls = {
-      name: "New",
-      description: "New Description",
-      numEmployees: null,
-      logoUrl: null,
-    };
-
-    let company = await Company.update("c1", updateDataSetNulls);
-    expect(company).toEqual({
-      handle: "c1",
-      ...updateDataSetNulls,
-    });
-
-    const result = await db.query(
-          `SELECT handle, name, description, num_employees, logo_url
-           FROM companies
-           WHERE handle = 'c1'`);
+          `SELECT title, salary, equity, company_handle
+           FROM jobs
+           WHERE id = $1`, [testJobIds[0]]);
     expect(result.rows).toEqual([{
-      handle: "c1",
-      name: "New",
-      description: "New Description",
-      num_employees: null,
-      logo_url: null,
+      title: "New",
+      salary: 500,
+      equity: "0.5",
+      company_handle: "c1",
     }]);
   });
 
-  test("not found if no such company", async function () {
+  test("not found if no such job", async function () {
     try {
-      await Company.update("nope", updateData);
+      await Job.update(0, updateData);
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
@@ -229,7 +275,7 @@ describe("update", function () {
 
   test("bad request with no data", async function () {
     try {
-      await Company.update("c1", {});
+      await Job.update(testJobIds[0], {});
       fail();
     } catch (err) {
       expect(err instanceof BadRequestError).toBeTruthy();
@@ -241,15 +287,15 @@ describe("update", function () {
 
 describe("remove", function () {
   test("works", async function () {
-    await Company.remove("c1");
+    await Job.remove(testJobIds[0]);
     const res = await db.query(
-        "SELECT handle FROM companies WHERE handle='c1'");
+        "SELECT id FROM jobs WHERE id=$1", [testJobIds[0]]);
     expect(res.rows.length).toEqual(0);
   });
 
-  test("not found if no such company", async function () {
+  test("not found if no such job", async function () {
     try {
-      await Company.remove("nope");
+      await Job.remove(0);
       fail();
     } catch (err) {
       expect(err instanceof NotFoundError).toBeTruthy();
@@ -0,0 +1,146 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../expressError");
+const {
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_LOCKOUT_MINUTES,
+} = require("../config");
+
+/** Failed logins allowed in a row before any waiting. */
+const FREE_FAILURES = 2;
+
+/** Wait after the first failure past FREE_FAILURES; doubles each time. */
+const BACKOFF_BASE_SECONDS = 1;
+
+/** Seconds to wait after a run of `failures` failed logins, before locking. */
+
+function backoffSeconds(failures) {
+  if (failures <= FREE_FAILURES) return 0;
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** (failures - FREE_FAILURES - 1),
+      LOGIN_LOCKOUT_MINUTES * 60);
+}
+
+/** Count a failed login against key (a username or IP, by kind), locking
+ * it out once it reaches maxFailures.
+ */
+
+async function recordFailureFor(kind, key, maxFailures) {
+  await db.query(
+        `INSERT INTO login_failures (kind, key, failures, last_failed_at)
+         VALUES ($1, $2, 1, NOW())
+         ON CONFLICT (kind, key) DO UPDATE
+         SET failures = CASE
+               WHEN login_failures.last_failed_at
+                    < NOW() - make_interval(mins => $3)
+               THEN 1
+               ELSE login_failures.failures + 1
+             END,
+             last_failed_at = NOW(),
+             locked_until = NULL`,
+      [kind, key, LOGIN_LOCKOUT_MINUTES]);
+
+  await db.query(
+        `UPDATE login_failures
+         SET locked_until = NOW() + make_interval(mins => $4)
+         WHERE kind = $1 AND key = $2 AND failures >= $3`,
+      [kind, key, maxFailures, LOGIN_LOCKOUT_MINUTES]);
+}
+
+/** Related functions for slowing down password guessing.
+ *
+ * Failed logins are counted per username and per client IP. After a few,
+ * each further attempt must wait, twice as long each time; after
+ * LOGIN_MAX_FAILURES (LOGIN_MAX_FAILURES_PER_IP for an IP) the username or
+ * IP is locked out for LOGIN_LOCKOUT_MINUTES. A run of failures is forgotten
+ * once there have been none for LOGIN_LOCKOUT_MINUTES; a successful login
+ * forgets the username's failures straight away.
+ */
+
+class LoginThrottle {
+  /** How many seconds must a login for username from ip wait? 0 if it can
+   * go ahead now.
+   **/
+
+  static async secondsToWait(username, ip) {
+    const result = await db.query(
+          `SELECT failures,
+                  EXTRACT(EPOCH FROM NOW() - last_failed_at)::FLOAT AS "sinceLast",
+                  EXTRACT(EPOCH FROM locked_until - NOW())::FLOAT AS "lockLeft"
+           FROM login_failures
+           WHERE (kind = 'username' AND key = $1)
+              OR (kind = 'ip' AND key = $2)`,
+        [username, ip]);
+
+    let wait = 0;
+    for (const row of result.rows) {
+      wait = Math.max(wait,
+          row.lockLeft || 0,
+          backoffSeconds(row.failures) - row.sinceLast);
+    }
+    return Math.ceil(wait);
+  }
+
+  /** Record a failed login for username from ip; returns undefined. */
+
+  static async recordFailure(username, ip) {
+    await recordFailureFor("username", username, LOGIN_MAX_FAILURES);
+    await recordFailureFor("ip", ip, LOGIN_MAX_FAILURES_PER_IP);
+  }
+
+  /** Record a successful login for username, forgetting its failures;
+   * returns undefined.
+   *
+   * The IP's failures are kept, so logging in to one account doesn't reset
+   * the count for guesses at others.
+   **/
+
+  static async recordSuccess(username) {
+    await db.query(
+          `DELETE FROM login_failures
+           WHERE kind = 'username' AND key = $1`,
+        [username]);
+  }
+
+  /** Given a username, return its failed login state.
+   *
+   * Returns { username, failures, lastFailedAt, lockedUntil, locked }
+   *   where failures is the current run of failures (0 if none)
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async get(username) {
+    const result = await db.query(
+          `SELECT u.username,
+                  COALESCE(f.failures, 0) AS failures,
+                  f.last_failed_at AS "lastFailedAt",
+                  f.locked_until AS "lockedUntil",
+                  COALESCE(f.locked_until > NOW(), FALSE) AS locked
+           FROM users AS u
+             LEFT JOIN login_failures AS f
+               ON f.kind = 'username' AND f.key = u.username
+           WHERE u.username = $1`,
+        [username]);
+
+    const state = result.rows[0];
+
+    if (!state) throw new NotFoundError(`No user: ${username}`);
+
+    return state;
+  }
+
+  /** Unlock username, forgetting its failed logins; returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+  static async unlock(username) {
+    await LoginThrottle.get(username);
+    await LoginThrottle.recordSuccess(username);
+  }
+}
+
+
+module.exports = LoginThrottle;
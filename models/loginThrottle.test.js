@@ -0,0 +1,151 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError } = require("../expressError");
+const LoginThrottle = require("./loginThrottle.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const ip = "10.0.0.1";
+
+async function failLogins(times, username = "u1", from = ip) {
+  for (let i = 0; i < times; i++) {
+    await LoginThrottle.recordFailure(username, from);
+  }
+}
+
+/** Make every failure so far a given number of seconds older. */
+
+async function age(seconds) {
+  await db.query(
+      `UPDATE login_failures
+       SET last_failed_at = last_failed_at - make_interval(secs => $1)`,
+      [seconds]);
+}
+
+/************************************** secondsToWait */
+
+describe("secondsToWait", function () {
+  test("works: no failures", async function () {
+    expect(await LoginThrottle.secondsToWait("u1", ip)).toEqual(0);
+  });
+
+  test("works: first failures are free", async function () {
+    await failLogins(2);
+    expect(await LoginThrottle.secondsToWait("u1", ip)).toEqual(0);
+  });
+
+  test("works: backoff doubles", async function () {
+    await failLogins(3);
+    expect(await LoginThrottle.secondsToWait("u1", ip)).toEqual(1);
+    await failLogins(1);
+    expect(await LoginThrottle.secondsToWait("u1", ip)).toEqual(2);
+    await age(2);
+    expect(await LoginThrottle.secondsToWait("u1", ip)).toEqual(0);
+  });
+
+  test("works: locked out after max failures", async function () {
+    await failLogins(5);
+    const wait = await LoginThrottle.secondsToWait("u1", ip);
+    expect(wait).toBeGreaterThan(14 * 60);
+    expect(wait).toBeLessThanOrEqual(15 * 60);
+  });
+
+  test("works: by IP, for any username", async function () {
+    await failLogins(3, "u1");
+    expect(await LoginThrottle.secondsToWait("u2", ip)).toEqual(1);
+    expect(await LoginThrottle.secondsToWait("u2", "10.0.0.2")).toEqual(0);
+  });
+
+  test("works: IP locked out after its own max", async function () {
+    for (let i = 0; i < 20; i++) await failLogins(1, `user${i}`);
+    const wait = await LoginThrottle.secondsToWait("u2", ip);
+    expect(wait).toBeGreaterThan(14 * 60);
+  });
+});
+
+/************************************** recordFailure */
+
+describe("recordFailure", function () {
+  test("works: old failures forgotten", async function () {
+    await failLogins(4);
+    await age(16 * 60);
+    await failLogins(1);
+    const state = await LoginThrottle.get("u1");
+    expect(state.failures).toEqual(1);
+  });
+});
+
+/************************************** recordSuccess */
+
+describe("recordSuccess", function () {
+  test("works: clears username but not IP", async function () {
+    await failLogins(3);
+    await LoginThrottle.recordSuccess("u1");
+    expect((await LoginThrottle.get("u1")).failures).toEqual(0);
+    expect(await LoginThrottle.secondsToWait("u1", ip)).toEqual(1);
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works: no failures", async function () {
+    expect(await LoginThrottle.get("u1")).toEqual({
+      username: "u1",
+      failures: 0,
+      lastFailedAt: null,
+      lockedUntil: null,
+      locked: false,
+    });
+  });
+
+  test("works: locked", async function () {
+    await failLogins(5);
+    expect(await LoginThrottle.get("u1")).toEqual({
+      username: "u1",
+      failures: 5,
+      lastFailedAt: expect.any(Date),
+      lockedUntil: expect.any(Date),
+      locked: true,
+    });
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await LoginThrottle.get("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** unlock */
+
+describe("unlock", function () {
+  test("works", async function () {
+    await failLogins(5, "u1", "10.0.0.1");
+    await LoginThrottle.unlock("u1");
+    expect((await LoginThrottle.get("u1")).locked).toBe(false);
+    expect(await LoginThrottle.secondsToWait("u1", "10.0.0.2")).toEqual(0);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await LoginThrottle.unlock("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,46 @@
+"use strict";
+
+const db = require("../db");
+
+/** Related functions for the mail outbox: email that the default mailer
+ * (see helpers/mailer.js) stores instead of sending, so it can be read in
+ * development and tests.
+ */
+
+class MailOutbox {
+  /** Add a message { to, subject, text } to the outbox.
+   *
+   * Returns { id, to, subject, text, createdAt }
+   **/
+
+  static async add({ to, subject, text }) {
+    const result = await db.query(
+          `INSERT INTO mail_outbox (recipient, subject, body)
+           VALUES ($1, $2, $3)
+           RETURNING id, recipient AS "to", subject, body AS "text",
+                     created_at AS "createdAt"`,
+        [to, subject, text]);
+
+    return result.rows[0];
+  }
+
+  /** Find all messages in the outbox, or only those to address `to`.
+   *
+   * Returns [{ id, to, subject, text, createdAt }, ...], oldest first
+   **/
+
+  static async findAll(to) {
+    const result = await db.query(
+          `SELECT id, recipient AS "to", subject, body AS "text",
+                  created_at AS "createdAt"
+           FROM mail_outbox
+           WHERE $1::TEXT IS NULL OR recipient = $1
+           ORDER BY id`,
+        [to === undefined ? null : to]);
+
+    return result.rows;
+  }
+}
+
+
+module.exports = MailOutbox;
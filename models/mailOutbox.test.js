@@ -0,0 +1,50 @@
+"use strict";
+
+const MailOutbox = require("./mailOutbox.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** add */
+
+describe("add", function () {
+  test("works", async function () {
+    const mail = await MailOutbox.add(
+        { to: "u1@email.com", subject: "Hi", text: "Hello" });
+    expect(mail).toEqual({
+      id: expect.any(Number),
+      to: "u1@email.com",
+      subject: "Hi",
+      text: "Hello",
+      createdAt: expect.any(Date),
+    });
+  });
+});
+
+/************************************** findAll */
+
+describe("findAll", function () {
+  test("works", async function () {
+    await MailOutbox.add({ to: "u1@email.com", subject: "1", text: "a" });
+    await MailOutbox.add({ to: "u2@email.com", subject: "2", text: "b" });
+
+    const all = await MailOutbox.findAll();
+    expect(all.map(m => m.subject)).toEqual(["1", "2"]);
+  });
+
+  test("works: by recipient", async function () {
+    await MailOutbox.add({ to: "u1@email.com", subject: "1", text: "a" });
+    await MailOutbox.add({ to: "u2@email.com", subject: "2", text: "b" });
+
+    const mail = await MailOutbox.findAll("u2@email.com");
+    expect(mail.map(m => m.subject)).toEqual(["2"]);
+  });
+});
@@ -0,0 +1,94 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { PASSWORD_RESET_EXPIRES_MINUTES } = require("../config");
+const { hashToken } = require("../helpers/tokens");
+const { sendMail } = require("../helpers/mailer");
+
+/** Related functions for resetting forgotten passwords.
+ *
+ * A reset token is emailed to the user; it can be used once, within
+ * PASSWORD_RESET_EXPIRES_MINUTES, to set a new password. Only its hash is
+ * stored.
+ */
+
+class PasswordReset {
+  /** Issue a reset token for username and return it. */
+
+  static async issue(username) {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await db.query(
+          `INSERT INTO password_reset_tokens
+           (token_hash, username, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+        [hashToken(token), username, PASSWORD_RESET_EXPIRES_MINUTES]);
+
+    return token;
+  }
+
+  /** Email a reset token to each user with address email; returns undefined.
+   *
+   * Does nothing if no user has that address, so callers can't tell whether
+   * an account exists.
+   **/
+
+  static async request(email) {
+    const result = await db.query(
+          `SELECT username, email
+           FROM users
+           WHERE lower(email) = lower($1)
+           ORDER BY username`,
+        [email]);
+
+    for (const user of result.rows) {
+      const token = await PasswordReset.issue(user.username);
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Jobly password",
+        text: `To reset the password for ${user.username}, use this code:\n\n`
+            + `${token}\n\n`
+            + `It expires in ${PASSWORD_RESET_EXPIRES_MINUTES} minutes. If you `
+            + `didn't ask to reset your password, you can ignore this email.`,
+      });
+    }
+  }
+
+  /** Use reset token, returning the username it was issued to. Any other
+   * unused tokens for that user are used up too.
+   *
+   * Throws BadRequestError if token is unknown, expired or already used.
+   **/
+
+  static async consume(token) {
+    return db.withTransaction(async () => {
+      // Marking the token used and checking it was usable is one statement,
+      // so the same token can't be used twice concurrently.
+      const result = await db.query(
+            `UPDATE password_reset_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND expires_at > NOW()
+             RETURNING username`,
+          [hashToken(token)]);
+      const reset = result.rows[0];
+
+      if (!reset) throw new BadRequestError("Invalid or expired reset token");
+
+      await db.query(
+            `UPDATE password_reset_tokens
+             SET used_at = NOW()
+             WHERE username = $1 AND used_at IS NULL`,
+          [reset.username]);
+
+      return reset.username;
+    });
+  }
+}
+
+
+module.exports = PasswordReset;
@@ -0,0 +1,99 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const PasswordReset = require("./passwordReset.js");
+const MailOutbox = require("./mailOutbox.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function expectBadRequest(token) {
+  try {
+    await PasswordReset.consume(token);
+    fail();
+  } catch (err) {
+    expect(err instanceof BadRequestError).toBeTruthy();
+  }
+}
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works: stores only a hash", async function () {
+    const token = await PasswordReset.issue("u1");
+
+    const result = await db.query(
+        `SELECT token_hash, username,
+                expires_at <= NOW() + INTERVAL '60 minutes' AS "short"
+         FROM password_reset_tokens`);
+    expect(result.rows).toEqual([
+      { token_hash: expect.any(String), username: "u1", short: true },
+    ]);
+    expect(result.rows[0].token_hash).not.toEqual(token);
+  });
+});
+
+/************************************** request */
+
+describe("request", function () {
+  test("works: emails a usable token", async function () {
+    await PasswordReset.request("U1@email.com");
+
+    const mail = await MailOutbox.findAll();
+    expect(mail.length).toEqual(1);
+    expect(mail[0].to).toEqual("u1@email.com");
+
+    const token = mail[0].text.split("\n")[2];
+    expect(await PasswordReset.consume(token)).toEqual("u1");
+  });
+
+  test("does nothing for unknown email", async function () {
+    await PasswordReset.request("nope@email.com");
+    expect(await MailOutbox.findAll()).toEqual([]);
+  });
+});
+
+/************************************** consume */
+
+describe("consume", function () {
+  test("works", async function () {
+    const token = await PasswordReset.issue("u1");
+    expect(await PasswordReset.consume(token)).toEqual("u1");
+  });
+
+  test("bad request if already used", async function () {
+    const token = await PasswordReset.issue("u1");
+    await PasswordReset.consume(token);
+    await expectBadRequest(token);
+  });
+
+  test("uses up the user's other tokens", async function () {
+    const token = await PasswordReset.issue("u1");
+    const other = await PasswordReset.issue("u1");
+    const u2Token = await PasswordReset.issue("u2");
+    await PasswordReset.consume(token);
+
+    await expectBadRequest(other);
+    expect(await PasswordReset.consume(u2Token)).toEqual("u2");
+  });
+
+  test("bad request if expired", async function () {
+    const token = await PasswordReset.issue("u1");
+    await db.query(
+        "UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 second'");
+    await expectBadRequest(token);
+  });
+
+  test("bad request if unknown", async function () {
+    await expectBadRequest("nope");
+  });
+});
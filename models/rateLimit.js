@@ -0,0 +1,45 @@
+"use strict";
+
+const db = require("../db");
+
+/** Rate limit counts kept in Postgres, so every process sharing the
+ * database shares the limits. A store for middleware/rateLimit.js.
+ */
+
+class RateLimit {
+  /** Count a request against key, in a window of windowSeconds that starts
+   * with the first request after the last window ended.
+   *
+   * Returns { count, resetAt }: requests so far in this window (including
+   * this one), and the Date it ends.
+   **/
+
+  static async hit(key, windowSeconds) {
+    const result = await db.query(
+          `INSERT INTO rate_limits (key, count, reset_at)
+           VALUES ($1, 1, NOW() + make_interval(secs => $2))
+           ON CONFLICT (key) DO UPDATE
+           SET count = CASE
+                 WHEN rate_limits.reset_at <= NOW() THEN 1
+                 ELSE rate_limits.count + 1
+               END,
+               reset_at = CASE
+                 WHEN rate_limits.reset_at <= NOW()
+                 THEN NOW() + make_interval(secs => $2)
+                 ELSE rate_limits.reset_at
+               END
+           RETURNING count, reset_at AS "resetAt"`,
+        [key, windowSeconds]);
+
+    return result.rows[0];
+  }
+
+  /** Forget counts for windows that have ended; returns undefined. */
+
+  static async removeExpired() {
+    await db.query(`DELETE FROM rate_limits WHERE reset_at <= NOW()`);
+  }
+}
+
+
+module.exports = RateLimit;
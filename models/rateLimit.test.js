@@ -0,0 +1,57 @@
+"use strict";
+
+const db = require("../db.js");
+const RateLimit = require("./rateLimit.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** hit */
+
+describe("hit", function () {
+  test("counts hits in a window", async function () {
+    const first = await RateLimit.hit("a", 60);
+    expect(first).toEqual({ count: 1, resetAt: expect.any(Date) });
+
+    const second = await RateLimit.hit("a", 60);
+    expect(second).toEqual({ count: 2, resetAt: first.resetAt });
+
+    expect((await RateLimit.hit("b", 60)).count).toEqual(1);
+  });
+
+  test("starts a new window when the last has ended", async function () {
+    await RateLimit.hit("a", 60);
+    await RateLimit.hit("a", 60);
+    await db.query(
+        `UPDATE rate_limits SET reset_at = NOW() - INTERVAL '1 second'`);
+
+    const { count, resetAt } = await RateLimit.hit("a", 60);
+    expect(count).toEqual(1);
+    expect(resetAt.getTime()).toBeGreaterThan(Date.now());
+  });
+});
+
+/************************************** removeExpired */
+
+describe("removeExpired", function () {
+  test("works", async function () {
+    await RateLimit.hit("a", 60);
+    await RateLimit.hit("b", 60);
+    await db.query(
+        `UPDATE rate_limits
+         SET reset_at = NOW() - INTERVAL '1 second'
+         WHERE key = 'a'`);
+
+    await RateLimit.removeExpired();
+    const result = await db.query(`SELECT key FROM rate_limits`);
+    expect(result.rows).toEqual([{ key: "b" }]);
+  });
+});
@@ -0,0 +1,119 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { REFRESH_TOKEN_EXPIRES_DAYS } = require("../config");
+const { hashToken } = require("../helpers/tokens");
+
+/** Related functions for refresh tokens.
+ *
+ * A refresh token can be used once, to get a new access token and a new
+ * refresh token in the same family. If a token is used a second time, it
+ * has probably been stolen, so every token in its family is revoked and
+ * both the thief and the user must log in again.
+ */
+
+class RefreshToken {
+  /** Issue a new refresh token for username.
+   *
+   * familyId continues an existing family; if not given, a new family is
+   * started (on login). mfa records that the login used two-factor
+   * authentication, and is kept for the whole family.
+   *
+   * Returns the token; only its hash is stored.
+   **/
+
+  static async issue(username, { familyId = crypto.randomUUID(), mfa = false } = {}) {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await db.query(
+          `INSERT INTO refresh_tokens
+           (token_hash, username, family_id, mfa, expires_at)
+           VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))`,
+        [hashToken(token), username, familyId, mfa, REFRESH_TOKEN_EXPIRES_DAYS]);
+
+    return token;
+  }
+
+  /** Use refresh token, replacing it with a new one in the same family.
+   *
+   * Returns { username, mfa, refreshToken }
+   *
+   * Throws UnauthorizedError if token is unknown, expired or revoked, or
+   * has already been used (in which case its family is revoked).
+   **/
+
+  static async rotate(token) {
+    const tokenHash = hashToken(token);
+
+    // Marking the token used and checking it was usable is one statement,
+    // so two concurrent refreshes can't both succeed.
+    const usedRes = await db.query(
+          `UPDATE refresh_tokens
+           SET used_at = NOW()
+           WHERE token_hash = $1
+             AND used_at IS NULL
+             AND revoked_at IS NULL
+             AND expires_at > NOW()
+           RETURNING username, family_id AS "familyId", mfa`,
+        [tokenHash]);
+    const used = usedRes.rows[0];
+
+    if (!used) {
+      const reuseRes = await db.query(
+            `SELECT family_id AS "familyId"
+             FROM refresh_tokens
+             WHERE token_hash = $1 AND used_at IS NOT NULL`,
+          [tokenHash]);
+      if (reuseRes.rows[0]) {
+        await RefreshToken.revokeFamily(reuseRes.rows[0].familyId);
+      }
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    const refreshToken = await RefreshToken.issue(
+        used.username, { familyId: used.familyId, mfa: used.mfa });
+    return { username: used.username, mfa: used.mfa, refreshToken };
+  }
+
+  /** Revoke refresh token, and every token in its family; returns
+   * undefined. Unknown tokens are ignored.
+   **/
+
+  static async revoke(token) {
+    const result = await db.query(
+          `SELECT family_id AS "familyId"
+           FROM refresh_tokens
+           WHERE token_hash = $1`,
+        [hashToken(token)]);
+
+    if (result.rows[0]) {
+      await RefreshToken.revokeFamily(result.rows[0].familyId);
+    }
+  }
+
+  /** Revoke every refresh token of username; returns undefined. */
+
+  static async revokeUser(username) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE username = $1 AND revoked_at IS NULL`,
+        [username]);
+  }
+
+  /** Revoke every token in family familyId; returns undefined. */
+
+  static async revokeFamily(familyId) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE family_id = $1 AND revoked_at IS NULL`,
+        [familyId]);
+  }
+}
+
+
+module.exports = RefreshToken;
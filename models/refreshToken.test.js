@@ -0,0 +1,101 @@
+"use strict";
+
+const db = require("../db.js");
+const { UnauthorizedError } = require("../expressError");
+const RefreshToken = require("./refreshToken.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function expectUnauthorized(token) {
+  try {
+    await RefreshToken.rotate(token);
+    fail();
+  } catch (err) {
+    expect(err instanceof UnauthorizedError).toBeTruthy();
+  }
+}
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works: stores only a hash", async function () {
+    const token = await RefreshToken.issue("u1");
+    expect(token).toEqual(expect.any(String));
+
+    const result = await db.query(
+        `SELECT token_hash, username, expires_at > NOW() + INTERVAL '29 days' AS "long"
+         FROM refresh_tokens`);
+    expect(result.rows).toEqual([
+      { token_hash: expect.any(String), username: "u1", long: true },
+    ]);
+    expect(result.rows[0].token_hash).not.toEqual(token);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    const result = await RefreshToken.rotate(token);
+    expect(result).toEqual(
+        { username: "u1", mfa: false, refreshToken: expect.any(String) });
+    expect(result.refreshToken).not.toEqual(token);
+
+    const families = await db.query(
+        "SELECT DISTINCT family_id FROM refresh_tokens");
+    expect(families.rows.length).toEqual(1);
+  });
+
+  test("works: keeps two-factor login", async function () {
+    const token = await RefreshToken.issue("u1", { mfa: true });
+    const first = await RefreshToken.rotate(token);
+    expect(first.mfa).toBe(true);
+    const second = await RefreshToken.rotate(first.refreshToken);
+    expect(second.mfa).toBe(true);
+  });
+
+    test("unauth on reuse; revokes family", async function () {
+    const token = await RefreshToken.issue("u1");
+    const { refreshToken } = await RefreshToken.rotate(token);
+    const other = await RefreshToken.issue("u1");
+
+    await expectUnauthorized(token);
+    await expectUnauthorized(refreshToken);
+
+    // tokens from other logins are unaffected
+    const result = await RefreshToken.rotate(other);
+    expect(result.username).toEqual("u1");
+  });
+
+  test("unauth if expired", async function () {
+    const token = await RefreshToken.issue("u1");
+    await db.query(
+        "UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 second'");
+    await expectUnauthorized(token);
+  });
+
+  test("unauth if unknown", async function () {
+    await expectUnauthorized("nope");
+  });
+});
+
+/************************************** revokeFamily */
+
+describe("revokeFamily", function () {
+  test("works", async function () {
+    const token = await RefreshToken.issue("u1");
+    const result = await db.query("SELECT family_id FROM refresh_tokens");
+    await RefreshToken.revokeFamily(result.rows[0].family_id);
+    await expectUnauthorized(token);
+  });
+});
@@ -0,0 +1,26 @@
+"use strict";
+
+const db = require("../db");
+
+/** Related functions for roles and the permissions they grant. */
+
+class Role {
+  /** Given a role name, return the names of the permissions it grants.
+   *
+   * Returns [permission, ...], sorted; empty for an unknown role.
+   **/
+
+  static async permissions(role) {
+    const result = await db.query(
+          `SELECT permission
+           FROM role_permissions
+           WHERE role = $1
+           ORDER BY permission`,
+        [role]);
+
+    return result.rows.map(r => r.permission);
+  }
+}
+
+
+module.exports = Role;
@@ -0,0 +1,43 @@
+"use strict";
+
+const db = require("../db.js");
+const Role = require("./role.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** permissions */
+
+describe("permissions", function () {
+  test("works", async function () {
+    expect(await Role.permissions("admin")).toEqual(
+        ["applications:read", "companies:members", "companies:write", "jobs:write"]);
+    expect(await Role.permissions("recruiter")).toEqual(
+        ["applications:read", "companies:members", "jobs:write"]);
+    expect(await Role.permissions("auditor")).toEqual(["applications:read"]);
+  });
+
+  test("works: role with no permissions", async function () {
+    expect(await Role.permissions("candidate")).toEqual([]);
+  });
+
+  test("works: unknown role", async function () {
+    expect(await Role.permissions("nope")).toEqual([]);
+    expect(await Role.permissions(undefined)).toEqual([]);
+  });
+
+  test("works: reflects changes to role_permissions", async function () {
+    await db.query(
+        `INSERT INTO role_permissions (role, permission)
+         VALUES ('candidate', 'applications:read')`);
+    expect(await Role.permissions("candidate")).toEqual(["applications:read"]);
+  });
+});
@@ -0,0 +1,154 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { sortKeys, sqlForPagination, paginate } = require("../helpers/pagination");
+
+/** Options for the snippets returned with results; matches are wrapped in
+ * <mark>...</mark>. The text is HTML-escaped first (see escapeHtmlSql), so
+ * snippets are safe to render as HTML: the marks are the only tags.
+ */
+const HEADLINE_OPTIONS =
+    "StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15";
+
+/** Return SQL HTML-escaping the text expression sql: names and titles come
+ * from users, and could hold markup of their own.
+ */
+
+function escapeHtmlSql(sql) {
+  const entities = [
+    ["&", "&amp;"],
+    ["<", "&lt;"],
+    [">", "&gt;"],
+    ['"', "&quot;"],
+    ["''", "&#39;"],
+  ];
+  return entities.reduce(
+      (escaped, [char, entity]) => `replace(${escaped}, '${char}', '${entity}')`,
+      sql);
+}
+
+const TYPES = ["company", "job"];
+
+/** Columns of hits (in find) that results are ordered by: best match first,
+ * then by name. A company's handle, or a job's id, breaks ties.
+ */
+const SORTABLE = {
+  rank: { col: "rank", type: "numeric" },
+  type: { col: "type" },
+  name: { col: "name" },
+  handle: { col: "handle" },
+  id: { col: "id", type: "integer", nullable: true },
+};
+const KEYS = sortKeys(undefined, SORTABLE, "-rank,type,name,handle,id", "id");
+
+/** Full-text search across companies and jobs. */
+
+class Search {
+  /** Search companies and jobs for text q.
+   *
+   * q uses web search syntax: words must all match (in any form, so
+   * "engineers" finds "engineer"), "quoted phrases" must match in order,
+   * "or" between words allows either, and -word excludes.
+   *
+   * Options can include:
+   * - type ("company" or "job", to search only one)
+   * - limit, offset, after, before; see helpers/pagination.js
+   *
+   * Returns { results, pagination }
+   *   where results is ranked best first, a mix of
+   *     { type: "company", handle, name, rank, snippet } and
+   *     { type: "job", id, title, companyHandle, companyName, rank, snippet }
+   *   and pagination is { total, limit, offset, nextCursor, prevCursor }
+   *
+   * Throws BadRequestError for an unknown type or invalid paging.
+   **/
+
+  static async find(q, { type, ...page } = {}) {
+    if (type !== undefined && !TYPES.includes(type)) {
+      throw new BadRequestError(`Invalid search type: ${type}`);
+    }
+
+    const searchCompanies = type === undefined || type === "company";
+    const searchJobs = type === undefined || type === "job";
+
+    const { whereExpression, orderBy, limitOffset, values: pageValues } =
+        sqlForPagination(page, KEYS, 5);
+
+    // Snippets are only made for the rows on the page: ts_headline is slow.
+    const result = await db.query(
+          `WITH q AS (SELECT websearch_to_tsquery('english', $1) AS query),
+           hits AS (
+             SELECT 'company' AS type,
+                    c.handle,
+                    NULL::integer AS id,
+                    c.name,
+                    c.name AS company_name,
+                    c.name || ' ' || c.description AS document,
+                    ts_rank(c.search_vector, q.query) AS rank
+             FROM companies AS c, q
+             WHERE $2 AND c.search_vector @@ q.query
+             UNION ALL
+             SELECT 'job',
+                    j.company_handle,
+                    j.id,
+                    j.title,
+                    c.name,
+                    j.title || ' at ' || c.name,
+                    ts_rank(j.search_vector, q.query)
+             FROM jobs AS j
+               JOIN companies AS c ON c.handle = j.company_handle, q
+             WHERE $3 AND j.search_vector @@ q.query
+           ),
+           page AS (
+             SELECT *
+             FROM hits
+             ${whereExpression ? `WHERE ${whereExpression}` : ""}
+             ${orderBy}
+             ${limitOffset}
+           )
+           SELECT page.type,
+                  page.handle,
+                  page.id,
+                  page.name,
+                  page.company_name AS "companyName",
+                  page.rank,
+                  (SELECT COUNT(*) FROM hits)::integer AS total,
+                  ts_headline('english', ${escapeHtmlSql("page.document")},
+                              q.query, $4) AS snippet
+           FROM page, q
+           ${orderBy}`,
+        [q, searchCompanies, searchJobs, HEADLINE_OPTIONS, ...pageValues]);
+
+    // a page past the end has no rows to carry the count
+    let total = result.rows.length ? result.rows[0].total : 0;
+    if (!result.rows.length && (page.offset || page.after || page.before)) {
+      total = (await Search.find(q, { type, limit: 1 })).pagination.total;
+    }
+
+    const { rows, pagination } = paginate(result.rows, total, page, KEYS);
+
+    const results = rows.map(row => row.type === "company"
+        ? {
+          type: "company",
+          handle: row.handle,
+          name: row.name,
+          rank: row.rank,
+          snippet: row.snippet,
+        }
+        : {
+          type: "job",
+          id: row.id,
+          title: row.name,
+          companyHandle: row.handle,
+          companyName: row.companyName,
+          rank: row.rank,
+          snippet: row.snippet,
+        });
+
+    return { results, pagination };
+  }
+}
+
+
+module.exports = Search;
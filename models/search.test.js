@@ -0,0 +1,160 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const Search = require("./search.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+beforeEach(async function () {
+  await db.query(`
+    INSERT INTO companies(handle, name, num_employees, description)
+    VALUES ('remote', 'Remote Works', 10, 'Fully distributed data team'),
+           ('acme', 'Acme', 5, 'Anvils and rockets')`);
+  await db.query(`
+    INSERT INTO jobs(title, salary, equity, company_handle)
+    VALUES ('Data Engineer', 100, 0, 'remote'),
+           ('Senior Data Engineer', 200, 0, 'acme'),
+           ('Rocket Scientist', 300, 0, 'acme')`);
+});
+
+/************************************** find */
+
+describe("find", function () {
+  test("works: mixed results, best first", async function () {
+    const { results, pagination } = await Search.find("remote data engineer");
+    expect(results).toEqual([
+      {
+        type: "job",
+        id: expect.any(Number),
+        title: "Data Engineer",
+        companyHandle: "remote",
+        companyName: "Remote Works",
+        rank: expect.any(Number),
+        snippet: "<mark>Data</mark> <mark>Engineer</mark> at <mark>Remote</mark> Works",
+      },
+    ]);
+    expect(pagination).toEqual({
+      total: 1,
+      limit: 20,
+      offset: 0,
+      nextCursor: null,
+      prevCursor: null,
+    });
+  });
+
+  test("works: matches across both types", async function () {
+    const { results } = await Search.find("data");
+    expect(results.map(r => r.type).sort()).toEqual(["company", "job", "job"]);
+    const company = results.find(r => r.type === "company");
+    expect(company).toEqual({
+      type: "company",
+      handle: "remote",
+      name: "Remote Works",
+      rank: expect.any(Number),
+      snippet: expect.stringContaining("<mark>data</mark>"),
+    });
+  });
+
+  test("works: markup in the text is escaped", async function () {
+    await db.query(`
+      INSERT INTO jobs(title, company_handle)
+      VALUES ('<img src=x onerror=alert(1)> Plumber & "Fitter"', 'acme')`);
+    const { results } = await Search.find("plumber");
+    expect(results[0].snippet).toEqual(
+        "&lt;img src=x onerror=alert(1)&gt; <mark>Plumber</mark> &amp; &quot;Fitter&quot; at Acme");
+    expect(results[0].snippet).not.toMatch(/<(?!\/?mark>)/);
+  });
+
+  test("works: or", async function () {
+    const { results } = await Search.find("anvils or scientist");
+    expect(results.map(r => r.name || r.title).sort()).toEqual(
+        ["Acme", "Rocket Scientist"]);
+  });
+
+  test("works: stemming", async function () {
+    const { results } = await Search.find("engineers");
+    expect(results.map(r => r.title)).toEqual(
+        ["Data Engineer", "Senior Data Engineer"]);
+  });
+
+  test("works: job search follows company rename", async function () {
+    await db.query(`UPDATE companies SET name = 'Globex' WHERE handle = 'acme'`);
+    const { results } = await Search.find("globex", { type: "job" });
+    expect(results.map(r => r.title).sort()).toEqual(
+        ["Rocket Scientist", "Senior Data Engineer"]);
+  });
+
+  test("works: type filter", async function () {
+    const { results } = await Search.find("data", { type: "company" });
+    expect(results.map(r => r.handle)).toEqual(["remote"]);
+  });
+
+  test("works: limit and offset", async function () {
+    const { results, pagination } =
+        await Search.find("data", { limit: 1, offset: 1 });
+    expect(results.length).toEqual(1);
+    expect(pagination).toEqual({
+      total: 3,
+      limit: 1,
+      offset: 1,
+      nextCursor: expect.any(String),
+      prevCursor: expect.any(String),
+    });
+  });
+
+  test("works: cursors", async function () {
+    const { results: all } = await Search.find("data");
+
+    const seen = [];
+    let page = { limit: 1 };
+    let pagination;
+    do {
+      const result = await Search.find("data", page);
+      seen.push(...result.results);
+      pagination = result.pagination;
+      page = { limit: 1, after: pagination.nextCursor };
+    } while (pagination.nextCursor);
+    expect(seen).toEqual(all);
+    expect(pagination.offset).toBeNull();
+
+    const back = await Search.find(
+        "data", { limit: 2, before: pagination.prevCursor });
+    expect(back.results).toEqual(all.slice(0, 2));
+  });
+
+  test("bad request with invalid cursor", async function () {
+    await expect(Search.find("data", { after: "nope" }))
+        .rejects.toThrow("Invalid cursor");
+  });
+
+  test("works: offset past the end keeps total", async function () {
+    const { results, pagination } = await Search.find("data", { offset: 10 });
+    expect(results).toEqual([]);
+    expect(pagination.total).toEqual(3);
+  });
+
+  test("works: no matches", async function () {
+    const { results, pagination } = await Search.find("zzzz");
+    expect(results).toEqual([]);
+    expect(pagination.total).toEqual(0);
+  });
+
+  test("bad request with invalid type", async function () {
+    try {
+      await Search.find("data", { type: "user" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
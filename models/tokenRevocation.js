@@ -0,0 +1,97 @@
+"use strict";
+
+const db = require("../db");
+
+/** How long a revocation check is cached for, in ms. Revocations made in
+ * this process apply at once; those made by other processes can take this
+ * long to be seen.
+ */
+const CACHE_TTL_MS = 10 * 1000;
+
+/** Clear the cache if it grows past this many tokens. */
+const CACHE_MAX_SIZE = 10000;
+
+/** Cached checks: jti => { username, revoked, checkedAt } */
+const cache = new Map();
+
+/** Related functions for revoking access tokens before they expire. */
+
+class TokenRevocation {
+  /** Revoke the token with id jti, which expires at exp (seconds since the
+   * epoch, as in the token); returns undefined.
+   **/
+
+  static async revoke(jti, exp) {
+    await db.query(
+          `INSERT INTO revoked_tokens (jti, expires_at)
+           VALUES ($1, to_timestamp($2))
+           ON CONFLICT DO NOTHING`,
+        [jti, exp]);
+
+    // revoked tokens are only kept until they would have expired anyway
+    await db.query(`DELETE FROM revoked_tokens WHERE expires_at < NOW()`);
+
+    const cached = cache.get(jti);
+    if (cached) cached.revoked = true;
+  }
+
+  /** Revoke every token issued to username up to now; returns undefined.
+   *
+   * "Now" is this process's clock, which tokens' issue times come from too
+   * (not the database's NOW(), which is when its transaction started).
+   **/
+
+  static async revokeUser(username) {
+    await db.query(
+          `INSERT INTO revoked_user_tokens (username, revoked_at)
+           VALUES ($1, $2)
+           ON CONFLICT (username) DO UPDATE SET revoked_at = $2`,
+        [username, new Date()]);
+
+    for (const [jti, cached] of cache) {
+      if (cached.username === username) cache.delete(jti);
+    }
+  }
+
+  /** Has the token with payload { jti, username, iat, iatMs } been revoked?
+   *
+   * Tokens without a jti (issued before tokens had one) count as revoked.
+   * Tokens without iatMs only have iat, in whole seconds; they count as
+   * issued just before that second, so revoking in it revokes them.
+   **/
+
+  static async isRevoked({ jti, username, iat, iatMs = iat * 1000 - 1 }) {
+    if (!jti) return true;
+
+    const cached = cache.get(jti);
+    if (cached && Date.now() - cached.checkedAt < CACHE_TTL_MS) {
+      return cached.revoked;
+    }
+
+    const result = await db.query(
+          `SELECT EXISTS (SELECT 1
+                          FROM revoked_tokens
+                          WHERE jti = $1)
+                  OR EXISTS (SELECT 1
+                             FROM revoked_user_tokens
+                             WHERE username = $2
+                               AND revoked_at > to_timestamp($3 / 1000.0))
+                  AS revoked`,
+        [jti, username, iatMs]);
+    const revoked = result.rows[0].revoked;
+
+    if (cache.size >= CACHE_MAX_SIZE) cache.clear();
+    cache.set(jti, { username, revoked, checkedAt: Date.now() });
+
+    return revoked;
+  }
+
+  /** Forget all cached checks: for tests, which roll back revocations. */
+
+  static clearCache() {
+    cache.clear();
+  }
+}
+
+
+module.exports = TokenRevocation;
@@ -0,0 +1,87 @@
+"use strict";
+
+const db = require("../db.js");
+const TokenRevocation = require("./tokenRevocation.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const now = Math.floor(Date.now() / 1000);
+const token = {
+  jti: "8f0c8f9e-3a57-4d3e-9a55-0f4b1b3c2d1e",
+  username: "u1",
+  iat: now - 60,
+  exp: now + 600,
+};
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    expect(await TokenRevocation.isRevoked(token)).toBe(false);
+    await TokenRevocation.revoke(token.jti, token.exp);
+    expect(await TokenRevocation.isRevoked(token)).toBe(true);
+    expect(await TokenRevocation.isRevoked(
+        { ...token, jti: "0f6b5a2e-2c1d-4d4e-8b7a-6c5d4e3f2a1b" })).toBe(false);
+  });
+
+  test("works: drops expired revocations", async function () {
+    await TokenRevocation.revoke(
+        "0f6b5a2e-2c1d-4d4e-8b7a-6c5d4e3f2a1b", now - 10);
+    await TokenRevocation.revoke(token.jti, token.exp);
+    const result = await db.query("SELECT jti FROM revoked_tokens");
+    expect(result.rows).toEqual([{ jti: token.jti }]);
+  });
+});
+
+/************************************** revokeUser */
+
+describe("revokeUser", function () {
+  test("works: revokes tokens issued up to now", async function () {
+    expect(await TokenRevocation.isRevoked(token)).toBe(false);
+    await TokenRevocation.revokeUser("u1");
+    expect(await TokenRevocation.isRevoked(token)).toBe(true);
+
+    const later = { ...token, jti: "0f6b5a2e-2c1d-4d4e-8b7a-6c5d4e3f2a1b", iat: now + 60 };
+    expect(await TokenRevocation.isRevoked(later)).toBe(false);
+    expect(await TokenRevocation.isRevoked({ ...token, username: "u2" })).toBe(true);
+  });
+
+  test("works: tokens issued since, even that second, are kept", async function () {
+    await TokenRevocation.revokeUser("u1");
+    const issuedAt = Date.now();
+    const since = {
+      ...token,
+      jti: "0f6b5a2e-2c1d-4d4e-8b7a-6c5d4e3f2a1b",
+      iat: Math.floor(issuedAt / 1000),
+      iatMs: issuedAt,
+    };
+    expect(await TokenRevocation.isRevoked(since)).toBe(false);
+
+    // without iatMs, a token from that second might be from before
+    const { iatMs, ...secondsOnly } = since;
+    expect(await TokenRevocation.isRevoked(
+        { ...secondsOnly, jti: "2d9a4c7e-5b3f-4e8a-9c1d-7f6e5d4c3b2a" })).toBe(true);
+  });
+
+  test("works: other users unaffected", async function () {
+    await TokenRevocation.revokeUser("u2");
+    expect(await TokenRevocation.isRevoked(token)).toBe(false);
+  });
+});
+
+/************************************** isRevoked */
+
+describe("isRevoked", function () {
+  test("works: no jti counts as revoked", async function () {
+    expect(await TokenRevocation.isRevoked({ username: "u1", iat: now })).toBe(true);
+  });
+});
@@ -0,0 +1,196 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const db = require("../db");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const { hashToken } = require("../helpers/tokens");
+const {
+  base32Encode,
+  generateSecret,
+  matchStep,
+  otpauthUri,
+} = require("../helpers/totp");
+
+/** How many recovery codes a user gets. */
+const RECOVERY_CODE_COUNT = 10;
+
+/** Return a new recovery code, like "abcde-fghij" (50 random bits). */
+
+function newRecoveryCode() {
+  const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/** Hash a recovery code for storage, ignoring case and dashes. */
+
+function hashRecoveryCode(code) {
+  return hashToken(code.toLowerCase().replace(/-/g, ""));
+}
+
+/** Related functions for TOTP two-factor authentication.
+ *
+ * A user enrolls (getting a secret to add to their authenticator app), then
+ * confirms with a code from the app, which enables it and gives them
+ * recovery codes. From then on, logging in needs a code as well as the
+ * password.
+ */
+
+class TwoFactor {
+  /** Start enrolling username, replacing any unconfirmed enrollment.
+   *
+   * Returns { secret, otpauthUri }
+   *
+   * Throws NotFoundError if user not found, BadRequestError if already
+   * enabled.
+   **/
+
+  static async enroll(username) {
+    return db.withTransaction(async () => {
+      const userRes = await db.query(
+            `SELECT u.username, t.enabled_at
+             FROM users AS u
+               LEFT JOIN user_totp AS t ON t.username = u.username
+             WHERE u.username = $1`,
+          [username]);
+      const user = userRes.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+      if (user.enabled_at) {
+        throw new BadRequestError("Two-factor authentication is already enabled");
+      }
+
+      const secret = generateSecret();
+      await db.query(
+            `INSERT INTO user_totp (username, secret)
+             VALUES ($1, $2)
+             ON CONFLICT (username) DO UPDATE SET secret = $2`,
+          [username, secret]);
+
+      return { secret, otpauthUri: otpauthUri(secret, username) };
+    });
+  }
+
+  /** Finish enrolling username with a code from their authenticator app.
+   *
+   * Returns { recoveryCodes: [code, ...] }; these are only shown now.
+   *
+   * Throws BadRequestError if not enrolling or code is wrong.
+   **/
+
+  static async confirm(username, code) {
+    return db.withTransaction(async () => {
+      const result = await db.query(
+            `SELECT secret
+             FROM user_totp
+             WHERE username = $1 AND enabled_at IS NULL`,
+          [username]);
+      const pending = result.rows[0];
+
+      if (!pending) {
+        throw new BadRequestError("No two-factor enrollment to confirm");
+      }
+
+      const step = matchStep(pending.secret, code);
+      if (step === null) throw new BadRequestError("Invalid two-factor code");
+
+      await db.query(
+            `UPDATE user_totp
+             SET enabled_at = NOW(), last_used_step = $2
+             WHERE username = $1`,
+          [username, step]);
+
+      const recoveryCodes = await TwoFactor.newRecoveryCodes(username);
+      return { recoveryCodes };
+    });
+  }
+
+  /** Replace username's recovery codes with new ones, and return them. */
+
+  static async newRecoveryCodes(username) {
+    return db.withTransaction(async () => {
+      await db.query(
+          `DELETE FROM recovery_codes WHERE username = $1`, [username]);
+
+      const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+      for (const code of codes) {
+        await db.query(
+              `INSERT INTO recovery_codes (username, code_hash)
+               VALUES ($1, $2)`,
+            [username, hashRecoveryCode(code)]);
+      }
+
+      return codes;
+    });
+  }
+
+  /** Does username have two-factor authentication enabled? */
+
+  static async isEnabled(username) {
+    const result = await db.query(
+          `SELECT 1
+           FROM user_totp
+           WHERE username = $1 AND enabled_at IS NOT NULL`,
+        [username]);
+
+    return result.rows.length > 0;
+  }
+
+  /** Check code for username: either a code from their authenticator app
+   * that hasn't been used before, or an unused recovery code (which is then
+   * used up).
+   *
+   * Returns true if valid, false if not (or 2FA isn't enabled).
+   **/
+
+  static async verify(username, code) {
+    const result = await db.query(
+          `SELECT secret
+           FROM user_totp
+           WHERE username = $1 AND enabled_at IS NOT NULL`,
+        [username]);
+    const totp = result.rows[0];
+
+    if (!totp) return false;
+
+    const step = matchStep(totp.secret, code);
+    if (step !== null) {
+      // only a later step than any used before, so codes can't be replayed
+      const usedRes = await db.query(
+            `UPDATE user_totp
+             SET last_used_step = $2
+             WHERE username = $1
+               AND (last_used_step IS NULL OR last_used_step < $2)
+             RETURNING username`,
+          [username, step]);
+      return usedRes.rows.length > 0;
+    }
+
+    const recoveryRes = await db.query(
+          `UPDATE recovery_codes
+           SET used_at = NOW()
+           WHERE id = (SELECT id
+                       FROM recovery_codes
+                       WHERE username = $1
+                         AND code_hash = $2
+                         AND used_at IS NULL
+                       LIMIT 1)
+           RETURNING id`,
+        [username, hashRecoveryCode(String(code))]);
+    return recoveryRes.rows.length > 0;
+  }
+
+  /** Turn off two-factor authentication for username, removing their secret
+   * and recovery codes; returns undefined.
+   **/
+
+  static async disable(username) {
+    await db.query(
+        `DELETE FROM user_totp WHERE username = $1`, [username]);
+    await db.query(
+        `DELETE FROM recovery_codes WHERE username = $1`, [username]);
+  }
+}
+
+
+module.exports = TwoFactor;
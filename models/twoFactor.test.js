@@ -0,0 +1,154 @@
+"use strict";
+
+const db = require("../db.js");
+const { NotFoundError, BadRequestError } = require("../expressError");
+const { codeAt, timeStep } = require("../helpers/totp");
+const TwoFactor = require("./twoFactor.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Enroll and confirm u1; returns { secret, recoveryCodes }. */
+
+async function enable() {
+  const { secret } = await TwoFactor.enroll("u1");
+  const { recoveryCodes } =
+      await TwoFactor.confirm("u1", codeAt(secret, timeStep() - 1));
+  return { secret, recoveryCodes };
+}
+
+/************************************** enroll */
+
+describe("enroll", function () {
+  test("works", async function () {
+    const enrollment = await TwoFactor.enroll("u1");
+    expect(enrollment).toEqual({
+      secret: expect.stringMatching(/^[A-Z2-7]{32}$/),
+      otpauthUri: expect.stringContaining(`secret=${enrollment.secret}`),
+    });
+    expect(await TwoFactor.isEnabled("u1")).toBe(false);
+  });
+
+  test("works: again replaces secret", async function () {
+    const first = await TwoFactor.enroll("u1");
+    const second = await TwoFactor.enroll("u1");
+    expect(second.secret).not.toEqual(first.secret);
+  });
+
+  test("bad request if already enabled", async function () {
+    await enable();
+    try {
+      await TwoFactor.enroll("u1");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await TwoFactor.enroll("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    const { recoveryCodes } = await enable();
+    expect(recoveryCodes.length).toEqual(10);
+    expect(recoveryCodes[0]).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/);
+    expect(await TwoFactor.isEnabled("u1")).toBe(true);
+
+    const stored = await db.query("SELECT code_hash FROM recovery_codes");
+    expect(stored.rows.length).toEqual(10);
+    expect(stored.rows.map(r => r.code_hash)).not.toContain(recoveryCodes[0]);
+  });
+
+  test("bad request with wrong code", async function () {
+    await TwoFactor.enroll("u1");
+    try {
+      await TwoFactor.confirm("u1", "000000");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect(await TwoFactor.isEnabled("u1")).toBe(false);
+  });
+
+  test("bad request if not enrolling", async function () {
+    try {
+      await TwoFactor.confirm("u1", "000000");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works: current code, once", async function () {
+    const { secret } = await enable();
+    const code = codeAt(secret, timeStep());
+    expect(await TwoFactor.verify("u1", code)).toBe(true);
+    expect(await TwoFactor.verify("u1", code)).toBe(false);
+  });
+
+  test("false for code at or before the confirming one", async function () {
+    const { secret } = await enable();
+    expect(await TwoFactor.verify("u1", codeAt(secret, timeStep() - 1))).toBe(false);
+  });
+
+  test("works: recovery code, once", async function () {
+    const { recoveryCodes } = await enable();
+    expect(await TwoFactor.verify("u1", recoveryCodes[0].toUpperCase())).toBe(true);
+    expect(await TwoFactor.verify("u1", recoveryCodes[0])).toBe(false);
+    expect(await TwoFactor.verify("u1", recoveryCodes[1].replace("-", ""))).toBe(true);
+  });
+
+  test("false for wrong code", async function () {
+    await enable();
+    expect(await TwoFactor.verify("u1", "nope")).toBe(false);
+  });
+
+  test("false if not enabled", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    expect(await TwoFactor.verify("u1", codeAt(secret, timeStep()))).toBe(false);
+  });
+});
+
+/************************************** newRecoveryCodes */
+
+describe("newRecoveryCodes", function () {
+  test("works: old codes stop working", async function () {
+    const { recoveryCodes } = await enable();
+    const newCodes = await TwoFactor.newRecoveryCodes("u1");
+    expect(await TwoFactor.verify("u1", recoveryCodes[0])).toBe(false);
+    expect(await TwoFactor.verify("u1", newCodes[0])).toBe(true);
+  });
+});
+
+/************************************** disable */
+
+describe("disable", function () {
+  test("works", async function () {
+    const { recoveryCodes } = await enable();
+    await TwoFactor.disable("u1");
+    expect(await TwoFactor.isEnabled("u1")).toBe(false);
+    expect(await TwoFactor.verify("u1", recoveryCodes[0])).toBe(false);
+  });
+});
@@ -2,21 +2,34 @@
 
 const db = require("../db");
 const bcrypt = require("bcrypt");
-const { sqlForPartialUpdate } = require("../helpers/sql");
+const { sqlForPartialUpdate, sqlWhere } = require("../helpers/sql");
+const { sortKeys, sqlForPagination, paginate } = require("../helpers/pagination");
+const { duplicateError } = require("../helpers/dbErrors");
 const {
   NotFoundError,
-  BadRequestError,
   UnauthorizedError,
 } = require("../expressError");
 
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const Application = require("./application");
+const RefreshToken = require("./refreshToken");
+const TokenRevocation = require("./tokenRevocation");
+const EmailVerification = require("./emailVerification");
+
+/** Fields users can be sorted by, and their columns. */
+const SORTABLE = {
+  username: { col: "username" },
+  firstName: { col: "first_name" },
+  lastName: { col: "last_name" },
+  email: { col: "email" },
+};
 
 /** Related functions for users. */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, firstName, lastName, email, role, isAdmin }
    *
    * Throws UnauthorizedError is user not found or wrong password.
    **/
@@ -29,7 +42,8 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  role,
+                  role = 'admin' AS "isAdmin"
            FROM users
            WHERE username = $1`,
         [username],
@@ -51,128 +65,146 @@ class User {
 
   /** Register user with data.
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * role defaults to "candidate", or "admin" if isAdmin is true. A link to
+   * verify their email address is emailed to the new user.
    *
-   * Throws BadRequestError on duplicates.
+   * Returns { username, firstName, lastName, email, role, isAdmin }
+   *
+   * Throws ConflictError on duplicates.
    **/
 
   static async register(
-      { username, password, firstName, lastName, email, isAdmin }) {
-    const duplicateCheck = await db.query(
-          `SELECT username
-           FROM users
-           WHERE username = $1`,
-        [username],
-    );
-
-    if (duplicateCheck.rows[0]) {
-      throw new BadRequestError(`Duplicate username: ${username}`);
-    }
-
-    const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
-
-    const result = await db.query(
-          `INSERT INTO users
-           (username,
-            password,
-            first_name,
-            last_name,
+      { username, password, firstName, lastName, email, isAdmin, role }) {
+    return db.withTransaction(async () => {
+      const duplicateCheck = await db.query(
+            `SELECT username
+             FROM users
+             WHERE username = $1`,
+          [username],
+      );
+
+      if (duplicateCheck.rows[0]) throw duplicateError("username", username);
+
+      const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
+
+      const result = await db.query(
+            `INSERT INTO users
+             (username,
+              password,
+              first_name,
+              last_name,
+              email,
+              role)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING username, first_name AS "firstName", last_name AS "lastName", email, role, role = 'admin' AS "isAdmin"`,
+          [
+            username,
+            hashedPassword,
+            firstName,
+            lastName,
             email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
-        [
-          username,
-          hashedPassword,
-          firstName,
-          lastName,
-          email,
-          isAdmin,
-        ],
-    );
+            role || (isAdmin ? "admin" : "candidate"),
+          ],
+      );
 
-    const user = result.rows[0];
+      const user = result.rows[0];
 
-    return user;
+      await EmailVerification.send(user.username, user.email);
+
+      return user;
+    });
   }
 
-  static async apply(username, jobId) {
-    // Check if the user exists
-    const userResult = await db.query(
-      `SELECT username FROM users WHERE username = $1`, [username]
-    );
-    if (!userResult.rows[0]) {
-      throw new NotFoundError(`No user: ${username}`);
-    }
-  
-    // Check if the job exists
-    const jobResult = await db.query(
-      `SELECT id FROM jobs WHERE id = $1`, [jobId]
-    );
-    if (!jobResult.rows[0]) {
-      throw new NotFoundError(`No job: ${jobId}`);
-    }
-  
-    // Check if the application already exists
-    const existingResult = await db.query(
-      `SELECT username, job_id FROM applications WHERE username = $1 AND job_id = $2`,
-      [username, jobId]
-    );
-    if (existingResult.rows[0]) {
-      throw new BadRequestError(`Application already exists for user: ${username}, job: ${jobId}`);
-    }
-  
-    // Create the application
-    const applicationResult = await db.query(
-      `INSERT INTO applications (username, job_id) VALUES ($1, $2) RETURNING job_id`,
-      [username, jobId]
-    );
-    const applied = applicationResult.rows[0].job_id;
-  
-    return { applied };
+  /** Apply for job: update db, return job id.
+   *
+   * - username: username applying for job
+   * - jobId: job id
+   * - state: "applied" (default) or "interested", to save the job first
+   *
+   * Returns { applied: jobId }
+   *
+   * Throws NotFoundError if user or job not found, ConflictError if
+   * already applied.
+   **/
+
+  static async apply(username, jobId, state = "applied") {
+    const application = await Application.create(username, jobId, state);
+    return { applied: application.jobId };
   }
 
   /** Find all users.
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * page is { limit, offset, after, before, sort }; see helpers/pagination.js.
+   * sort can use username, firstName, lastName and email (default:
+   * "username"); username breaks ties.
+   *
+   * Returns { users, pagination }
+   *   where users is [{ username, firstName, lastName, email, role, isAdmin }, ...]
+   *   and pagination is { total, limit, offset, nextCursor, prevCursor }
    **/
 
-  static async findAll() {
+  static async findAll(page = {}) {
+    const countRes = await db.query(
+          `SELECT COUNT(*)::integer AS "total"
+           FROM users`,
+    );
+
+    const keys = sortKeys(page.sort, SORTABLE, "username", "username");
+    const { whereExpression, orderBy, limitOffset, values } =
+        sqlForPagination(page, keys);
+
     const result = await db.query(
           `SELECT username,
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  role,
+                  role = 'admin' AS "isAdmin"
            FROM users
-           ORDER BY username`,
+           ${sqlWhere(whereExpression ? [whereExpression] : [])}
+           ${orderBy}
+           ${limitOffset}`,
+        values,
     );
 
-    return result.rows;
+    const { rows, pagination } = paginate(
+        result.rows, countRes.rows[0].total, page, keys);
+
+    return { users: rows, pagination };
   }
 
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs is { id, title, company_handle, company_name, state }
+   * Returns { username, firstName, lastName, email, emailVerified, role,
+   *           isAdmin, jobs }
+   *   where jobs is [jobId, ...], the jobs they've applied for
    *
    * Throws NotFoundError if user not found.
    **/
 
-   static async get(username) {
+  static async get(username) {
     const userRes = await db.query(
-      `SELECT u.username, u.first_name AS "firstName", u.last_name AS "lastName", u.email, u.is_admin AS "isAdmin", ARRAY_AGG(a.job_id) AS jobs
-       FROM users AS u
-       LEFT JOIN applications AS a ON u.username = a.username
-       WHERE u.username = $1
-       GROUP BY u.username`,
-      [username],
+          `SELECT u.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  u.email_verified_at IS NOT NULL AS "emailVerified",
+                  u.role,
+                  u.role = 'admin' AS "isAdmin",
+                  COALESCE(ARRAY_AGG(a.job_id ORDER BY a.job_id)
+                             FILTER (WHERE a.job_id IS NOT NULL),
+                           '{}') AS jobs
+           FROM users AS u
+             LEFT JOIN applications AS a ON u.username = a.username
+           WHERE u.username = $1
+           GROUP BY u.username`,
+        [username],
     );
-  
+
     const user = userRes.rows[0];
-  
+
     if (!user) throw new NotFoundError(`No user: ${username}`);
-  
+
     return user;
   }
 
@@ -182,46 +214,89 @@ class User {
    * all the fields; this only changes provided ones.
    *
    * Data can include:
-   *   { firstName, lastName, password, email, isAdmin }
+   *   { firstName, lastName, password, email, role, isAdmin }
+   *
+   * isAdmin: true is the same as role "admin"; isAdmin: false makes an admin
+   * a candidate (and leaves other roles be).
+   *
+   * Returns { username, firstName, lastName, email, role, isAdmin }
+   *
+   * Changing email marks the new address unverified and emails a link to
+   * verify it.
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Changing password or role revokes all the user's access and refresh
+   * tokens, so they (or whoever has their tokens) must log in again. A
+   * recruiter whose role changes leaves every company they were a member of,
+   * since only recruiters can be members (see Company.addMember).
    *
    * Throws NotFoundError if not found.
    *
-   * WARNING: this function can set a new password or make a user an admin.
+   * WARNING: this function can set a new password or change a user's role.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
    */
 
-  static async update(username, data) {
-    if (data.password) {
-      data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
-    }
+  static async update(username, { isAdmin, ...data }) {
+    return db.withTransaction(async () => {
+      if (data.password) {
+        data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
+      }
 
-    const { setCols, values } = sqlForPartialUpdate(
-        data,
-        {
-          firstName: "first_name",
-          lastName: "last_name",
-          isAdmin: "is_admin",
-        });
-    const usernameVarIdx = "$" + (values.length + 1);
-
-    const querySql = `UPDATE users 
-                      SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
-                      RETURNING username,
-                                first_name AS "firstName",
-                                last_name AS "lastName",
-                                email,
-                                is_admin AS "isAdmin"`;
-    const result = await db.query(querySql, [...values, username]);
-    const user = result.rows[0];
+      const currentRes = await db.query(
+        `SELECT email, role FROM users WHERE username = $1`, [username]
+      );
+      const current = currentRes.rows[0];
 
-    if (!user) throw new NotFoundError(`No user: ${username}`);
+      if (isAdmin !== undefined && data.role === undefined) {
+        if (isAdmin) data.role = "admin";
+        else if (current && current.role === "admin") data.role = "candidate";
+      }
 
-    delete user.password;
-    return user;
+      const emailChanged = data.email !== undefined
+          && current !== undefined && current.email !== data.email;
+      const roleChanged = data.role !== undefined
+          && current !== undefined && current.role !== data.role;
+
+      const { setCols, values } = sqlForPartialUpdate(
+          emailChanged ? { ...data, emailVerifiedAt: null } : data,
+          {
+            firstName: "first_name",
+            lastName: "last_name",
+            emailVerifiedAt: "email_verified_at",
+          });
+      const usernameVarIdx = "$" + (values.length + 1);
+
+      const querySql = `UPDATE users 
+                        SET ${setCols} 
+                        WHERE username = ${usernameVarIdx} 
+                        RETURNING username,
+                                  first_name AS "firstName",
+                                  last_name AS "lastName",
+                                  email,
+                                  role,
+                                  role = 'admin' AS "isAdmin"`;
+      const result = await db.query(querySql, [...values, username]);
+      const user = result.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+
+      if (emailChanged) {
+        await EmailVerification.send(username, user.email);
+      }
+
+      if (data.password !== undefined || roleChanged) {
+        await TokenRevocation.revokeUser(username);
+        await RefreshToken.revokeUser(username);
+      }
+
+      if (roleChanged && current.role === "recruiter") {
+        await db.query(
+            `DELETE FROM company_members WHERE username = $1`, [username]);
+      }
+
+      delete user.password;
+      return user;
+    });
   }
 
   /** Delete given user from database; returns undefined. */
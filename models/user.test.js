@@ -3,15 +3,19 @@
 const {
   NotFoundError,
   BadRequestError,
+  ConflictError,
   UnauthorizedError,
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const MailOutbox = require("./mailOutbox.js");
+const { setMailer } = require("../helpers/mailer");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -29,6 +33,7 @@ describe("authenticate", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      role: "candidate",
       isAdmin: false,
     });
   });
@@ -60,6 +65,7 @@ describe("register", function () {
     firstName: "Test",
     lastName: "Tester",
     email: "test@test.com",
+    role: "candidate",
     isAdmin: false,
   };
 
@@ -71,7 +77,7 @@ describe("register", function () {
     expect(user).toEqual(newUser);
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(false);
+    expect(found.rows[0].role).toEqual("candidate");
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
@@ -79,16 +85,35 @@ describe("register", function () {
     let user = await User.register({
       ...newUser,
       password: "password",
+      role: undefined,
       isAdmin: true,
     });
-    expect(user).toEqual({ ...newUser, isAdmin: true });
+    expect(user).toEqual({ ...newUser, role: "admin", isAdmin: true });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
-    expect(found.rows[0].is_admin).toEqual(true);
+    expect(found.rows[0].role).toEqual("admin");
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
-  test("bad request with dup data", async function () {
+  test("works: with role", async function () {
+    let user = await User.register({
+      ...newUser,
+      password: "password",
+      role: "recruiter",
+    });
+    expect(user).toEqual({ ...newUser, role: "recruiter", isAdmin: false });
+  });
+
+  test("works: emails verification link", async function () {
+    await User.register({
+      ...newUser,
+      password: "password",
+    });
+    const mail = await MailOutbox.findAll("test@test.com");
+    expect(mail.map(m => m.subject)).toEqual(["Verify your Jobly email address"]);
+  });
+
+  test("conflict with dup data", async function () {
     try {
       await User.register({
         ...newUser,
@@ -100,9 +125,22 @@ describe("register", function () {
       });
       fail();
     } catch (err) {
-      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err instanceof ConflictError).toBeTruthy();
     }
   });
+
+  test("nothing saved if emailing fails", async function () {
+    setMailer({ send: async () => { throw new Error("mail down"); } });
+    try {
+      await expect(User.register({ ...newUser, password: "password" }))
+          .rejects.toThrow("mail down");
+    } finally {
+      setMailer();
+    }
+
+    const found = await db.query("SELECT * FROM users WHERE username = 'new'");
+    expect(found.rows).toEqual([]);
+  });
 });
 
 /************************************** apply */
@@ -111,23 +149,36 @@ describe('apply', function () {
   test('works', async function () {
     const application = await User.apply('u1', testJobIds[0]);
     expect(application).toEqual({ applied: testJobIds[0] });
+
+    const res = await db.query(
+        "SELECT state FROM applications WHERE username = 'u1' AND job_id = $1",
+        [testJobIds[0]]);
+    expect(res.rows).toEqual([{ state: 'applied' }]);
   });
 
-  test('bad request with nonexistent user', async function () {
+  test('works: interested', async function () {
+    await User.apply('u1', testJobIds[0], 'interested');
+    const res = await db.query(
+        "SELECT state FROM applications WHERE username = 'u1' AND job_id = $1",
+        [testJobIds[0]]);
+    expect(res.rows).toEqual([{ state: 'interested' }]);
+  });
+
+  test('not found with nonexistent user', async function () {
     try {
       await User.apply('no-such-user', testJobIds[0]);
       fail();
     } catch (err) {
-      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
 
-  test('bad request with nonexistent job', async function () {
+  test('not found with nonexistent job', async function () {
     try {
-      await User.apply(testUserIds[0], -1);
+      await User.apply('u1', 0);
       fail();
     } catch (err) {
-      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
 
@@ -137,7 +188,8 @@ describe('apply', function () {
       await User.apply('u1', testJobIds[0]);
       fail();
     } catch (err) {
-      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err instanceof ConflictError).toBeTruthy();
+      expect(err.errors[0].field).toEqual('username,jobId');
     }
   });
 });
@@ -146,13 +198,14 @@ describe('apply', function () {
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { users, pagination } = await User.findAll();
     expect(users).toEqual([
       {
         username: "u1",
         firstName: "U1F",
         lastName: "U1L",
         email: "u1@email.com",
+        role: "candidate",
         isAdmin: false,
       },
       {
@@ -160,9 +213,27 @@ describe("findAll", function () {
         firstName: "U2F",
         lastName: "U2L",
         email: "u2@email.com",
+        role: "candidate",
         isAdmin: false,
       },
     ]);
+    expect(pagination).toEqual({
+      total: 2,
+      limit: 20,
+      offset: 0,
+      nextCursor: null,
+      prevCursor: null,
+    });
+  });
+
+  test("works: paging", async function () {
+    const first = await User.findAll({ limit: 1 });
+    expect(first.users.map(u => u.username)).toEqual(["u1"]);
+
+    const second = await User.findAll(
+        { limit: 1, after: first.pagination.nextCursor });
+    expect(second.users.map(u => u.username)).toEqual(["u2"]);
+    expect(second.pagination.nextCursor).toBeNull();
   });
 });
 
@@ -170,16 +241,31 @@ describe("findAll", function () {
 
 describe('get', function () {
   test('works', async function () {
+    await User.apply('u1', testJobIds[0], 'interested');
+    await User.apply('u1', testJobIds[1], 'interested');
     const user = await User.get('u1');
     expect(user).toEqual({
       username: 'u1',
       firstName: 'U1F',
       lastName: 'U1L',
+      email: 'u1@email.com',
+      emailVerified: false,
+      role: 'candidate',
       isAdmin: false,
       jobs: [testJobIds[0], testJobIds[1]],
     });
   });
 
+  test('works: no jobs', async function () {
+    expect((await User.get('u1')).jobs).toEqual([]);
+  });
+
+  test('works: emailVerified', async function () {
+    expect((await User.get('u1')).emailVerified).toBe(false);
+    await db.query("UPDATE users SET email_verified_at = NOW() WHERE username = 'u1'");
+    expect((await User.get('u1')).emailVerified).toBe(true);
+  });
+
   test('not found if no such user', async function () {
     try {
       await User.get('no-such-user');
@@ -197,7 +283,7 @@ describe("update", function () {
     firstName: "NewF",
     lastName: "NewF",
     email: "new@email.com",
-    isAdmin: true,
+    role: "admin",
   };
 
   test("works", async function () {
@@ -205,6 +291,7 @@ describe("update", function () {
     expect(job).toEqual({
       username: "u1",
       ...updateData,
+      isAdmin: true,
     });
   });
 
@@ -217,6 +304,7 @@ describe("update", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      role: "candidate",
       isAdmin: false,
     });
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
@@ -224,6 +312,57 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: new email must be verified", async function () {
+    await db.query("UPDATE users SET email_verified_at = NOW() WHERE username = 'u1'");
+    await User.update("u1", { email: "new@email.com" });
+
+    expect((await User.get("u1")).emailVerified).toBe(false);
+    const mail = await MailOutbox.findAll("new@email.com");
+    expect(mail.map(m => m.subject)).toEqual(["Verify your Jobly email address"]);
+  });
+
+  test("works: same email stays verified", async function () {
+    await db.query("UPDATE users SET email_verified_at = NOW() WHERE username = 'u1'");
+    await User.update("u1", { email: "u1@email.com", firstName: "New" });
+
+    expect((await User.get("u1")).emailVerified).toBe(true);
+    expect(await MailOutbox.findAll()).toEqual([]);
+  });
+
+  test("works: isAdmin true makes an admin", async function () {
+    const user = await User.update("u1", { isAdmin: true });
+    expect(user.role).toEqual("admin");
+    expect(user.isAdmin).toEqual(true);
+  });
+
+  test("works: isAdmin false makes an admin a candidate", async function () {
+    await db.query("UPDATE users SET role = 'admin' WHERE username = 'u1'");
+    const user = await User.update("u1", { isAdmin: false });
+    expect(user.role).toEqual("candidate");
+    expect(user.isAdmin).toEqual(false);
+  });
+
+  test("works: isAdmin false leaves other roles be", async function () {
+    await db.query("UPDATE users SET role = 'recruiter' WHERE username = 'u1'");
+    const user = await User.update("u1", { isAdmin: false, firstName: "New" });
+    expect(user.role).toEqual("recruiter");
+    expect(user.firstName).toEqual("New");
+  });
+
+  test("works: a recruiter changing role leaves their companies", async function () {
+    await db.query("UPDATE users SET role = 'recruiter' WHERE username = 'u1'");
+    await db.query(`INSERT INTO company_members (company_handle, username, added_by)
+                    VALUES ('c1', 'u1', 'u2'), ('c2', 'u1', 'u2')`);
+    const members = () => db.query(
+        "SELECT company_handle FROM company_members WHERE username = 'u1'");
+
+    await User.update("u1", { firstName: "New" });
+    expect((await members()).rows.length).toEqual(2);
+
+    await User.update("u1", { role: "candidate" });
+    expect((await members()).rows).toEqual([]);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
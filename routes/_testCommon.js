@@ -3,12 +3,20 @@
 const db = require("../db.js");
 const User = require("../models/user");
 const Company = require("../models/company");
+const Job = require("../models/job");
+const TokenRevocation = require("../models/tokenRevocation");
+const { resetRateLimits } = require("../middleware/rateLimit");
+const { resetMetrics } = require("../helpers/metrics");
 const { createToken } = require("../helpers/tokens");
 
+const testJobIds = [];
+
 async function commonBeforeAll() {
   // noinspection SqlWithoutWhere
   await db.query("DELETE FROM users");
   // noinspection SqlWithoutWhere
+  await db.query("DELETE FROM mail_outbox");
+  // noinspection SqlWithoutWhere
   await db.query("DELETE FROM companies");
 
   await Company.create(
@@ -36,6 +44,13 @@ async function commonBeforeAll() {
         logoUrl: "http://c3.img",
       });
 
+  testJobIds[0] = (await Job.create(
+      { title: "J1", salary: 1, equity: 0.1, companyHandle: "c1" })).id;
+  testJobIds[1] = (await Job.create(
+      { title: "J2", salary: 2, equity: 0.2, companyHandle: "c1" })).id;
+  testJobIds[2] = (await Job.create(
+      { title: "J3", salary: 3, /* equity null */ companyHandle: "c1" })).id;
+
   await User.register({
     username: "u1",
     firstName: "U1F",
@@ -58,16 +73,21 @@ async function commonBeforeAll() {
     lastName: "U3L",
     email: "user3@user.com",
     password: "password3",
-    isAdmin: false,
+    role: "recruiter",
   });
+
+  await Company.addMember("c1", "u3", "admin");
 }
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  await db.beginTestTransaction();
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  await db.rollbackTestTransaction();
+  TokenRevocation.clearCache();
+  resetRateLimits();
+  resetMetrics();
 }
 
 async function commonAfterAll() {
@@ -75,7 +95,12 @@ async function commonAfterAll() {
 }
 
 
-const u1Token = createToken({ username: "u1", isAdmin: false });
+const u1Token = createToken({ username: "u1", isAdmin: false, role: "candidate" });
+const u2Token = createToken({ username: "u2", isAdmin: false, role: "candidate" });
+const adminToken = createToken({ username: "admin", isAdmin: true, role: "admin" });
+const u3Token = createToken({ username: "u3", isAdmin: false, role: "recruiter" });
+const auditorToken =
+    createToken({ username: "auditor", isAdmin: false, role: "auditor" });
 
 
 module.exports = {
@@ -83,5 +108,10 @@ module.exports = {
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
   u1Token,
+  u2Token,
+  adminToken,
+  u3Token,
+  auditorToken,
 };
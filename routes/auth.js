@@ -2,62 +2,241 @@
 
 /** Routes for authentication. */
 
-const jsonschema = require("jsonschema");
-
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const TokenRevocation = require("../models/tokenRevocation");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
+const LoginThrottle = require("../models/loginThrottle");
+const TwoFactor = require("../models/twoFactor");
 const express = require("express");
 const router = new express.Router();
-const { createToken } = require("../helpers/tokens");
-const { requireAdmin } = require("../middleware/auth");
+const {
+  createToken,
+  createChallenge,
+  verifyChallenge,
+} = require("../helpers/tokens");
+const { ensureLoggedIn } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { assertValid } = require("../helpers/validation");
+const { counter } = require("../helpers/metrics");
 const userAuthSchema = require("../schemas/userAuth.json");
+const tokenChallengeSchema = require("../schemas/tokenChallenge.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const tokenRefreshSchema = require("../schemas/tokenRefresh.json");
+const logoutSchema = require("../schemas/logout.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const emailVerifySchema = require("../schemas/emailVerify.json");
+const {
+  UnauthorizedError,
+  TooManyRequestsError,
+} = require("../expressError");
+
+const logins = counter(
+    "jobly_logins_total",
+    "Logins with POST /auth/token, by whether they succeeded or failed",
+    ["result"]);
+
+/** Count a failed login for username from this request's IP, for the login
+ * throttle and metrics.
+ */
+async function recordLoginFailure(username, req) {
+  await LoginThrottle.recordFailure(username, req.ip);
+  logins.inc({ result: "failed" });
+}
+
+/** Throw TooManyRequestsError if logins for username from this request's
+ * IP must wait (see models/loginThrottle.js).
+ */
+async function checkLoginThrottle(username, req) {
+  const wait = await LoginThrottle.secondsToWait(username, req.ip);
+  if (wait > 0) {
+    throw new TooManyRequestsError(
+        `Too many failed logins; try again in ${wait} seconds`, wait);
+  }
+}
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
+ *                                            or { challenge }
+ *                     { challenge, code } => { token, refreshToken }
+ *
+ * Returns JWT token which can be used to authenticate further requests, and
+ * a refresh token to get a new one when it expires (see POST /auth/refresh).
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * If the user has two-factor authentication on, the password instead gets
+ * a challenge, good for 5 minutes; send it back with a code from their
+ * authenticator app (or a recovery code) to get the tokens.
+ *
+ * Repeated failures for a username or from an IP must wait longer and longer
+ * between attempts, and then are locked out for a while (see
+ * models/loginThrottle.js): these get 429 with a Retry-After header.
  *
  * Authorization required: none
  */
 
 router.post("/token", async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userAuthSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
+    const secondStep = req.body.challenge !== undefined;
+    assertValid(req.body, secondStep ? tokenChallengeSchema : userAuthSchema);
+
+    const username = secondStep
+        ? verifyChallenge(req.body.challenge)
+        : req.body.username;
+    await checkLoginThrottle(username, req);
+
+    let user;
+    if (secondStep) {
+      if (!await TwoFactor.verify(username, req.body.code)) {
+        await recordLoginFailure(username, req);
+        throw new UnauthorizedError("Invalid two-factor code");
+      }
+      user = await User.get(username);
+    } else {
+      try {
+        user = await User.authenticate(username, req.body.password);
+      } catch (err) {
+        if (err instanceof UnauthorizedError) {
+          await recordLoginFailure(username, req);
+        }
+        throw err;
+      }
+      if (await TwoFactor.isEnabled(user.username)) {
+        return res.json({ challenge: createChallenge(user.username) });
+      }
     }
+    await LoginThrottle.recordSuccess(username);
 
-    const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    const token = createToken(user, { mfa: secondStep });
+    const refreshToken = await RefreshToken.issue(
+        user.username, { mfa: secondStep });
+    logins.inc({ result: "succeeded" });
+    return res.json({ token, refreshToken });
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Self-service signup: the new user is always a candidate, and isAdmin or
+ * role are rejected if sent. Admins create users with other roles with
+ * POST /users.
+ *
+ * Returns JWT token which can be used to authenticate further requests, and
+ * a refresh token.
  *
- * Authorization required: admin
+ * Authorization required: none
  */
 
-router.post("/register", requireAdmin, async function (req, res, next) {
+router.post("/register", validate(userRegisterSchema), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userRegisterSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const newUser = await User.register({ ...req.body, isAdmin: false });
+    const newUser = await User.register({ ...req.body, role: "candidate" });
     const token = createToken(newUser);
-    return res.status(201).json({ token });
+    const refreshToken = await RefreshToken.issue(newUser.username);
+    return res.status(201).json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Exchanges a refresh token for a new JWT token and a new refresh token. Each
+ * refresh token can only be used once; using one again revokes it and every
+ * token issued from it, so the user must log in again.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", validate(tokenRefreshSchema), async function (req, res, next) {
+  try {
+    const { username, mfa, refreshToken } =
+        await RefreshToken.rotate(req.body.refreshToken);
+    const user = await User.get(username);
+    const token = createToken(user, { mfa });
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: username }
+ *
+ * Revokes the JWT token used for this request, and, if given, the refresh
+ * token (and every token issued from it). API keys can't log out (see
+ * ensureLoggedIn); revoke them with DELETE /users/[username]/api-keys/[id].
+ *
+ * Authorization required: login
+ */
+
+router.post("/logout", ensureLoggedIn, validate(logoutSchema), async function (req, res, next) {
+  try {
+    const { username, jti, exp } = res.locals.user;
+    await TokenRevocation.revoke(jti, exp);
+    if (req.body.refreshToken) await RefreshToken.revoke(req.body.refreshToken);
+    return res.json({ loggedOut: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset:   { email } => { requested: email }
+ *
+ * Emails a password reset token to the user with that address. The response
+ * is the same whether or not such a user exists.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset", validate(passwordResetRequestSchema), async function (req, res, next) {
+  try {
+    await PasswordReset.request(req.body.email);
+    return res.status(202).json({ requested: req.body.email });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/confirm:   { token, password } => { reset: username }
+ *
+ * Sets a new password with a token from POST /auth/password-reset. Each
+ * token can be used once. The user's existing access and refresh tokens are
+ * revoked, so they must log in again.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", validate(passwordResetConfirmSchema), async function (req, res, next) {
+  try {
+    const username = await PasswordReset.consume(req.body.token);
+    await User.update(username, { password: req.body.password });
+    return res.json({ reset: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /auth/verify?token=[token] => { verified: email }
+ *
+ * Marks the email address a verification token was sent to as verified.
+ * The link in the emails sent on signup and on changing email comes here.
+ *
+ * Authorization required: none
+ */
+
+router.get("/verify", validate(emailVerifySchema, "query"), async function (req, res, next) {
+  try {
+    const { email } = await EmailVerification.verify(req.query.token);
+    return res.json({ verified: email });
   } catch (err) {
     return next(err);
   }
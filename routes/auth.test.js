@@ -2,13 +2,24 @@
 
 const request = require("supertest");
 
+const db = require("../db.js");
 const app = require("../app");
+const PasswordReset = require("../models/passwordReset");
+const MailOutbox = require("../models/mailOutbox");
+const EmailVerification = require("../models/emailVerification");
+const TwoFactor = require("../models/twoFactor");
+const ApiKey = require("../models/apiKey");
+const { codeAt, timeStep } = require("../helpers/totp");
+const jwt = require("jsonwebtoken");
+const { SECRET_KEY } = require("../config");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
+  adminToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -28,6 +39,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -69,6 +81,142 @@ describe("POST /auth/token", function () {
         });
     expect(resp.statusCode).toEqual(400);
   });
+
+  async function login(password) {
+    return await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password });
+  }
+
+  test("too many requests after repeated failures", async function () {
+    for (let i = 0; i < 3; i++) {
+      expect((await login("nope")).statusCode).toEqual(401);
+    }
+
+    // even the right password has to wait
+    const resp = await login("password1");
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("1");
+  });
+
+  test("too many requests when locked out", async function () {
+    for (let i = 0; i < 5; i++) {
+      await login("nope");
+      await db.query(
+          "UPDATE login_failures SET last_failed_at = NOW() - INTERVAL '1 minute'");
+    }
+
+    const resp = await login("password1");
+    expect(resp.statusCode).toEqual(429);
+    expect(+resp.headers["retry-after"]).toBeGreaterThan(60);
+  });
+
+  test("works: success clears failures", async function () {
+    await login("nope");
+    await login("nope");
+    expect((await login("password1")).statusCode).toEqual(200);
+
+    const result = await db.query(
+        "SELECT kind, failures FROM login_failures ORDER BY kind");
+    expect(result.rows).toEqual([{ kind: "ip", failures: 2 }]);
+  });
+
+  test("works: counts the client's IP behind a trusted proxy", async function () {
+    app.set("trust proxy", 1);
+    try {
+      await request(app)
+          .post("/auth/token")
+          .set("X-Forwarded-For", "203.0.113.7")
+          .send({ username: "u1", password: "nope" });
+    } finally {
+      app.set("trust proxy", false);
+    }
+
+    const result = await db.query(
+        "SELECT key FROM login_failures WHERE kind = 'ip'");
+    expect(result.rows).toEqual([{ key: "203.0.113.7" }]);
+  });
+});
+
+/************************************** POST /auth/token with 2FA */
+
+describe("POST /auth/token with two-factor authentication", function () {
+  let secret;
+  let recoveryCodes;
+
+  beforeEach(async function () {
+    ({ secret } = await TwoFactor.enroll("u1"));
+    ({ recoveryCodes } =
+        await TwoFactor.confirm("u1", codeAt(secret, timeStep() - 1)));
+  });
+
+  async function challenge() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return resp.body.challenge;
+  }
+
+  test("password gets a challenge, not a token", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(resp.body).toEqual({ challenge: expect.any(String) });
+
+    const use = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.challenge}`);
+    expect(use.statusCode).toEqual(401);
+  });
+
+  test("works: challenge and code", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ challenge: await challenge(), code: codeAt(secret, timeStep()) });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(jwt.verify(resp.body.token, SECRET_KEY).mfa).toBe(true);
+
+    // refreshed tokens still count as two-factor logins
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: resp.body.refreshToken });
+    expect(jwt.verify(refresh.body.token, SECRET_KEY).mfa).toBe(true);
+  });
+
+  test("works: recovery code", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ challenge: await challenge(), code: recoveryCodes[0] });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth with wrong code", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ challenge: await challenge(), code: "000000" });
+    expect(resp.statusCode).toEqual(401);
+
+    const result = await db.query(
+        "SELECT failures FROM login_failures WHERE kind = 'username'");
+    expect(result.rows).toEqual([{ failures: 1 }]);
+  });
+
+  test("unauth with bad challenge", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ challenge: u1Token, code: codeAt(secret, timeStep()) });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing code", async function () {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ challenge: await challenge() });
+    expect(resp.statusCode).toEqual(400);
+  });
 });
 
 /************************************** POST /auth/register */
@@ -87,9 +235,93 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
+  test("works: new user is not an admin", async function () {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    const found = await db.query(
+        "SELECT role FROM users WHERE username = 'new'");
+    expect(found.rows).toEqual([{ role: "candidate" }]);
+  });
+
+  test("works for logged-in users", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("bad request if isAdmin sent, even by admin", async function () {
+    for (const token of [undefined, u1Token, adminToken]) {
+      const req = request(app)
+          .post("/auth/register")
+          .send({
+            username: "new",
+            firstName: "first",
+            lastName: "last",
+            password: "password",
+            email: "new@email.com",
+            isAdmin: true,
+          });
+      if (token) req.set("authorization", `Bearer ${token}`);
+      const resp = await req;
+      expect(resp.statusCode).toEqual(400);
+    }
+
+    const found = await db.query(
+        "SELECT username FROM users WHERE username = 'new'");
+    expect(found.rows.length).toEqual(0);
+  });
+
+  test("bad request if role sent", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+          role: "admin",
+        });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("conflict with duplicate username", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "u1",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    expect(resp.statusCode).toEqual(409);
+    expect(resp.body.errors).toEqual([{
+      field: "username",
+      rule: "unique",
+      message: "username u1 already exists",
+    }]);
+  });
+
   test("bad request with missing fields", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -111,4 +343,327 @@ describe("POST /auth/register", function () {
         });
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("bad request with username too long for its column", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "u".repeat(28),
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.errors[0]).toEqual(expect.objectContaining(
+        { field: "username", rule: "maxLength" }));
+  });
+});
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+
+    const me = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${resp.body.token}`);
+    expect(me.statusCode).toEqual(200);
+  });
+
+  test("works: new token can be used again", async function () {
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: await login() });
+    const second = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(second.statusCode).toEqual(200);
+  });
+
+  test("unauth on reuse, and family revoked", async function () {
+    const refreshToken = await login();
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+
+    const replay = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(replay.statusCode).toEqual(401);
+
+    const next = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(next.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    const after = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(after.statusCode).toEqual(401);
+  });
+
+  test("works: other tokens still valid", async function () {
+    await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("works: revokes refresh token", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: login.body.refreshToken })
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(resp.statusCode).toEqual(200);
+
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/logout");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("forbidden with an API key", async function () {
+    const { key } = await ApiKey.create("u3", { name: "ATS", scopes: ["jobs:write"] });
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken: 42 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset")
+        .send({ email: "user1@user.com" });
+    expect(resp.statusCode).toEqual(202);
+    expect(resp.body).toEqual({ requested: "user1@user.com" });
+
+    const mail = await MailOutbox.findAll("user1@user.com");
+    expect(mail.filter(m => m.subject === "Reset your Jobly password").length)
+        .toEqual(1);
+  });
+
+  test("same response for unknown email", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset")
+        .send({ email: "nope@user.com" });
+    expect(resp.statusCode).toEqual(202);
+    expect(resp.body).toEqual({ requested: "nope@user.com" });
+    expect(await MailOutbox.findAll("nope@user.com")).toEqual([]);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset")
+        .send({ email: "not-an-email" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset/confirm */
+
+describe("POST /auth/password-reset/confirm", function () {
+  test("works", async function () {
+    const token = await PasswordReset.issue("u1");
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    expect(resp.body).toEqual({ reset: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    expect(login.statusCode).toEqual(200);
+
+    // existing tokens no longer work
+    const old = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(old.statusCode).toEqual(401);
+  });
+
+  test("bad request if token reused", async function () {
+    const token = await PasswordReset.issue("u1");
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "other-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: "nope", password: "new-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const token = await PasswordReset.issue("u1");
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "x" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /auth/verify */
+
+describe("GET /auth/verify", function () {
+  test("works", async function () {
+    const token = await EmailVerification.issue("u1", "user1@user.com");
+    const resp = await request(app)
+        .get("/auth/verify")
+        .query({ token });
+    expect(resp.body).toEqual({ verified: "user1@user.com" });
+
+    const user = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(user.body.user.emailVerified).toBe(true);
+  });
+
+  test("works: link emailed on register", async function () {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    const mail = await MailOutbox.findAll("new@email.com");
+    const token = mail[0].text.match(/\/auth\/verify\?token=(\S+)/)[1];
+
+    const resp = await request(app)
+        .get("/auth/verify")
+        .query({ token });
+    expect(resp.body).toEqual({ verified: "new@email.com" });
+  });
+
+  test("bad request with unknown token", async function () {
+    const resp = await request(app)
+        .get("/auth/verify")
+        .query({ token: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with no token", async function () {
+    const resp = await request(app)
+        .get("/auth/verify");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** rate limit */
+
+describe("rate limit on /auth", function () {
+  test("too many requests from one IP", async function () {
+    let resp;
+    for (let i = 0; i < 20; i++) {
+      resp = await request(app).get("/auth/verify").query({ token: "nope" });
+    }
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.headers["ratelimit-limit"]).toEqual("20");
+    expect(resp.headers["ratelimit-remaining"]).toEqual("0");
+
+    resp = await request(app).get("/auth/verify").query({ token: "nope" });
+    expect(resp.statusCode).toEqual(429);
+    expect(+resp.headers["retry-after"]).toBeGreaterThan(0);
+    expect(resp.body.status).toEqual(429);
+  });
+
+  test("counts each client behind a trusted proxy apart", async function () {
+    app.set("trust proxy", 1);
+    try {
+      let resp;
+      for (let i = 0; i < 21; i++) {
+        resp = await request(app)
+            .get("/auth/verify")
+            .set("X-Forwarded-For", "203.0.113.7")
+            .query({ token: "nope" });
+      }
+      expect(resp.statusCode).toEqual(429);
+
+      resp = await request(app)
+          .get("/auth/verify")
+          .set("X-Forwarded-For", "203.0.113.8")
+          .query({ token: "nope" });
+      expect(resp.statusCode).toEqual(400);
+    } finally {
+      app.set("trust proxy", false);
+    }
+  });
 });
@@ -2,15 +2,21 @@
 
 /** Routes for companies. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, requireAdmin } = require("../middleware/auth");
+const {
+  requirePermission,
+  ensureCompanyMemberOrAdmin,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
 const Company = require("../models/company");
+const { pageFromQuery } = require("../helpers/pagination");
+const { assertValid } = require("../helpers/validation");
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
+const companySearchSchema = require("../schemas/companySearch.json");
+const companyMemberNewSchema = require("../schemas/companyMemberNew.json");
 
 const router = new express.Router();
 
@@ -21,17 +27,11 @@ const router = new express.Router();
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
- * Authorization required: login
+ * Authorization required: companies:write permission
  */
 
-router.post("/", ensureLoggedIn, async function (req, res, next) {
+router.post("/", requirePermission("companies:write"), validate(companyNewSchema), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const company = await Company.create(req.body);
     return res.status(201).json({ company });
   } catch (err) {
@@ -40,21 +40,35 @@ router.post("/", ensureLoggedIn, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     pagination: { total, limit, offset, nextCursor, prevCursor } }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
- * - nameLike (will find case-insensitive, partial matches)
+ * - name (will find case-insensitive, partial matches)
+ *
+ * Can page with limit and either offset or an after/before cursor taken
+ * from a previous response's nextCursor/prevCursor.
+ *
+ * Can sort with sort, a comma-separated list of handle, name and
+ * numEmployees, each prefixed with "-" for descending
+ * (e.g. sort=-numEmployees,name). Defaults to name.
  *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
   try {
-    const { name, minEmployees, maxEmployees } = req.query
-    const companies = await Company.findAll({ name, minEmployees, maxEmployees});
-    return res.json({ companies });
+    const { page, rest: q } = pageFromQuery(req.query);
+    // arrive as strings from querystring, but we want as ints
+    if (q.minEmployees !== undefined) q.minEmployees = +q.minEmployees;
+    if (q.maxEmployees !== undefined) q.maxEmployees = +q.maxEmployees;
+
+    assertValid(q, companySearchSchema);
+
+    const { companies, pagination } = await Company.findAll(q, page);
+    return res.json({ companies, pagination });
   } catch (err) {
     return next(err);
   }
@@ -85,17 +99,11 @@ router.get("/:handle", async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: login
+ * Authorization required: companies:write permission
  */
 
-router.patch("/:handle", ensureLoggedIn, async function (req, res, next) {
+router.patch("/:handle", requirePermission("companies:write"), validate(companyUpdateSchema), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const company = await Company.update(req.params.handle, req.body);
     return res.json({ company });
   } catch (err) {
@@ -105,10 +113,10 @@ router.patch("/:handle", ensureLoggedIn, async function (req, res, next) {
 
 /** DELETE /[handle]  =>  { deleted: handle }
  *
- * Authorization: login and admin
+ * Authorization required: companies:write permission
  */
 
-router.delete("/:handle", ensureLoggedIn, requireAdmin, async function (req, res, next) {
+router.delete("/:handle", requirePermission("companies:write"), async function (req, res, next) {
   try {
     await Company.remove(req.params.handle);
     return res.json({ deleted: req.params.handle });
@@ -117,5 +125,67 @@ router.delete("/:handle", ensureLoggedIn, requireAdmin, async function (req, res
   }
 });
 
+/** GET /[handle]/members  =>  { members }
+ *
+ * Returns [{ username, firstName, lastName, email, addedBy, addedAt }, ...]
+ *
+ * Authorization required: companies:members permission, and admin or member
+ * of the company
+ */
+
+router.get("/:handle/members",
+    requirePermission("companies:members"),
+    ensureCompanyMemberOrAdmin("companies:members"),
+    async function (req, res, next) {
+  try {
+    const members = await Company.findMembers(req.params.handle);
+    return res.json({ members });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[handle]/members { username }  =>  { member }
+ *
+ * Adds a recruiter to the company, so they can post and edit its jobs.
+ *
+ * Returns { companyHandle, username, addedBy, addedAt }
+ *
+ * Authorization required: companies:members permission, and admin or member
+ * of the company
+ */
+
+router.post("/:handle/members",
+    requirePermission("companies:members"),
+    ensureCompanyMemberOrAdmin("companies:members"),
+    validate(companyMemberNewSchema),
+    async function (req, res, next) {
+  try {
+    const member = await Company.addMember(
+        req.params.handle, req.body.username, res.locals.user.username);
+    return res.status(201).json({ member });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: companies:members permission, and admin or member
+ * of the company
+ */
+
+router.delete("/:handle/members/:username",
+    requirePermission("companies:members"),
+    ensureCompanyMemberOrAdmin("companies:members"),
+    async function (req, res, next) {
+  try {
+    await Company.removeMember(req.params.handle, req.params.username);
+    return res.json({ removed: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 
 module.exports = router;
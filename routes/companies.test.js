@@ -4,6 +4,8 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const ApiKey = require("../models/apiKey");
+const { createToken } = require("../helpers/tokens");
 
 const {
   commonBeforeAll,
@@ -11,6 +13,9 @@ const {
   commonAfterEach,
   commonAfterAll,
   u1Token,
+  adminToken,
+  u3Token,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -18,58 +23,6 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
-/************************************** GET / */
-
-describe('GET /companies', () => {
-  test('returns all companies when no filters are applied', async () => {
-    const response = await request(app).get('/companies');
-    expect(response.status).toBe(200);
-    expect(Array.isArray(response.body.companies)).toBe(true);
-    expect(response.body.companies.length).toBeGreaterThan(0);
-  });
-
-  test('filters by company name when name parameter is provided', async () => {
-    const response = await request(app).get('/companies').query({ name: 'net' });
-    expect(response.status).toBe(200);
-    expect(Array.isArray(response.body.companies)).toBe(true);
-    expect(response.body.companies.length).toBeGreaterThan(0);
-    response.body.companies.forEach((company) => {
-      expect(company.name.toLowerCase()).toContain('net');
-    });
-  });
-
-  test('filters by minimum employees when minEmployees parameter is provided', async () => {
-    const response = await request(app).get('/companies').query({ minEmployees: 100 });
-    expect(response.status).toBe(200);
-    expect(Array.isArray(response.body.companies)).toBe(true);
-    expect(response.body.companies.length).toBeGreaterThan(0);
-    response.body.companies.forEach((company) => {
-      expect(company.numEmployees).toBeGreaterThanOrEqual(100);
-    });
-  });
-
-  test('filters by maximum employees when maxEmployees parameter is provided', async () => {
-    const response = await request(app).get('/companies').query({ maxEmployees: 50 });
-    expect(response.status).toBe(200);
-    expect(Array.isArray(response.body.companies)).toBe(true);
-    expect(response.body.companies.length).toBeGreaterThan(0);
-    response.body.companies.forEach((company) => {
-      expect(company.numEmployees).toBeLessThanOrEqual(50);
-    });
-  });
-
-  test('returns a 400 error with an appropriate message when minEmployees is greater than maxEmployees', async () => {
-    const response = await request(app).get('/companies').query({ minEmployees: 100, maxEmployees: 50 });
-    expect(response.status).toBe(400);
-    expect(response.body.error).toBe('minEmployees cannot be greater than maxEmployees');
-  });
-
-  test('returns a 400 error with an appropriate message when an invalid filter option is provided', async () => {
-    const response = await request(app).get('/companies').query({ foo: 'bar' });
-    expect(response.status).toBe(400);
-    expect(response.body.error).toBe('Invalid filter option');
-  });
-});
 /************************************** POST /companies */
 
 describe("POST /companies", function () {
@@ -81,44 +34,38 @@ describe("POST /companies", function () {
     numEmployees: 10,
   };
 
-  test("admin can create company", async function () {
-    const token = jwt.sign({ username: "admin", is_admin: true }, SECRET_KEY);
-    const response = await request(app)
-      .post("/companies")
-      .set("Authorization", `Bearer ${token}`)
-      .send({
-        newCompany
-      });
-      expect(response.statusCode).toBe(201);
-      expect(response.body).toEqual({
-        company: {
-          newCompany
-        },
-      });
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post("/companies")
+        .send(newCompany)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      company: newCompany,
     });
+  });
 
-    test("non-admin cannot create company", async function () {
-      const token = jwt.sign({ username: "user", is_admin: false }, SECRET_KEY);
-      const response = await request(app)
+  test("forbidden for candidates and recruiters", async function () {
+    for (const token of [u1Token, u3Token]) {
+      const resp = await request(app)
+          .post("/companies")
+          .send(newCompany)
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(403);
+    }
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
         .post("/companies")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          handle: "new",
-          name: "New Company",
-          numEmployees: 10,
-        });
-    
-      expect(response.statusCode).toBe(401);
-      expect(response.body).toEqual({
-        error: { message: "Unauthorized" },
-      });
-    });
+        .send(newCompany);
+    expect(resp.statusCode).toEqual(401);
+  });
 
   test("bad request with missing data", async function () {
-    const token = jwt.sign({ username: "admin", is_admin: true }, SECRET_KEY);
     const resp = await request(app)
         .post("/companies")
-        .set("authorization", `Bearer ${token}`)
+        .set("authorization", `Bearer ${adminToken}`)
         .send({
           handle: "new",
           numEmployees: 10,
@@ -130,7 +77,7 @@ describe("POST /companies", function () {
   test("bad request with invalid data", async function () {
     const resp = await request(app)
         .post("/companies")
-        .set("authorization", `Bearer ${u1Token}`)
+        .set("authorization", `Bearer ${adminToken}`)
         .send({
           ...newCompany,
           logoUrl: "not-a-url",
@@ -138,6 +85,49 @@ describe("POST /companies", function () {
         
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("bad request with numEmployees too big for its column", async function () {
+    const resp = await request(app)
+        .post("/companies")
+        .set("authorization", `Bearer ${adminToken}`)
+        .send({ ...newCompany, numEmployees: 3000000000 });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request says what's wrong", async function () {
+    const resp = await request(app)
+        .post("/companies")
+        .set("authorization", `Bearer ${adminToken}`)
+        .send({
+          handle: "much-too-long",
+          description: "Desc",
+        });
+
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.errors).toEqual([
+      {
+        field: "handle",
+        rule: "maxLength",
+        expected: 10,
+        message: "handle does not meet maximum length of 10",
+      },
+      { field: "name", rule: "required", message: "name is required" },
+    ]);
+  });
+
+  test("conflict with duplicate name", async function () {
+    const resp = await request(app)
+        .post("/companies")
+        .set("authorization", `Bearer ${adminToken}`)
+        .send({ ...newCompany, name: "C1" });
+
+    expect(resp.statusCode).toEqual(409);
+    expect(resp.body.errors).toEqual([{
+      field: "name",
+      rule: "unique",
+      message: "name C1 already exists",
+    }]);
+  });
 });
 
 
@@ -176,9 +166,81 @@ describe("GET /companies", function () {
               logoUrl: "http://c3.img",
             },
           ],
+      pagination: {
+        total: 3,
+        limit: 20,
+        offset: 0,
+        nextCursor: null,
+        prevCursor: null,
+      },
     });
   });
 
+  test("works: filtering", async function () {
+    const resp = await request(app)
+        .get("/companies")
+        .query({ minEmployees: 2, maxEmployees: 3, name: "c" });
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c2", "c3"]);
+  });
+
+  test("bad request if min employees > max employees", async function () {
+    const resp = await request(app)
+        .get("/companies")
+        .query({ minEmployees: 3, maxEmployees: 1 });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on minEmployees too big for its column", async function () {
+    const resp = await request(app)
+        .get("/companies")
+        .query({ minEmployees: 99999999999 });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid filter key", async function () {
+    const resp = await request(app)
+        .get("/companies")
+        .query({ foo: "bar" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: paging", async function () {
+    const resp = await request(app)
+        .get("/companies")
+        .query({ limit: 2 });
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(resp.body.pagination.total).toEqual(3);
+
+    const resp2 = await request(app)
+        .get("/companies")
+        .query({ limit: 2, after: resp.body.pagination.nextCursor });
+    expect(resp2.body.companies.map(c => c.handle)).toEqual(["c3"]);
+  });
+
+  test("works: sort", async function () {
+    const resp = await request(app)
+        .get("/companies")
+        .query({ sort: "-numEmployees,name" });
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("bad request on invalid sort", async function () {
+    const resp = await request(app)
+        .get("/companies")
+        .query({ sort: "logoUrl" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on offset with cursor", async function () {
+    const first = await request(app)
+        .get("/companies")
+        .query({ limit: 1 });
+    const resp = await request(app)
+        .get("/companies")
+        .query({ offset: 1, after: first.body.pagination.nextCursor });
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -203,6 +265,11 @@ describe("GET /companies/:handle", function () {
         description: "Desc1",
         numEmployees: 1,
         logoUrl: "http://c1.img",
+        jobs: [
+          { id: testJobIds[0], title: "J1", salary: 1, equity: "0.1" },
+          { id: testJobIds[1], title: "J2", salary: 2, equity: "0.2" },
+          { id: testJobIds[2], title: "J3", salary: 3, equity: null },
+        ],
       },
     });
   });
@@ -216,6 +283,7 @@ describe("GET /companies/:handle", function () {
         description: "Desc2",
         numEmployees: 2,
         logoUrl: "http://c2.img",
+        jobs: [],
       },
     });
   });
@@ -229,19 +297,13 @@ describe("GET /companies/:handle", function () {
 /************************************** PATCH /companies/:handle */
 
 describe("PATCH /companies/:handle", function () {
-  test("works for users", async function () {
-   
-  });
-  
   test("admin can update company", async function () {
-    const token = jwt.sign({ username: "admin", is_admin: true }, SECRET_KEY);
-
     const resp = await request(app)
     .patch(`/companies/c1`)
     .send({
       name: "C1-new",
     })
-    .set("authorization", `Bearer ${token}`);
+    .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({
       company: {
         handle: "c1",
@@ -253,6 +315,16 @@ describe("PATCH /companies/:handle", function () {
     });
   });
 
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .patch(`/companies/c1`)
+        .send({
+          name: "C1-new",
+        })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/companies/c1`)
@@ -268,7 +340,7 @@ describe("PATCH /companies/:handle", function () {
         .send({
           name: "new nope",
         })
-        .set("authorization", `Bearer ${token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
 
@@ -278,7 +350,7 @@ describe("PATCH /companies/:handle", function () {
         .send({
           handle: "c1-new",
         })
-        .set("authorization", `Bearer ${token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 
@@ -288,7 +360,7 @@ describe("PATCH /companies/:handle", function () {
         .send({
           logoUrl: "not-a-url",
         })
-        .set("authorization", `Bearer ${token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 });
@@ -297,13 +369,19 @@ describe("PATCH /companies/:handle", function () {
 
 describe("DELETE /companies/:handle", function () {
   test("works for admin", async function () {
-    const token = jwt.sign({ username: "admin", is_admin: true }, SECRET_KEY);
     const resp = await request(app)
         .delete(`/companies/c1`)
-        .set("authorization", `Bearer ${token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({ deleted: "c1" });
   });
 
+  test("forbidden for non-admin", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .delete(`/companies/c1`);
@@ -313,27 +391,240 @@ describe("DELETE /companies/:handle", function () {
   test("not found for no such company", async function () {
     const resp = await request(app)
         .delete(`/companies/nope`)
-        .set("authorization", `Bearer ${token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
 });
 
 
+/************************************** GET /companies/:handle/members */
 
-describe("PATCH /companies/:handle", function () {
+describe("GET /companies/:handle/members", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      members: [
+        {
+          username: "u3",
+          firstName: "U3F",
+          lastName: "U3L",
+          email: "user3@user.com",
+          addedBy: "admin",
+          addedAt: expect.any(String),
+        },
+      ],
+    });
+  });
 
+  test("works for members", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.members.length).toEqual(1);
+  });
 
+  test("forbidden for non-members", async function () {
+    for (const [handle, token] of [["c1", u1Token], ["c2", u3Token]]) {
+      const resp = await request(app)
+          .get(`/companies/${handle}/members`)
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(403);
+    }
+  });
 
-describe("DELETE /companies/:handle", function () {
-  test("admin can delete company", async function () {
-    const token = jwt.sign({ username: "admin", is_admin: true }, SECRET_KEY);
+  test("forbidden for members whose role lacks the permission", async function () {
+    const candidateToken = createToken({ username: "u3", role: "candidate" });
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${candidateToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden for a recruiter demoted to candidate", async function () {
+    await request(app)
+        .patch(`/users/u3`)
+        .send({ role: "candidate" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u3", password: "password3" });
+
+    const resp = await request(app)
+        .get(`/companies/c1/members`)
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(resp.statusCode).toEqual(403);
+
+    const resp2 = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u3" })
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(resp2.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .get(`/companies/c1/members`);
+    expect(resp.statusCode).toEqual(401);
+  });
 
-    const response = await request(app)
-      .delete(`/companies/${TEST_DATA.company1.handle}`)
-      .set("Authorization", `Bearer ${token}`);
+  test("not found for no such company", async function () {
+    const resp = await request(app)
+        .get(`/companies/nope/members`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /companies/:handle/members */
 
-    expect(response.statusCode).toBe(200);
-    expect(response.body).toEqual({
-      deleted: TEST_DATA.company1.handle,
+describe("POST /companies/:handle/members", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/members`)
+        .send({ username: "u3" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: {
+        companyHandle: "c2",
+        username: "u3",
+        addedBy: "admin",
+        addedAt: expect.any(String),
+      },
     });
-  });
\ No newline at end of file
+  });
+
+  test("works for members", async function () {
+    await db.query("UPDATE users SET role = 'recruiter' WHERE username = 'u2'");
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.member.addedBy).toEqual("u3");
+  });
+
+  test("forbidden for non-members", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/members`)
+        .send({ username: "u3" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("works with an API key scoped to companies:members", async function () {
+    await db.query("UPDATE users SET role = 'recruiter' WHERE username = 'u2'");
+    const { key } =
+        await ApiKey.create("u3", { name: "ATS", scopes: ["companies:members"] });
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2" })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(201);
+  });
+
+  test("forbidden with an API key without companies:members", async function () {
+    await db.query("UPDATE users SET role = 'recruiter' WHERE username = 'u2'");
+    const { key } =
+        await ApiKey.create("u3", { name: "ATS", scopes: ["applications:read"] });
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u2" })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post(`/companies/c2/members`)
+        .send({ username: "u3" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request if not a recruiter", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u1" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request if already a member", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "u3" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ user: "u3" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such user", async function () {
+    const resp = await request(app)
+        .post(`/companies/c1/members`)
+        .send({ username: "nope" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /companies/:handle/members/:username */
+
+describe("DELETE /companies/:handle/members/:username", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u3`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ removed: "u3" });
+
+    const jobResp = await request(app)
+        .post("/jobs")
+        .send({ title: "new", companyHandle: "c1" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(jobResp.statusCode).toEqual(403);
+  });
+
+  test("works for members", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u3`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({ removed: "u3" });
+  });
+
+  test("forbidden for non-members", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u3`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden with an API key without companies:members", async function () {
+    const { key } =
+        await ApiKey.create("u3", { name: "ATS", scopes: ["applications:read"] });
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u3`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c1/members/u3`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if not a member", async function () {
+    const resp = await request(app)
+        .delete(`/companies/c2/members/u3`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
@@ -0,0 +1,57 @@
+"use strict";
+
+/** Routes for checking on the server, for load balancers and orchestrators. */
+
+const express = require("express");
+
+const db = require("../db");
+const { migrationVersion } = require("../helpers/migrations");
+
+const router = new express.Router();
+
+
+/** GET /health  =>  { status: "ok" }
+ *
+ * Liveness: the process is up and serving requests. Doesn't touch the
+ * database, so a database outage doesn't get the server restarted.
+ *
+ * Authorization required: none
+ */
+
+router.get("/health", function (req, res) {
+  return res.json({ status: "ok" });
+});
+
+/** GET /ready  =>  { status, database, migrations: { version, pending } }
+ *
+ * Readiness: whether to send this server traffic. It's ready (status
+ * "ready") if the database answers and has every migration applied; else
+ * this responds 503 with status "not ready" and database "unreachable" or
+ * migrations.pending above 0. It's also not ready (status "shutting down")
+ * once it's been told to stop.
+ *
+ * Authorization required: none
+ */
+
+router.get("/ready", async function (req, res) {
+  if (req.app.locals.shuttingDown) {
+    return res.status(503).json({ status: "shutting down" });
+  }
+
+  let migrations;
+  try {
+    migrations = await migrationVersion(db);
+  } catch (err) {
+    return res.status(503).json({ status: "not ready", database: "unreachable" });
+  }
+
+  const ready = migrations.pending === 0;
+  return res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not ready",
+    database: "ok",
+    migrations,
+  });
+});
+
+
+module.exports = router;
@@ -0,0 +1,53 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const db = require("../db");
+
+afterAll(function () {
+  db.end();
+});
+
+/************************************** GET /health */
+
+describe("GET /health", function () {
+  test("works", async function () {
+    const resp = await request(app).get("/health");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ status: "ok" });
+  });
+});
+
+/************************************** GET /ready */
+
+describe("GET /ready", function () {
+  afterEach(function () {
+    jest.restoreAllMocks();
+    app.locals.shuttingDown = false;
+  });
+
+  test("works", async function () {
+    const resp = await request(app).get("/ready");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      status: "ready",
+      database: "ok",
+      migrations: { version: expect.any(String), pending: 0 },
+    });
+  });
+
+  test("not ready without the database", async function () {
+    jest.spyOn(db, "query").mockRejectedValue(new Error("ECONNREFUSED"));
+    const resp = await request(app).get("/ready");
+    expect(resp.statusCode).toEqual(503);
+    expect(resp.body).toEqual({ status: "not ready", database: "unreachable" });
+  });
+
+  test("not ready when shutting down", async function () {
+    app.locals.shuttingDown = true;
+    const resp = await request(app).get("/ready");
+    expect(resp.statusCode).toEqual(503);
+    expect(resp.body).toEqual({ status: "shutting down" });
+  });
+});
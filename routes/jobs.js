@@ -1,37 +1,49 @@
 "use strict";
 
-/** Routes for companies. */
+/** Routes for jobs. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
-const { ensureLoggedIn, requireAdmin } = require("../middleware/auth");
+const {
+  requirePermission,
+  ensureCompanyMemberOrAdmin,
+} = require("../middleware/auth");
+const { validate, checkId } = require("../middleware/validate");
 const Job = require("../models/job");
+const Application = require("../models/application");
+const { pageFromQuery } = require("../helpers/pagination");
+const { assertValid } = require("../helpers/validation");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
+const jobSearchSchema = require("../schemas/jobSearch.json");
 
 const router = new express.Router();
+router.param("id", checkId);
 
+/** Handle of the company posting the job in the route's :id param. */
+async function jobCompany(req) {
+  const job = await Job.get(req.params.id);
+  return job.companyHandle;
+}
 
-/** POST / { title } =>  { job }
+
+/** POST / { job } =>  { job }
  *
  * job should be { title, salary, equity, companyHandle }
  *
- * Returns { handle, name, description, numEmployees, logoUrl }
+ * Returns { id, title, salary, equity, companyHandle }
  *
- * Authorization required: login
+ * Authorization required: jobs:write permission, and admin or member of the
+ * company companyHandle
  */
 
-router.post("/", ensureLoggedIn, async function (req, res, next) {
+router.post("/",
+    requirePermission("jobs:write"),
+    validate(jobNewSchema),
+    ensureCompanyMemberOrAdmin("jobs:write", req => req.body.companyHandle),
+    async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, jobNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const job = await Job.create(req.body);
     return res.status(201).json({ job });
   } catch (err) {
@@ -40,77 +52,126 @@ router.post("/", ensureLoggedIn, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { jobs: [ { id, title, salary, equity, companyHandle }, ...],
+ *     pagination: { total, limit, offset, nextCursor, prevCursor } }
  *
  * Can filter on provided search filters:
- * - minEmployees
- * - maxEmployees
- * - nameLike (will find case-insensitive, partial matches)
+ * - title (will find case-insensitive, partial matches)
+ * - minSalary
+ * - hasEquity (true returns only jobs with equity > 0)
+ *
+ * Can page with limit and either offset or an after/before cursor taken
+ * from a previous response's nextCursor/prevCursor.
+ *
+ * Can sort with sort, a comma-separated list of id, title, salary, equity
+ * and companyHandle, each prefixed with "-" for descending
+ * (e.g. sort=-salary). Defaults to title.
  *
  * Authorization required: none
  */
 
 router.get("/", async function (req, res, next) {
   try {
-    const { title, salary, equity } = req.query
-    const jobs = await Job.findAll({ title, salary, equity});
-    return res.json({ jobs });
+    const { page, rest: q } = pageFromQuery(req.query);
+    // arrive as strings from querystring, but we want as int/bool
+    if (q.minSalary !== undefined) q.minSalary = +q.minSalary;
+    if (q.hasEquity !== undefined) q.hasEquity = q.hasEquity === "true";
+
+    assertValid(q, jobSearchSchema);
+
+    const { jobs, pagination } = await Job.findAll(q, page);
+    return res.json({ jobs, pagination });
   } catch (err) {
     return next(err);
   }
 });
 
-/** GET /[title]  =>  { job }
+/** GET /[id]  =>  { job }
  *
- *  Job is { title, salary, equity, companyHandle }
+ *  Job is { id, title, salary, equity, companyHandle }
  *
  * Authorization required: none
  */
 
-router.get("/:title", async function (req, res, next) {
+router.get("/:id(\\d+)", async function (req, res, next) {
   try {
-    const job = await Job.get(req.params.title);
+    const job = await Job.get(req.params.id);
     return res.json({ job });
   } catch (err) {
     return next(err);
   }
 });
 
-/** PATCH /[title] { fld1, fld2, ... } => { job }
+const ensureJobCompanyMemberOrAdmin =
+    ensureCompanyMemberOrAdmin("applications:read", jobCompany);
+
+/** Middleware: auditors may read any job's applications; anyone else must
+ * be an admin or a member of the job's company.
+ */
+function ensureAuditorOrJobCompanyMember(req, res, next) {
+  if (res.locals.user && res.locals.user.role === "auditor") return next();
+  return ensureJobCompanyMemberOrAdmin(req, res, next);
+}
+
+/** GET /[id]/applications  =>  { applications }
+ *
+ * Returns [{ username, jobId, state, updatedAt }, ...]
+ *   where updatedAt is when the state last changed
+ *
+ * Authorization required: applications:read permission, and auditor, admin
+ * or member of the job's company
+ */
+
+router.get("/:id(\\d+)/applications",
+    requirePermission("applications:read"),
+    ensureAuditorOrJobCompanyMember,
+    async function (req, res, next) {
+  try {
+    const applications = await Application.findForJob(req.params.id);
+    return res.json({ applications });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[id] { fld1, fld2, ... } => { job }
  *
  * Patches job data.
  *
  * fields can be: { title, salary, equity }
  *
- * Returns { title, salary, equity, companyHandle }
+ * Returns { id, title, salary, equity, companyHandle }
  *
- * Authorization required: login and admin
+ * Authorization required: jobs:write permission, and admin or member of the
+ * job's company
  */
 
-router.patch("/:title", ensureLoggedIn, requireAdmin, async function (req, res, next) {
+router.patch("/:id(\\d+)",
+    requirePermission("jobs:write"),
+    ensureCompanyMemberOrAdmin("jobs:write", jobCompany),
+    validate(jobUpdateSchema),
+    async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, jobUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const job = await Job.update(req.params.handle, req.body);
+    const job = await Job.update(req.params.id, req.body);
     return res.json({ job });
   } catch (err) {
     return next(err);
   }
 });
 
-/** DELETE /[title]  =>  { deleted: title }
+/** DELETE /[id]  =>  { deleted: id }
  *
- * Authorization: login and admin
+ * Authorization required: jobs:write permission, and admin or member of the
+ * job's company
  */
 
-router.delete("/:title", ensureLoggedIn, requireAdmin, async function (req, res, next) {
+router.delete("/:id(\\d+)",
+    requirePermission("jobs:write"),
+    ensureCompanyMemberOrAdmin("jobs:write", jobCompany),
+    async function (req, res, next) {
   try {
-    await Job.remove(req.params.title);
-    return res.json({ deleted: req.params.title });
+    await Job.remove(req.params.id);
+    return res.json({ deleted: +req.params.id });
   } catch (err) {
     return next(err);
   }
@@ -4,13 +4,20 @@ const request = require("supertest");
 
 const db = require("../db");
 const app = require("../app");
+const User = require("../models/user");
+const Job = require("../models/job");
+const ApiKey = require("../models/apiKey");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
   u1Token,
+  adminToken,
+  u3Token,
+  auditorToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -18,128 +25,127 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
-/************************************** GET / */
+/************************************** POST /jobs */
 
-describe('GET /jobs', () => {
-  test('returns all jobs when no filters are applied', async () => {
-    const response = await request(app).get('/jobs');
-    expect(response.status).toBe(200);
-    expect(Array.isArray(response.body.jobs)).toBe(true);
-    expect(response.body.jobs.length).toBeGreaterThan(0);
-  });
+describe("POST /jobs", function () {
+  const newJob = {
+    title: "new",
+    salary: 10000,
+    equity: 0.1,
+    companyHandle: "c2",
+  };
 
-  test('filters by job title when title parameter is provided', async () => {
-    const response = await request(app).get('/jobs').query({ title: 't' });
-    expect(response.status).toBe(200);
-    expect(Array.isArray(response.body.jobs)).toBe(true);
-    expect(response.body.jobs.length).toBeGreaterThan(0);
-    response.body.jobs.forEach((job) => {
-      expect(job.name.toLowerCase()).toContain('t');
+  test("works for company members", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, companyHandle: "c1" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      job: {
+        id: expect.any(Number),
+        title: "new",
+        salary: 10000,
+        equity: "0.1",
+        companyHandle: "c1",
+      },
     });
   });
 
-  test('filters by minimum salaries when minSalaries parameter is provided', async () => {
-    const response = await request(app).get('/jobs').query({ minSalaries: 100 });
-    expect(response.status).toBe(200);
-    expect(Array.isArray(response.body.jobs)).toBe(true);
-    expect(response.body.jobs.length).toBeGreaterThan(0);
-    response.body.jobs.forEach((job) => {
-      expect(job.minSalaries).toBeGreaterThanOrEqual(100);
-    });
+  test("works with an API key scoped to jobs:write", async function () {
+    const { key } = await ApiKey.create("u3", { name: "ATS", scopes: ["jobs:write"] });
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, companyHandle: "c1" })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(201);
   });
 
-  test('filters by has equity when hasEquity parameter is provided', async () => {
-    const response = await request(app).get('/jobs').query({ hasEquity: true });
-    expect(response.status).toBe(200);
-    expect(Array.isArray(response.body.jobs)).toBe(true);
-    expect(response.body.jobs.length).toBeGreaterThan(0);
-    response.body.jobs.forEach((company) => {
-      expect(company.hasEquity).toBe(true);
-    });
+  test("forbidden with an API key without jobs:write", async function () {
+    const { key } =
+        await ApiKey.create("u3", { name: "ATS", scopes: ["applications:read"] });
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, companyHandle: "c1" })
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
   });
 
-  test('returns a 400 error with an appropriate message when an invalid filter option is provided', async () => {
-    const response = await request(app).get('/jobs').query({ foo: 'bar' });
-    expect(response.status).toBe(400);
-    expect(response.body.error).toBe('Invalid filter option');
+  test("forbidden for recruiters not members of the company", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
   });
-});
-/************************************** POST /jobs */
 
-describe("POST /jobs", function () {
-  const newJob = {
-    title: "new",
-    salary: 10000,
-    equity: 0.1,
-    companyHandle: "new"
-  };
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send(newJob)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+  });
 
-  test("admin can create job", async function () {
-    const token = jwt.sign({ username: "admin", is_admin: true }, SECRET_KEY);
-    const response = await request(app)
-      .post("/jobs")
-      .set("Authorization", `Bearer ${token}`)
-      .send({
-        newJob
-      });
-      expect(response.statusCode).toBe(201);
-      expect(response.body).toEqual({
-        job: {
-          newComnewJobpany
-        },
-      });
-    });
+  test("forbidden for candidates and auditors", async function () {
+    for (const token of [u1Token, auditorToken]) {
+      const resp = await request(app)
+          .post("/jobs")
+          .send(newJob)
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(403);
+    }
+  });
 
-    test("non-admin cannot create job", async function () {
-      const token = jwt.sign({ username: "user", is_admin: false }, SECRET_KEY);
-      const response = await request(app)
+  test("unauth for anon", async function () {
+    const resp = await request(app)
         .post("/jobs")
-        .set("Authorization", `Bearer ${token}`)
-        .send({
-          title: "new",
-          salary: 10000,
-          equity: 0.1,
-          companyHandle: "new"
-        });
-    
-      expect(response.statusCode).toBe(401);
-      expect(response.body).toEqual({
-        error: { message: "Unauthorized" },
-      });
-    });
+        .send(newJob);
+    expect(resp.statusCode).toEqual(401);
+  });
 
   test("bad request with missing data", async function () {
-    const token = jwt.sign({ username: "admin", is_admin: true }, SECRET_KEY);
     const resp = await request(app)
         .post("/jobs")
-        .set("authorization", `Bearer ${token}`)
-        .send({
-          salary: 10000
-        });
-        
+        .send({ salary: 10000 })
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 
-  test("bad request with invalid data", async function () {
+  test("bad request, not forbidden, for recruiters missing companyHandle", async function () {
     const resp = await request(app)
-        .post("/companies")
-        .set("authorization", `Bearer ${u1Token}`)
-        .send({
-            title: "new",
-            salary: 10000,
-            equity: "0.1",
-            companyHandle: "new"
-        });
-        
+        .post("/jobs")
+        .send({ title: "new" })
+        .set("authorization", `Bearer ${u3Token}`);
     expect(resp.statusCode).toEqual(400);
   });
-});
-
-
-
 
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, equity: "0.1" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
 
+  test("bad request with salary too big for its column", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, salary: 3000000000 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.errors[0]).toEqual(expect.objectContaining(
+        { field: "salary", rule: "maximum" }));
+  });
 
+  test("bad request with no such company", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, companyHandle: "nope" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
 
 /************************************** GET /jobs */
 
@@ -147,148 +153,357 @@ describe("GET /jobs", function () {
   test("ok for anon", async function () {
     const resp = await request(app).get("/jobs");
     expect(resp.body).toEqual({
-      jobs:
-          [
-            {
-              title: "t1",
-              salary: 10000,
-              equity: 0.1,
-              companyHandle: 'c1'
-            },
-            {
-                title: "t2",
-                salary: 10000,
-                equity: NULL,
-                companyHandle: 'c2'
-              },
-              {
-                title: "t3",
-                salary: 10000,
-                equity: 0.008,
-                companyHandle: 'c3'
-              },
-          ],
+      jobs: [
+        {
+          id: testJobIds[0],
+          title: "J1",
+          salary: 1,
+          equity: "0.1",
+          companyHandle: "c1",
+        },
+        {
+          id: testJobIds[1],
+          title: "J2",
+          salary: 2,
+          equity: "0.2",
+          companyHandle: "c1",
+        },
+        {
+          id: testJobIds[2],
+          title: "J3",
+          salary: 3,
+          equity: null,
+          companyHandle: "c1",
+        },
+      ],
+      pagination: {
+        total: 3,
+        limit: 20,
+        offset: 0,
+        nextCursor: null,
+        prevCursor: null,
+      },
     });
   });
 
+  test("works: paging", async function () {
+    const resp = await request(app)
+        .get("/jobs")
+        .query({ limit: 2 });
+    expect(resp.body.jobs.map(j => j.id)).toEqual([testJobIds[0], testJobIds[1]]);
+
+    const resp2 = await request(app)
+        .get("/jobs")
+        .query({ limit: 2, after: resp.body.pagination.nextCursor });
+    expect(resp2.body.jobs.map(j => j.id)).toEqual([testJobIds[2]]);
+    expect(resp2.body.pagination.nextCursor).toBeNull();
+  });
+
+  test("works: sort", async function () {
+    const resp = await request(app)
+        .get("/jobs")
+        .query({ sort: "-salary" });
+    expect(resp.body.jobs.map(j => j.salary)).toEqual([3, 2, 1]);
+  });
+
+  test("bad request on invalid sort", async function () {
+    const resp = await request(app)
+        .get("/jobs")
+        .query({ sort: "-nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid paging", async function () {
+    const resp = await request(app)
+        .get("/jobs")
+        .query({ limit: 0 });
+    expect(resp.statusCode).toEqual(400);
+
+    const resp2 = await request(app)
+        .get("/jobs")
+        .query({ offset: "1e20" });
+    expect(resp2.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid cursor", async function () {
+    const resp = await request(app)
+        .get("/jobs")
+        .query({ after: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on cursor with values of the wrong type", async function () {
+    const after = Buffer.from(JSON.stringify({ salary: "abc", id: 1 }))
+        .toString("base64url");
+    const resp = await request(app)
+        .get("/jobs")
+        .query({ sort: "salary", after });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.detail).toEqual("Invalid cursor");
+  });
+
+  test("works: filtering", async function () {
+    const resp = await request(app)
+        .get("/jobs")
+        .query({ minSalary: 2, hasEquity: true });
+    expect(resp.body.jobs.map(j => j.id)).toEqual([testJobIds[1]]);
+  });
+
+  test("works: filtering on title", async function () {
+    const resp = await request(app)
+        .get("/jobs")
+        .query({ title: "j3" });
+    expect(resp.body.jobs.map(j => j.id)).toEqual([testJobIds[2]]);
+  });
+
+  test("bad request on minSalary too big for its column", async function () {
+    const resp = await request(app)
+        .get("/jobs")
+        .query({ minSalary: 3000000000 });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid filter key", async function () {
+    const resp = await request(app)
+        .get("/jobs")
+        .query({ minSalary: 2, nope: "nope" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
     // should cause an error, all right :)
-    await db.query("DROP TABLE companies CASCADE");
-    const resp = await request(app)
-        .get("/companies")
-        .set("authorization", `Bearer ${u1Token}`);
+    await db.query("DROP TABLE jobs CASCADE");
+    const resp = await request(app).get("/jobs");
     expect(resp.statusCode).toEqual(500);
   });
 });
 
-/************************************** GET /companies/:handle */
+/************************************** GET /jobs/:id */
 
-describe("GET /jobs/:title", function () {
+describe("GET /jobs/:id", function () {
   test("works for anon", async function () {
-    const resp = await request(app).get(`/jobs/t1`);
+    const resp = await request(app).get(`/jobs/${testJobIds[0]}`);
     expect(resp.body).toEqual({
-      company: {
-        title: "t1",
-        salary: 10000,
-        equity: 0.1,
-        companyHandle: "c1"
+      job: {
+        id: testJobIds[0],
+        title: "J1",
+        salary: 1,
+        equity: "0.1",
+        companyHandle: "c1",
       },
     });
   });
 
-
   test("not found for no such job", async function () {
-    const resp = await request(app).get(`/jobs/nope`);
+    const resp = await request(app).get(`/jobs/0`);
     expect(resp.statusCode).toEqual(404);
   });
-});
 
-/************************************** PATCH /companies/:handle */
+  test("not found for non-numeric id", async function () {
+    const resp = await request(app).get(`/jobs/J1`);
+    expect(resp.statusCode).toEqual(404);
+  });
 
-describe("PATCH /jobs/:title", function () {
-  
-  test("admin can update company", async function () {
-    const token = jwt.sign({ username: "admin", is_admin: true }, SECRET_KEY);
+  test("not found for id too big for the database", async function () {
+    const resp = await request(app).get(`/jobs/99999999999`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
 
+/************************************** PATCH /jobs/:id */
+
+describe("PATCH /jobs/:id", function () {
+  test("works for admin", async function () {
     const resp = await request(app)
-    .patch(`/jobs/t1`)
-    .send({
-      name: "t1-new",
-    })
-    .set("authorization", `Bearer ${token}`);
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "J-New" })
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({
       job: {
-          title: "t1-new",
-          salary: 10000,
-          equity: 0.1,
-          companyHandle: "c1"
-        },
+        id: testJobIds[0],
+        title: "J-New",
+        salary: 1,
+        equity: "0.1",
+        companyHandle: "c1",
+      },
     });
   });
 
+  test("works for company members", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "J-New" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body.job.title).toEqual("J-New");
+  });
+
+  test("forbidden for recruiters not members of the company", async function () {
+    const job = await Job.create({ title: "J4", companyHandle: "c2" });
+    const resp = await request(app)
+        .patch(`/jobs/${job.id}`)
+        .send({ title: "J-New" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found for recruiters on no such job", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/0`)
+        .send({ title: "J-New" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("forbidden for candidates", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "J-New" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
-        .patch(`/jobs/t1`)
-        .send({
-          name: "t1-new",
-        });
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "J-New" });
     expect(resp.statusCode).toEqual(401);
   });
 
-  test("not found on no such company", async function () {
+  test("not found on no such job", async function () {
     const resp = await request(app)
-        .patch(`/jobs/nope`)
-        .send({
-          title: "new nope",
-        })
-        .set("authorization", `Bearer ${token}`);
+        .patch(`/jobs/0`)
+        .send({ title: "new nope" })
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
 
-  test("bad request on handle change attempt", async function () {
+  test("bad request on company change attempt", async function () {
     const resp = await request(app)
-        .patch(`/jobs/t1`)
-        .send({
-          title: "t1-new",
-        })
-        .set("authorization", `Bearer ${token}`);
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ companyHandle: "c2" })
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 
   test("bad request on invalid data", async function () {
     const resp = await request(app)
-        .patch(`/jobs/t1`)
-        .send({
-          equity: "0.1",
-        })
-        .set("authorization", `Bearer ${token}`);
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ salary: "not-a-number" })
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 });
 
-/************************************** DELETE /companies/:handle */
+/************************************** DELETE /jobs/:id */
 
-describe("DELETE /jobs/:title", function () {
+describe("DELETE /jobs/:id", function () {
   test("works for admin", async function () {
-    const token = jwt.sign({ username: "admin", is_admin: true }, SECRET_KEY);
     const resp = await request(app)
-        .delete(`/jobs/t1`)
-        .set("authorization", `Bearer ${token}`);
-    expect(resp.body).toEqual({ deleted: "t1" });
+        .delete(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: testJobIds[0] });
+  });
+
+  test("works for company members", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({ deleted: testJobIds[0] });
+  });
+
+  test("forbidden for recruiters not members of the company", async function () {
+    const job = await Job.create({ title: "J4", companyHandle: "c2" });
+    const resp = await request(app)
+        .delete(`/jobs/${job.id}`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden for candidates", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/${testJobIds[0]}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/0`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /jobs/:id/applications */
+
+describe("GET /jobs/:id/applications", function () {
+  beforeEach(async function () {
+    await User.apply("u1", testJobIds[0]);
+    await User.apply("u2", testJobIds[0], "interested");
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      applications: [
+        { username: "u1", jobId: testJobIds[0], state: "applied", updatedAt: expect.any(String) },
+        { username: "u2", jobId: testJobIds[0], state: "interested", updatedAt: expect.any(String) },
+      ],
+    });
+  });
+
+  test("works for recruiters and auditors", async function () {
+    for (const token of [u3Token, auditorToken]) {
+      const resp = await request(app)
+          .get(`/jobs/${testJobIds[0]}/applications`)
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.body.applications.length).toEqual(2);
+    }
+  });
+
+  test("forbidden for recruiters not members of the job's company", async function () {
+    const job = await Job.create({ title: "Other", companyHandle: "c2" });
+    const resp = await request(app)
+        .get(`/jobs/${job.id}/applications`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("works for auditors at any company", async function () {
+    const job = await Job.create({ title: "Other", companyHandle: "c2" });
+    const resp = await request(app)
+        .get(`/jobs/${job.id}/applications`)
+        .set("authorization", `Bearer ${auditorToken}`);
+    expect(resp.body).toEqual({ applications: [] });
+  });
+
+  test("forbidden for candidates", async function () {
+    const resp = await request(app)
+        .get(`/jobs/${testJobIds[0]}/applications`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
   });
 
   test("unauth for anon", async function () {
     const resp = await request(app)
-        .delete(`/jobs/t1`);
+        .get(`/jobs/${testJobIds[0]}/applications`);
     expect(resp.statusCode).toEqual(401);
   });
 
-  test("not found for no such company", async function () {
+  test("not found for no such job", async function () {
     const resp = await request(app)
-        .delete(`/jobs/nope`)
-        .set("authorization", `Bearer ${token}`);
+        .get(`/jobs/0/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
-});
\ No newline at end of file
+});
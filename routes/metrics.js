@@ -0,0 +1,27 @@
+"use strict";
+
+/** Routes for monitoring. */
+
+const express = require("express");
+
+const { render } = require("../helpers/metrics");
+
+const router = new express.Router();
+
+
+/** GET /metrics  =>  metrics, in the Prometheus text format
+ *
+ * Requests by route and status, how long they and database queries took,
+ * database connections in use, and applications and logins (see
+ * helpers/metrics.js).
+ *
+ * Authorization required: none (it's for the monitoring system to scrape;
+ * block it at the load balancer if that's public)
+ */
+
+router.get("/metrics", function (req, res) {
+  return res.type("text/plain; version=0.0.4").send(render());
+});
+
+
+module.exports = router;
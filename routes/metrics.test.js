@@ -0,0 +1,94 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+  u1Token,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Return the metrics, as text. */
+
+async function metrics() {
+  const resp = await request(app).get("/metrics");
+  expect(resp.statusCode).toEqual(200);
+  return resp.text;
+}
+
+/************************************** GET /metrics */
+
+describe("GET /metrics", function () {
+  test("works", async function () {
+    const resp = await request(app).get("/metrics");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/plain/);
+    expect(resp.headers["content-type"]).toContain("version=0.0.4");
+    expect(resp.text).toContain("# TYPE jobly_http_requests_total counter");
+    expect(resp.text).toContain("# TYPE jobly_db_query_duration_seconds histogram");
+    expect(resp.text).toMatch(/^jobly_db_pool_connections\{state="idle"\} \d+$/m);
+    expect(resp.text).toMatch(/^jobly_db_pool_waiting \d+$/m);
+  });
+
+  test("counts requests by route pattern and status", async function () {
+    await request(app).get(`/jobs/${testJobIds[0]}`);
+    await request(app).get(`/jobs/${testJobIds[1]}`);
+    await request(app).get("/jobs/0");
+    await request(app).get("/companies");
+    await request(app).get("/no-such-path");
+
+    const text = await metrics();
+    expect(text).toContain(
+        'jobly_http_requests_total{method="GET",route="/jobs/:id(\\\\d+)",status="200"} 2');
+    expect(text).toContain(
+        'jobly_http_requests_total{method="GET",route="/jobs/:id(\\\\d+)",status="404"} 1');
+    expect(text).toContain(
+        'jobly_http_requests_total{method="GET",route="/companies",status="200"} 1');
+    expect(text).toContain(
+        'jobly_http_requests_total{method="GET",route="unmatched",status="404"} 1');
+    expect(text).toContain(
+        'jobly_http_request_duration_seconds_count{method="GET",route="/jobs/:id(\\\\d+)",status="200"} 2');
+    expect(text).not.toContain(`/jobs/${testJobIds[0]}`);
+  });
+
+  test("counts errors from route middleware under the route", async function () {
+    await request(app).post("/companies").send({});
+
+    expect(await metrics()).toContain(
+        'jobly_http_requests_total{method="POST",route="/companies",status="401"} 1');
+  });
+
+  test("times database queries", async function () {
+    await request(app).get("/companies");
+
+    expect(await metrics()).toMatch(/^jobly_db_query_duration_seconds_count [1-9]\d*$/m);
+  });
+
+  test("counts logins", async function () {
+    await request(app).post("/auth/token").send({ username: "u1", password: "password1" });
+    await request(app).post("/auth/token").send({ username: "u1", password: "nope" });
+
+    const text = await metrics();
+    expect(text).toContain('jobly_logins_total{result="succeeded"} 1');
+    expect(text).toContain('jobly_logins_total{result="failed"} 1');
+  });
+
+  test("counts applications created", async function () {
+    await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+
+    expect(await metrics()).toContain(
+        'jobly_applications_created_total{state="applied"} 1');
+  });
+});
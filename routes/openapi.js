@@ -0,0 +1,453 @@
+"use strict";
+
+/** Routes describing the API: an OpenAPI document and a docs page. */
+
+const express = require("express");
+
+const { buildSpec } = require("../helpers/openapi");
+
+const router = new express.Router();
+
+/** Every route in the API, for the OpenAPI document; see buildSpec in
+ * helpers/openapi.js for what's in each. Keep this in step with the routes
+ * (routes/openapi.test.js checks that every route has an entry).
+ */
+
+const OPERATIONS = [
+  // auth
+  {
+    method: "post", path: "/auth/token",
+    summary: "Log in, with a password then (if enabled) a two-factor code",
+    body: ["userAuth", "tokenChallenge"],
+    auth: "none",
+    returns: "{ token, refreshToken }, or { challenge } for two-factor users",
+  },
+  {
+    method: "post", path: "/auth/register",
+    summary: "Sign up as a candidate",
+    body: "userRegister",
+    auth: "none",
+    status: 201,
+    returns: "{ token, refreshToken }",
+  },
+  {
+    method: "post", path: "/auth/refresh",
+    summary: "Swap a refresh token for new tokens",
+    body: "tokenRefresh",
+    auth: "none",
+    returns: "{ token, refreshToken }",
+  },
+  {
+    method: "post", path: "/auth/logout",
+    summary: "Revoke this token and, if given, a refresh token",
+    body: "logout",
+    auth: "login",
+    returns: "{ loggedOut: username }",
+  },
+  {
+    method: "post", path: "/auth/password-reset",
+    summary: "Email a password reset code",
+    body: "passwordResetRequest",
+    auth: "none",
+    status: 202,
+    returns: "{ requested: email }",
+  },
+  {
+    method: "post", path: "/auth/password-reset/confirm",
+    summary: "Set a new password with a reset code",
+    body: "passwordResetConfirm",
+    auth: "none",
+    returns: "{ reset: username }",
+  },
+  {
+    method: "get", path: "/auth/verify",
+    summary: "Verify an email address",
+    query: "emailVerify",
+    auth: "none",
+    returns: "{ verified: email }",
+  },
+
+  // companies
+  {
+    method: "post", path: "/companies",
+    summary: "Create a company",
+    body: "companyNew",
+    auth: "companies:write permission",
+    status: 201,
+    returns: "{ company }",
+  },
+  {
+    method: "get", path: "/companies",
+    summary: "List companies",
+    query: "companySearch",
+    paged: true,
+    auth: "none",
+    returns: "{ companies, pagination }",
+  },
+  {
+    method: "get", path: "/companies/:handle",
+    summary: "Get a company and its jobs",
+    auth: "none",
+    returns: "{ company }",
+  },
+  {
+    method: "patch", path: "/companies/:handle",
+    summary: "Update a company",
+    body: "companyUpdate",
+    auth: "companies:write permission",
+    returns: "{ company }",
+  },
+  {
+    method: "delete", path: "/companies/:handle",
+    summary: "Delete a company",
+    auth: "companies:write permission",
+    returns: "{ deleted: handle }",
+  },
+  {
+    method: "get", path: "/companies/:handle/members",
+    summary: "List a company's recruiters",
+    auth: "companies:members permission, and admin or member of the company",
+    returns: "{ members }",
+  },
+  {
+    method: "post", path: "/companies/:handle/members",
+    summary: "Add a recruiter to a company",
+    body: "companyMemberNew",
+    auth: "companies:members permission, and admin or member of the company",
+    status: 201,
+    returns: "{ member }",
+  },
+  {
+    method: "delete", path: "/companies/:handle/members/:username",
+    summary: "Remove a recruiter from a company",
+    auth: "companies:members permission, and admin or member of the company",
+    returns: "{ removed: username }",
+  },
+
+  // jobs
+  {
+    method: "post", path: "/jobs",
+    summary: "Post a job",
+    body: "jobNew",
+    auth: "jobs:write permission, and admin or member of the company",
+    status: 201,
+    returns: "{ job }",
+  },
+  {
+    method: "get", path: "/jobs",
+    summary: "List jobs",
+    query: "jobSearch",
+    paged: true,
+    auth: "none",
+    returns: "{ jobs, pagination }",
+  },
+  {
+    method: "get", path: "/jobs/:id(\\d+)",
+    summary: "Get a job",
+    auth: "none",
+    returns: "{ job }",
+  },
+  {
+    method: "get", path: "/jobs/:id(\\d+)/applications",
+    summary: "List applications for a job",
+    auth: "applications:read permission, and auditor, admin or member of the job's company",
+    returns: "{ applications }",
+  },
+  {
+    method: "patch", path: "/jobs/:id(\\d+)",
+    summary: "Update a job",
+    body: "jobUpdate",
+    auth: "jobs:write permission, and admin or member of the job's company",
+    returns: "{ job }",
+  },
+  {
+    method: "delete", path: "/jobs/:id(\\d+)",
+    summary: "Delete a job",
+    auth: "jobs:write permission, and admin or member of the job's company",
+    returns: "{ deleted: id }",
+  },
+
+  // search
+  {
+    method: "get", path: "/search",
+    summary: "Search companies and jobs",
+    query: "search",
+    auth: "none",
+    returns: "{ results, pagination }",
+  },
+
+  // users
+  {
+    method: "post", path: "/users",
+    summary: "Add a user with any role",
+    body: "userNew",
+    auth: "admin",
+    status: 201,
+    returns: "{ user, token }",
+  },
+  {
+    method: "get", path: "/users",
+    summary: "List users",
+    paged: true,
+    auth: "admin",
+    returns: "{ users, pagination }",
+  },
+  {
+    method: "get", path: "/users/:username",
+    summary: "Get a user",
+    auth: "same user as :username, or admin",
+    returns: "{ user }",
+  },
+  {
+    method: "patch", path: "/users/:username",
+    summary: "Update a user",
+    body: "userUpdate",
+    auth: "same user as :username, or admin (role, isAdmin: admin only)",
+    returns: "{ user }",
+  },
+  {
+    method: "delete", path: "/users/:username",
+    summary: "Delete a user",
+    auth: "same user as :username, or admin",
+    returns: "{ deleted: username }",
+  },
+  {
+    method: "get", path: "/users/:username/lockout",
+    summary: "Get a user's failed logins and lockout",
+    auth: "admin",
+    returns: "{ lockout }",
+  },
+  {
+    method: "delete", path: "/users/:username/lockout",
+    summary: "Unlock a user locked out by failed logins",
+    auth: "admin",
+    returns: "{ unlocked: username }",
+  },
+  {
+    method: "post", path: "/users/:username/2fa",
+    summary: "Start enrolling in two-factor authentication",
+    auth: "same user as :username",
+    status: 201,
+    returns: "{ enrollment: { secret, otpauthUri } }",
+  },
+  {
+    method: "post", path: "/users/:username/2fa/confirm",
+    summary: "Finish enrolling in two-factor authentication",
+    body: "twoFactorCode",
+    auth: "same user as :username",
+    returns: "{ recoveryCodes }",
+  },
+  {
+    method: "post", path: "/users/:username/2fa/recovery-codes",
+    summary: "Replace two-factor recovery codes",
+    body: "twoFactorCode",
+    auth: "same user as :username",
+    returns: "{ recoveryCodes }",
+  },
+  {
+    method: "delete", path: "/users/:username/2fa",
+    summary: "Turn off two-factor authentication",
+    body: "twoFactorCode",
+    auth: "same user as :username (with a code), or admin",
+    returns: "{ disabled: username }",
+  },
+  {
+    method: "get", path: "/users/:username/api-keys",
+    summary: "List a user's API keys",
+    auth: "same user as :username, or admin",
+    returns: "{ apiKeys }",
+  },
+  {
+    method: "post", path: "/users/:username/api-keys",
+    summary: "Create an API key",
+    body: "apiKeyNew",
+    auth: "same user as :username",
+    status: 201,
+    returns: "{ apiKey }, including the key, which is only shown now",
+  },
+  {
+    method: "delete", path: "/users/:username/api-keys/:id(\\d+)",
+    summary: "Revoke an API key",
+    auth: "same user as :username, or admin",
+    returns: "{ revoked: id }",
+  },
+  {
+    method: "post", path: "/users/:username/jobs/:id(\\d+)",
+    summary: "Apply for (or save) a job",
+    body: "applicationNew",
+    auth: "same user as :username, or admin",
+    returns: "{ applied: jobId }",
+  },
+  {
+    method: "get", path: "/users/:username/applications",
+    summary: "List a user's applications",
+    auth: "same user as :username, or admin",
+    returns: "{ applications }",
+  },
+  {
+    method: "get", path: "/users/:username/jobs/:id(\\d+)",
+    summary: "Get an application and its history",
+    auth: "same user as :username, or admin",
+    returns: "{ application }",
+  },
+  {
+    method: "patch", path: "/users/:username/jobs/:id(\\d+)",
+    summary: "Move an application to a new state",
+    body: "applicationUpdate",
+    auth: "same user as :username, or admin",
+    returns: "{ application }",
+  },
+  {
+    method: "delete", path: "/users/:username/jobs/:id(\\d+)",
+    summary: "Withdraw an application",
+    auth: "same user as :username, or admin",
+    returns: "{ withdrawn: jobId }",
+  },
+
+  // health
+  {
+    method: "get", path: "/health",
+    summary: "Liveness check",
+    auth: "none",
+    returns: "{ status: \"ok\" }",
+  },
+  {
+    method: "get", path: "/ready",
+    summary: "Readiness check: database reachable and migrated",
+    auth: "none",
+    returns: "{ status, database, migrations: { version, pending } }; 503 if not ready",
+  },
+
+  // metrics
+  {
+    method: "get", path: "/metrics",
+    summary: "Metrics for monitoring",
+    auth: "none",
+    returns: "Metrics, in the Prometheus text format",
+  },
+
+  // this
+  {
+    method: "get", path: "/openapi.json",
+    summary: "This OpenAPI document",
+    auth: "none",
+    returns: "OpenAPI 3.1 document",
+  },
+  {
+    method: "get", path: "/docs",
+    summary: "Docs page for this API",
+    auth: "none",
+    returns: "HTML page",
+  },
+];
+
+/** The docs page: renders /openapi.json in the browser, with no outside
+ * scripts or styles.
+ */
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Jobly API</title>
+<style>
+  body { font-family: sans-serif; max-width: 60em; margin: 2em auto; padding: 0 1em; }
+  details { border: 1px solid #ccc; border-radius: 4px; margin: .5em 0; padding: .5em; }
+  summary { cursor: pointer; }
+  .method { display: inline-block; width: 5em; font-weight: bold; text-transform: uppercase; }
+  code, pre { background: #f6f6f6; }
+  pre { padding: .5em; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>Jobly API</h1>
+<p>Machine-readable: <a href="openapi.json">openapi.json</a></p>
+<main id="docs">Loading…</main>
+<script>
+  function el(tag, text) {
+    const node = document.createElement(tag);
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function resolve(spec, schema) {
+    const ref = schema && schema.$ref;
+    return ref ? spec.components.schemas[ref.split("/").pop()] : schema;
+  }
+
+  fetch("openapi.json").then(resp => resp.json()).then(spec => {
+    const main = document.getElementById("docs");
+    main.textContent = "";
+    const byTag = {};
+
+    for (const [path, methods] of Object.entries(spec.paths)) {
+      for (const [method, op] of Object.entries(methods)) {
+        (byTag[op.tags[0]] = byTag[op.tags[0]] || []).push({ path, method, op });
+      }
+    }
+
+    for (const [tag, ops] of Object.entries(byTag)) {
+      main.appendChild(el("h2", tag));
+      for (const { path, method, op } of ops) {
+        const details = el("details");
+        const summary = el("summary");
+        summary.appendChild(el("span", method)).className = "method";
+        summary.appendChild(el("code", path));
+        summary.appendChild(document.createTextNode(" " + op.summary));
+        details.appendChild(summary);
+        details.appendChild(el("p", op.description));
+
+        for (const param of op.parameters || []) {
+          details.appendChild(el("p", param.in + " " + param.name
+              + (param.required ? " (required): " : ": ")
+              + JSON.stringify(param.schema)));
+        }
+
+        if (op.requestBody) {
+          const body = op.requestBody.content["application/json"].schema;
+          const schemas = body.oneOf ? body.oneOf : [body];
+          details.appendChild(el("p", "Body:"));
+          for (const schema of schemas) {
+            details.appendChild(el("pre",
+                JSON.stringify(resolve(spec, schema), null, 2)));
+          }
+        }
+
+        for (const [status, resp] of Object.entries(op.responses)) {
+          if (status !== "default") {
+            details.appendChild(el("p", status + ": " + resp.description));
+          }
+        }
+        main.appendChild(details);
+      }
+    }
+  });
+</script>
+</body>
+</html>
+`;
+
+let spec;
+
+/** GET /openapi.json  =>  OpenAPI 3.1 document for the API
+ *
+ * Authorization required: none
+ */
+
+router.get("/openapi.json", function (req, res) {
+  spec = spec || buildSpec(OPERATIONS);
+  return res.json(spec);
+});
+
+/** GET /docs  =>  HTML page showing the OpenAPI document
+ *
+ * Authorization required: none
+ */
+
+router.get("/docs", function (req, res) {
+  return res.type("html").send(DOCS_PAGE);
+});
+
+
+module.exports = router;
+module.exports.OPERATIONS = OPERATIONS;
@@ -0,0 +1,113 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const db = require("../db");
+const { OPERATIONS } = require("./openapi");
+
+afterAll(function () {
+  db.end();
+});
+
+/** Return [{ method, path }, ...] for every route in app, with paths as
+ * written in the routers, prefixed by where each router is mounted.
+ */
+
+function appRoutes() {
+  const routes = [];
+  for (const layer of app._router.stack) {
+    if (layer.route) {
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({ method, path: layer.route.path });
+      }
+    } else if (layer.name === "router") {
+      // regexp for mount path "/users" is /^\/users\/?(?=\/|$)/i
+      const mount = layer.regexp.fast_slash ? "" : layer.regexp.source
+          .replace("^\\/", "/")
+          .replace("\\/?(?=\\/|$)", "")
+          .replace(/\\\//g, "/");
+      for (const inner of layer.handle.stack) {
+        if (!inner.route) continue;
+        for (const method of Object.keys(inner.route.methods)) {
+          const path = mount + inner.route.path;
+          routes.push({ method, path: path.replace(/(.)\/$/, "$1") });
+        }
+      }
+    }
+  }
+  return routes;
+}
+
+describe("GET /openapi.json", function () {
+  test("works", async function () {
+    const resp = await request(app).get("/openapi.json");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.openapi).toEqual("3.1.0");
+    expect(resp.body.components.schemas.companyNew.required)
+        .toEqual(["name", "handle", "description"]);
+    expect(resp.body.paths["/companies/{handle}"].patch).toEqual({
+      summary: "Update a company",
+      description: "Authorization required: companies:write permission",
+      tags: ["companies"],
+      parameters: [
+        { name: "handle", in: "path", required: true, schema: { type: "string" } },
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: { $ref: "#/components/schemas/companyUpdate" },
+          },
+        },
+      },
+      security: [{ bearerAuth: [] }, { apiKey: [] }],
+      responses: {
+        200: { description: "{ company }" },
+        default: {
+          description: "Error",
+          content: {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Problem" },
+            },
+          },
+        },
+      },
+    });
+  });
+
+  test("every route has an entry", function () {
+    const documented = OPERATIONS.map(op => `${op.method} ${op.path}`);
+    const missing = appRoutes()
+        .map(r => `${r.method} ${r.path}`)
+        .filter(r => !documented.includes(r));
+    expect(missing).toEqual([]);
+  });
+
+  test("every entry has a route", function () {
+    const routes = appRoutes().map(r => `${r.method} ${r.path}`);
+    const stale = OPERATIONS
+        .map(op => `${op.method} ${op.path}`)
+        .filter(op => !routes.includes(op));
+    expect(stale).toEqual([]);
+  });
+
+  test("entries name schemas that exist", async function () {
+    const resp = await request(app).get("/openapi.json");
+    const schemas = resp.body.components.schemas;
+    for (const op of OPERATIONS) {
+      for (const name of [].concat(op.body || [], op.query || [])) {
+        expect(schemas).toHaveProperty(name);
+      }
+    }
+  });
+});
+
+describe("GET /docs", function () {
+  test("works", async function () {
+    const resp = await request(app).get("/docs");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/html/);
+    expect(resp.text).toContain("openapi.json");
+  });
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+/** Routes for full-text search. */
+
+const express = require("express");
+
+const Search = require("../models/search");
+const { assertValid } = require("../helpers/validation");
+
+const searchSchema = require("../schemas/search.json");
+
+const router = new express.Router();
+
+
+/** GET /?q=...  =>
+ *   { results: [ { type: "company", handle, name, rank, snippet }
+ *                | { type: "job", id, title, companyHandle, companyName,
+ *                    rank, snippet }, ...],
+ *     pagination: { total, limit, offset, nextCursor, prevCursor } }
+ *
+ * Searches company names and descriptions, and job titles along with the
+ * name of the company posting them. Results are ranked best match first;
+ * snippet is the matching text, HTML-escaped, with matched words in
+ * <mark>...</mark>.
+ *
+ * q uses web search syntax: "quoted phrases", "or" and -excluded words.
+ *
+ * Can also take:
+ * - type ("company" or "job", to search only one)
+ * - limit, offset, after, before (see helpers/pagination.js)
+ *
+ * Authorization required: none
+ */
+
+router.get("/", async function (req, res, next) {
+  const q = { ...req.query };
+  // arrive as strings from querystring, but we want as ints
+  if (q.limit !== undefined) q.limit = +q.limit;
+  if (q.offset !== undefined) q.offset = +q.offset;
+
+  try {
+    assertValid(q, searchSchema);
+
+    const { q: text, ...options } = q;
+    const { results, pagination } = await Search.find(text, options);
+    return res.json({ results, pagination });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
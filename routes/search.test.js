@@ -0,0 +1,91 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("ok for anon", async function () {
+    const resp = await request(app)
+        .get("/search")
+        .query({ q: "j1" });
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: "job",
+          id: expect.any(Number),
+          title: "J1",
+          companyHandle: "c1",
+          companyName: "C1",
+          rank: expect.any(Number),
+          snippet: "<mark>J1</mark> at C1",
+        },
+      ],
+      pagination: {
+        total: 1,
+        limit: 20,
+        offset: 0,
+        nextCursor: null,
+        prevCursor: null,
+      },
+    });
+  });
+
+  test("works: companies and their jobs", async function () {
+    const resp = await request(app)
+        .get("/search")
+        .query({ q: "c1", limit: 2 });
+    expect(resp.body.results.length).toEqual(2);
+    expect(resp.body.pagination).toEqual({
+      total: 4,
+      limit: 2,
+      offset: 0,
+      nextCursor: expect.any(String),
+      prevCursor: null,
+    });
+
+    const resp2 = await request(app)
+        .get("/search")
+        .query({ q: "c1", limit: 2, after: resp.body.pagination.nextCursor });
+    expect(resp2.body.results.length).toEqual(2);
+    expect(resp2.body.pagination.nextCursor).toBeNull();
+  });
+
+  test("works: type", async function () {
+    const resp = await request(app)
+        .get("/search")
+        .query({ q: "c1", type: "company" });
+    expect(resp.body.results.map(r => r.handle)).toEqual(["c1"]);
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on invalid params", async function () {
+    const resp = await request(app)
+        .get("/search")
+        .query({ q: "c1", type: "user" });
+    expect(resp.statusCode).toEqual(400);
+
+    const resp2 = await request(app)
+        .get("/search")
+        .query({ q: "c1", offset: "1e20" });
+    expect(resp2.statusCode).toEqual(400);
+  });
+});
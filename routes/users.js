@@ -2,39 +2,51 @@
 
 /** Routes for users. */
 
-const jsonschema = require("jsonschema");
-
 const express = require("express");
-const { ensureLoggedIn } = require("../middleware/auth");
-const { BadRequestError } = require("../expressError");
+const {
+  ensureLoggedIn,
+  requireAdmin,
+  ensureCorrectUserOrAdmin,
+  ensurePolicy,
+  isAdmin,
+  isCorrectUser,
+} = require("../middleware/auth");
+const { validate, checkId } = require("../middleware/validate");
+const { BadRequestError, ForbiddenError } = require("../expressError");
 const User = require("../models/user");
+const Application = require("../models/application");
+const LoginThrottle = require("../models/loginThrottle");
+const TwoFactor = require("../models/twoFactor");
+const ApiKey = require("../models/apiKey");
 const { createToken } = require("../helpers/tokens");
+const { pageFromQuery } = require("../helpers/pagination");
+const { assertValid } = require("../helpers/validation");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const apiKeyNewSchema = require("../schemas/apiKeyNew.json");
+const twoFactorCodeSchema = require("../schemas/twoFactorCode.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationUpdateSchema = require("../schemas/applicationUpdate.json");
 
 const router = express.Router();
+router.param("id", checkId);
 
 
 /** POST / { user }  => { user, token }
  *
  * Adds a new user. This is not the registration endpoint --- instead, this is
- * only for admin users to add new users. The new user being added can be an
- * admin.
+ * only for admin users to add new users. The new user can be given any role
+ * (admin, recruiter, candidate or auditor); isAdmin: true is the same as
+ * role "admin".
  *
  * This returns the newly created user and an authentication token for them:
- *  {user: { username, firstName, lastName, email, isAdmin }, token }
+ *  {user: { username, firstName, lastName, email, role, isAdmin }, token }
  *
- * Authorization required: login
+ * Authorization required: admin
  **/
 
-router.post("/", ensureLoggedIn, async function (req, res, next) {
+router.post("/", ensureLoggedIn, requireAdmin, validate(userNewSchema), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const user = await User.register(req.body);
     const token = createToken(user);
     return res.status(201).json({ user, token });
@@ -44,17 +56,30 @@ router.post("/", ensureLoggedIn, async function (req, res, next) {
 });
 
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email, role, isAdmin }, ... ],
+ *             pagination: { total, limit, offset, nextCursor, prevCursor } }
  *
- * Returns list of all users.
+ * Returns list of users, a page at a time.
  *
- * Authorization required: login
+ * Can page with limit and either offset or an after/before cursor taken
+ * from a previous response's nextCursor/prevCursor.
+ *
+ * Can sort with sort, a comma-separated list of username, firstName,
+ * lastName and email, each prefixed with "-" for descending. Defaults to
+ * username.
+ *
+ * Authorization required: admin
  **/
 
-router.get("/", ensureLoggedIn, async function (req, res, next) {
+router.get("/", ensureLoggedIn, requireAdmin, async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const { page, rest } = pageFromQuery(req.query);
+    if (Object.keys(rest).length > 0) {
+      throw new BadRequestError("Invalid filter option");
+    }
+
+    const { users, pagination } = await User.findAll(page);
+    return res.json({ users, pagination });
   } catch (err) {
     return next(err);
   }
@@ -63,12 +88,13 @@ router.get("/", ensureLoggedIn, async function (req, res, next) {
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin }
+ * Returns { username, firstName, lastName, email, emailVerified, role,
+ *           isAdmin, jobs }
  *
- * Authorization required: login
+ * Authorization required: same user as :username, or admin
  **/
 
-router.get("/:username", ensureLoggedIn, async function (req, res, next) {
+router.get("/:username", ensureCorrectUserOrAdmin, async function (req, res, next) {
   try {
     const user = await User.get(req.params.username);
     return res.json({ user });
@@ -81,19 +107,22 @@ router.get("/:username", ensureLoggedIn, async function (req, res, next) {
 /** PATCH /[username] { user } => { user }
  *
  * Data can include:
- *   { firstName, lastName, password, email }
+ *   { firstName, lastName, password, email, role, isAdmin }
+ *
+ * A new email address must be verified again; a link is emailed to it.
+ * Only admins can change role (or isAdmin; see User.update); a new password
+ * or role logs the user out everywhere.
  *
- * Returns { username, firstName, lastName, email, isAdmin }
+ * Returns { username, firstName, lastName, email, role, isAdmin }
  *
- * Authorization required: login
+ * Authorization required: same user as :username, or admin
  **/
 
-router.patch("/:username", ensureLoggedIn, async function (req, res, next) {
+router.patch("/:username", ensureCorrectUserOrAdmin, validate(userUpdateSchema), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
+    const changesRole = req.body.role !== undefined || req.body.isAdmin !== undefined;
+    if (changesRole && !isAdmin(res.locals.user)) {
+      throw new ForbiddenError("Only admins can change roles");
     }
 
     const user = await User.update(req.params.username, req.body);
@@ -106,10 +135,10 @@ router.patch("/:username", ensureLoggedIn, async function (req, res, next) {
 
 /** DELETE /[username]  =>  { deleted: username }
  *
- * Authorization required: login
+ * Authorization required: same user as :username, or admin
  **/
 
-router.delete("/:username", ensureLoggedIn, async function (req, res, next) {
+router.delete("/:username", ensureCorrectUserOrAdmin, async function (req, res, next) {
   try {
     await User.remove(req.params.username);
     return res.json({ deleted: req.params.username });
@@ -118,14 +147,291 @@ router.delete("/:username", ensureLoggedIn, async function (req, res, next) {
   }
 });
 
-app.post('/users/:username/jobs/:id', async function(req, res, next) {
+
+/** GET /[username]/lockout  =>  { lockout }
+ *
+ * Returns the user's failed login state:
+ *   { username, failures, lastFailedAt, lockedUntil, locked }
+ *
+ * Authorization required: admin
+ **/
+
+router.get("/:username/lockout", ensureLoggedIn, requireAdmin, async function (req, res, next) {
+  try {
+    const lockout = await LoginThrottle.get(req.params.username);
+    return res.json({ lockout });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/lockout  =>  { unlocked: username }
+ *
+ * Unlocks the user's account, forgetting their failed logins. Failures
+ * from an IP are not cleared.
+ *
+ * Authorization required: admin
+ **/
+
+router.delete("/:username/lockout", ensureLoggedIn, requireAdmin, async function (req, res, next) {
+  try {
+    await LoginThrottle.unlock(req.params.username);
+    return res.json({ unlocked: req.params.username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa  =>  { enrollment: { secret, otpauthUri } }
+ *
+ * Starts turning on two-factor authentication: add the secret (or scan the
+ * otpauthUri as a QR code) in an authenticator app, then confirm with a code
+ * from it at POST /[username]/2fa/confirm.
+ *
+ * Authorization required: same user as :username
+ **/
+
+router.post("/:username/2fa", ensurePolicy(isCorrectUser), async function (req, res, next) {
+  try {
+    const enrollment = await TwoFactor.enroll(req.params.username);
+    return res.status(201).json({ enrollment });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa/confirm { code }  =>  { recoveryCodes }
+ *
+ * Turns on two-factor authentication, given a code from the authenticator
+ * app. Returns single-use recovery codes for logging in without the app;
+ * they aren't shown again.
+ *
+ * Authorization required: same user as :username
+ **/
+
+router.post("/:username/2fa/confirm", ensurePolicy(isCorrectUser), validate(twoFactorCodeSchema), async function (req, res, next) {
+  try {
+    const { recoveryCodes } =
+        await TwoFactor.confirm(req.params.username, req.body.code);
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/2fa/recovery-codes { code }  =>  { recoveryCodes }
+ *
+ * Replaces the user's recovery codes, given a current two-factor code.
+ *
+ * Authorization required: same user as :username
+ **/
+
+router.post("/:username/2fa/recovery-codes", ensurePolicy(isCorrectUser), validate(twoFactorCodeSchema), async function (req, res, next) {
+  try {
+    const { username } = req.params;
+    if (!await TwoFactor.verify(username, req.body.code)) {
+      throw new BadRequestError("Invalid two-factor code");
+    }
+    const recoveryCodes = await TwoFactor.newRecoveryCodes(username);
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/2fa { code }  =>  { disabled: username }
+ *
+ * Turns off two-factor authentication. The user must give a current code;
+ * an admin can turn it off for anyone (say, after they lose their phone)
+ * without one.
+ *
+ * Authorization required: same user as :username, or admin
+ **/
+
+router.delete("/:username/2fa", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const { username } = req.params;
+
+    if (res.locals.user.username === username) {
+      assertValid(req.body, twoFactorCodeSchema);
+      if (!await TwoFactor.verify(username, req.body.code)) {
+        throw new BadRequestError("Invalid two-factor code");
+      }
+    }
+
+    await TwoFactor.disable(username);
+    return res.json({ disabled: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/api-keys  =>  { apiKeys }
+ *
+ * Returns [{ id, name, prefix, scopes, createdAt, lastUsedAt }, ...] for the
+ * user's keys that haven't been revoked
+ *
+ * Authorization required: same user as :username, or admin
+ **/
+
+router.get("/:username/api-keys", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const apiKeys = await ApiKey.findForUser(req.params.username);
+    return res.json({ apiKeys });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/api-keys { name, scopes }  =>  { apiKey }
+ *
+ * Creates an API key, which integrations can send in an X-API-Key header
+ * (or as "Authorization: ApiKey [key]") to call the API as this user, but
+ * only for the permissions in scopes (like ["jobs:write"]); the user's role
+ * must grant them.
+ *
+ * Returns { id, name, prefix, scopes, createdAt, lastUsedAt, key }; the key
+ * is only shown now.
+ *
+ * Authorization required: same user as :username
+ **/
+
+router.post("/:username/api-keys", ensurePolicy(isCorrectUser), validate(apiKeyNewSchema), async function (req, res, next) {
+  try {
+    const apiKey = await ApiKey.create(req.params.username, req.body);
+    return res.status(201).json({ apiKey });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/api-keys/[id]  =>  { revoked: id }
+ *
+ * Authorization required: same user as :username, or admin
+ **/
+
+router.delete("/:username/api-keys/:id(\\d+)", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    await ApiKey.revoke(req.params.username, req.params.id);
+    return res.json({ revoked: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/jobs/[id] { state }  =>  { applied: jobId }
+ *
+ * state is optional: "applied" (default) or "interested", to save a job
+ * before applying. A withdrawn application is reopened.
+ *
+ * Authorization required: same user as :username, or admin
+ **/
+
+router.post("/:username/jobs/:id(\\d+)", ensureCorrectUserOrAdmin, validate(applicationNewSchema), async function (req, res, next) {
   try {
     const { username, id } = req.params;
-    const result = await User.apply(username, id);
+    const result = await User.apply(username, id, req.body.state);
     return res.json(result);
   } catch (err) {
     return next(err);
   }
 });
 
+
+/** GET /[username]/applications  =>  { applications }
+ *
+ * Returns [{ jobId, state, updatedAt, job }, ...]
+ *   where job is { id, title, salary, equity, company }
+ *   and company is { handle, name, description, numEmployees, logoUrl },
+ *   most recently updated first
+ *
+ * Authorization required: same user as :username, or admin
+ **/
+
+router.get("/:username/applications", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const applications = await Application.findForUser(req.params.username);
+    return res.json({ applications });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/jobs/[id]  =>  { application }
+ *
+ * Returns { username, jobId, state, history }
+ *   where history is [{ fromState, toState, changedBy, changedAt }, ...]
+ *
+ * Authorization required: same user as :username, or admin
+ **/
+
+router.get("/:username/jobs/:id(\\d+)", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const application = await Application.get(req.params.username, req.params.id);
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** PATCH /[username]/jobs/[id] { state }  =>  { application }
+ *
+ * Moves the application through the hiring workflow:
+ *   interested -> applied -> interviewing -> offered -> accepted
+ * with rejected possible from applied onwards and withdrawn from any
+ * state that isn't final.
+ *
+ * The applicant can apply, accept an offer and withdraw; admins can make
+ * any allowed move.
+ *
+ * Returns { username, jobId, state, history }
+ *
+ * Authorization required: same user as :username, or admin
+ **/
+
+router.patch("/:username/jobs/:id(\\d+)", ensureCorrectUserOrAdmin, validate(applicationUpdateSchema), async function (req, res, next) {
+  try {
+    const user = res.locals.user;
+    const application = await Application.transition(
+        req.params.username, req.params.id, req.body.state,
+        { changedBy: user.username, asAdmin: isAdmin(user) });
+    return res.json({ application });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** DELETE /[username]/jobs/[id]  =>  { withdrawn: jobId }
+ *
+ * Withdraws the application. It is kept, in state "withdrawn", so its
+ * history is still available (and applying again reopens it); applications
+ * already accepted, rejected or withdrawn can't be withdrawn.
+ *
+ * Authorization required: same user as :username, or admin
+ **/
+
+router.delete("/:username/jobs/:id(\\d+)", ensureCorrectUserOrAdmin, async function (req, res, next) {
+  try {
+    const user = res.locals.user;
+    await Application.transition(
+        req.params.username, req.params.id, "withdrawn",
+        { changedBy: user.username, asAdmin: isAdmin(user) });
+    return res.json({ withdrawn: +req.params.id });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 module.exports = router;
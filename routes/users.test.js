@@ -5,13 +5,23 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const LoginThrottle = require("../models/loginThrottle");
+const TwoFactor = require("../models/twoFactor");
+const ApiKey = require("../models/apiKey");
+const { codeAt, timeStep } = require("../helpers/totp");
+const config = require("../config");
+const { createToken } = require("../helpers/tokens");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
   u1Token,
+  u2Token,
+  u3Token,
+  adminToken,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -22,7 +32,7 @@ afterAll(commonAfterAll);
 /************************************** POST /users */
 
 describe("POST /users", function () {
-  test("works for users: create non-admin", async function () {
+  test("works for admin: create non-admin", async function () {
     const resp = await request(app)
         .post("/users")
         .send({
@@ -33,7 +43,7 @@ describe("POST /users", function () {
           email: "new@email.com",
           isAdmin: false,
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       user: {
@@ -41,12 +51,13 @@ describe("POST /users", function () {
         firstName: "First-new",
         lastName: "Last-newL",
         email: "new@email.com",
+        role: "candidate",
         isAdmin: false,
       }, token: expect.any(String),
     });
   });
 
-  test("works for users: create admin", async function () {
+  test("works for admin: create admin", async function () {
     const resp = await request(app)
         .post("/users")
         .send({
@@ -57,7 +68,7 @@ describe("POST /users", function () {
           email: "new@email.com",
           isAdmin: true,
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       user: {
@@ -65,11 +76,77 @@ describe("POST /users", function () {
         firstName: "First-new",
         lastName: "Last-newL",
         email: "new@email.com",
+        role: "admin",
         isAdmin: true,
       }, token: expect.any(String),
     });
   });
 
+  test("works for admin: create with role", async function () {
+    const resp = await request(app)
+        .post("/users")
+        .send({
+          username: "u-new",
+          firstName: "First-new",
+          lastName: "Last-newL",
+          password: "password-new",
+          email: "new@email.com",
+          role: "recruiter",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.user.role).toEqual("recruiter");
+    expect(resp.body.user.isAdmin).toEqual(false);
+  });
+
+  test("bad request with unknown role", async function () {
+    const resp = await request(app)
+        .post("/users")
+        .send({
+          username: "u-new",
+          firstName: "First-new",
+          lastName: "Last-newL",
+          password: "password-new",
+          email: "new@email.com",
+          role: "superuser",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for non-admin: cannot create admin", async function () {
+    const resp = await request(app)
+        .post("/users")
+        .send({
+          username: "u-new",
+          firstName: "First-new",
+          lastName: "Last-newL",
+          password: "password-new",
+          email: "new@email.com",
+          isAdmin: true,
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+
+    const found = await db.query(
+        "SELECT username FROM users WHERE username = 'u-new'");
+    expect(found.rows.length).toEqual(0);
+  });
+
+  test("forbidden for non-admin: cannot create non-admin", async function () {
+    const resp = await request(app)
+        .post("/users")
+        .send({
+          username: "u-new",
+          firstName: "First-new",
+          lastName: "Last-newL",
+          password: "password-new",
+          email: "new@email.com",
+        })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .post("/users")
@@ -90,7 +167,7 @@ describe("POST /users", function () {
         .send({
           username: "u-new",
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 
@@ -105,7 +182,7 @@ describe("POST /users", function () {
           email: "not-an-email",
           isAdmin: true,
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
 });
@@ -113,10 +190,10 @@ describe("POST /users", function () {
 /************************************** GET /users */
 
 describe("GET /users", function () {
-  test("works for users", async function () {
+  test("works for admin", async function () {
     const resp = await request(app)
         .get("/users")
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.body).toEqual({
       users: [
         {
@@ -124,6 +201,7 @@ describe("GET /users", function () {
           firstName: "U1F",
           lastName: "U1L",
           email: "user1@user.com",
+          role: "candidate",
           isAdmin: false,
         },
         {
@@ -131,6 +209,7 @@ describe("GET /users", function () {
           firstName: "U2F",
           lastName: "U2L",
           email: "user2@user.com",
+          role: "candidate",
           isAdmin: false,
         },
         {
@@ -138,18 +217,75 @@ describe("GET /users", function () {
           firstName: "U3F",
           lastName: "U3L",
           email: "user3@user.com",
+          role: "recruiter",
           isAdmin: false,
         },
       ],
+      pagination: {
+        total: 3,
+        limit: 20,
+        offset: 0,
+        nextCursor: null,
+        prevCursor: null,
+      },
     });
   });
 
+  test("works: paging", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .query({ limit: 2 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u1", "u2"]);
+
+    const resp2 = await request(app)
+        .get("/users")
+        .query({ limit: 2, after: resp.body.pagination.nextCursor })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp2.body.users.map(u => u.username)).toEqual(["u3"]);
+    expect(resp2.body.pagination.prevCursor).toEqual(expect.any(String));
+  });
+
+  test("works: sort", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .query({ sort: "-username" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u3", "u2", "u1"]);
+  });
+
+  test("bad request on unknown query param", async function () {
+    const resp = await request(app)
+        .get("/users")
+        .query({ nope: "nope" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for non-admins", async function () {
+    for (const token of [u1Token, u3Token]) {
+      const resp = await request(app)
+          .get("/users")
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(403);
+    }
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .get("/users");
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("forbidden with an API key", async function () {
+    const { key } =
+        await ApiKey.create("u3", { name: "ATS", scopes: ["applications:read"] });
+    const resp = await request(app)
+        .get("/users")
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -157,7 +293,7 @@ describe("GET /users", function () {
     await db.query("DROP TABLE users CASCADE");
     const resp = await request(app)
         .get("/users")
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(500);
   });
 });
@@ -175,11 +311,28 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: false,
+        role: "candidate",
         isAdmin: false,
+        jobs: [],
       },
     });
   });
 
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.user.username).toEqual("u1");
+  });
+
+  test("forbidden for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .get(`/users/u1`);
@@ -189,13 +342,16 @@ describe("GET /users/:username", function () {
   test("not found if user not found", async function () {
     const resp = await request(app)
         .get(`/users/nope`)
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
 });
 
 /************************************** PATCH /users/:username */
 
+const u1AdminToken = createToken(
+    { username: "u1", isAdmin: true, role: "admin" }, { mfa: true });
+
 describe("PATCH /users/:username", () => {
   test("works for users", async function () {
     const resp = await request(app)
@@ -210,11 +366,36 @@ describe("PATCH /users/:username", () => {
         firstName: "New",
         lastName: "U1L",
         email: "user1@user.com",
+        role: "candidate",
         isAdmin: false,
       },
     });
   });
 
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          firstName: "New",
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.user.firstName).toEqual("New");
+  });
+
+  test("forbidden for other users", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({
+          firstName: "New",
+        })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body.detail).toEqual("Forbidden");
+
+    const user = await User.get("u1");
+    expect(user.firstName).toEqual("U1F");
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
@@ -230,7 +411,7 @@ describe("PATCH /users/:username", () => {
         .send({
           firstName: "Nope",
         })
-        .set("authorization", `Bearer ${u1Token}`);
+        .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
   });
 
@@ -257,12 +438,108 @@ describe("PATCH /users/:username", () => {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        role: "candidate",
         isAdmin: false,
       },
     });
     const isSuccessful = await User.authenticate("u1", "new-password");
     expect(isSuccessful).toBeTruthy();
   });
+
+  test("new password revokes existing tokens", async function () {
+    await request(app)
+        .patch(`/users/u1`)
+        .send({ password: "new-password" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works: admin can change role", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ role: "recruiter" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.user.role).toEqual("recruiter");
+  });
+
+  test("demoting an admin revokes their tokens", async function () {
+    await db.query("UPDATE users SET role = 'admin' WHERE username = 'u1'");
+
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ isAdmin: false })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.user.role).toEqual("candidate");
+    expect(resp.body.user.isAdmin).toEqual(false);
+
+    const resp2 = await request(app)
+        .get(`/users/u2`)
+        .set("authorization", `Bearer ${u1AdminToken}`);
+    expect(resp2.statusCode).toEqual(401);
+  });
+
+  test("forbidden for users changing their own role", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ isAdmin: true })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+
+    const resp2 = await request(app)
+        .patch(`/users/u1`)
+        .send({ role: "admin" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp2.statusCode).toEqual(403);
+    expect((await User.get("u1")).role).toEqual("candidate");
+  });
+
+  test("bad request for unknown role", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ role: "owner" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: logging in again right after a new password", async function () {
+    await request(app)
+        .patch(`/users/u1`)
+        .send({ password: "new-password" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "new-password" });
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(resp.statusCode).toEqual(200);
+
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken });
+    const resp2 = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${refresh.body.token}`);
+    expect(resp2.statusCode).toEqual(200);
+  });
+
+  test("other changes keep existing tokens", async function () {
+    await request(app)
+        .patch(`/users/u1`)
+        .send({ firstName: "New" })
+        .set("authorization", `Bearer ${u1Token}`);
+
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
 });
 
 /************************************** DELETE /users/:username */
@@ -275,6 +552,20 @@ describe("DELETE /users/:username", function () {
     expect(resp.body).toEqual({ deleted: "u1" });
   });
 
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: "u1" });
+  });
+
+  test("forbidden for other users", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .delete(`/users/u1`);
@@ -284,6 +575,739 @@ describe("DELETE /users/:username", function () {
   test("not found if user missing", async function () {
     const resp = await request(app)
         .delete(`/users/nope`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/2fa */
+
+describe("POST /users/:username/2fa", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/2fa`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      enrollment: {
+        secret: expect.any(String),
+        otpauthUri: expect.stringMatching(/^otpauth:\/\/totp\//),
+      },
+    });
+  });
+
+  test("forbidden for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/2fa`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/2fa`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/2fa/confirm */
+
+describe("POST /users/:username/2fa/confirm", function () {
+  test("works", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    const resp = await request(app)
+        .post(`/users/u1/2fa/confirm`)
+        .send({ code: codeAt(secret, timeStep()) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ recoveryCodes: expect.any(Array) });
+    expect(resp.body.recoveryCodes.length).toEqual(10);
+    expect(await TwoFactor.isEnabled("u1")).toBe(true);
+  });
+
+  test("bad request with wrong code", async function () {
+    await TwoFactor.enroll("u1");
+    const resp = await request(app)
+        .post(`/users/u1/2fa/confirm`)
+        .send({ code: "000000" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for other users", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/2fa/confirm`)
+        .send({ code: "000000" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** POST /users/:username/2fa/recovery-codes */
+
+describe("POST /users/:username/2fa/recovery-codes", function () {
+  test("works", async function () {
+    const { secret } = await TwoFactor.enroll("u1");
+    const { recoveryCodes } =
+        await TwoFactor.confirm("u1", codeAt(secret, timeStep() - 1));
+    const resp = await request(app)
+        .post(`/users/u1/2fa/recovery-codes`)
+        .send({ code: recoveryCodes[0] })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.recoveryCodes.length).toEqual(10);
+    expect(await TwoFactor.verify("u1", recoveryCodes[1])).toBe(false);
+  });
+
+  test("bad request with wrong code", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/2fa/recovery-codes`)
+        .send({ code: "000000" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /users/:username/2fa */
+
+describe("DELETE /users/:username/2fa", function () {
+  let secret;
+
+  beforeEach(async function () {
+    ({ secret } = await TwoFactor.enroll("u1"));
+    await TwoFactor.confirm("u1", codeAt(secret, timeStep() - 1));
+  });
+
+  test("works for same user with code", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/2fa`)
+        .send({ code: codeAt(secret, timeStep()) })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+    expect(await TwoFactor.isEnabled("u1")).toBe(false);
+  });
+
+  test("bad request for same user without valid code", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/2fa`)
+        .send({ code: "000000" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(await TwoFactor.isEnabled("u1")).toBe(true);
+  });
+
+  test("works for admin without code", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/2fa`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ disabled: "u1" });
+  });
+
+  test("forbidden for other users", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/2fa`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** REQUIRE_ADMIN_2FA */
+
+describe("with REQUIRE_ADMIN_2FA", function () {
+  beforeEach(function () {
+    config.REQUIRE_ADMIN_2FA = true;
+  });
+
+  afterEach(function () {
+    config.REQUIRE_ADMIN_2FA = false;
+  });
+
+  test("forbidden for admin without two-factor login", async function () {
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("works for admin with two-factor login", async function () {
+    const token = createToken(
+        { username: "admin", isAdmin: true, role: "admin" }, { mfa: true });
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("users unaffected", async function () {
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+});
+
+/************************************** GET /users/:username/api-keys */
+
+describe("GET /users/:username/api-keys", function () {
+  test("works for same user", async function () {
+    const apiKey = await ApiKey.create("u3", { name: "ATS", scopes: ["jobs:write"] });
+    const resp = await request(app)
+        .get(`/users/u3/api-keys`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({
+      apiKeys: [{
+        id: apiKey.id,
+        name: "ATS",
+        prefix: apiKey.prefix,
+        scopes: ["jobs:write"],
+        createdAt: expect.any(String),
+        lastUsedAt: null,
+      }],
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/users/u3/api-keys`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ apiKeys: [] });
+  });
+
+  test("forbidden for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u3/api-keys`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden with an API key", async function () {
+    const { key } = await ApiKey.create("u3", { name: "ATS", scopes: ["jobs:write"] });
+    const resp = await request(app)
+        .get(`/users/u3/api-keys`)
+        .set("x-api-key", key);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** POST /users/:username/api-keys */
+
+describe("POST /users/:username/api-keys", function () {
+  test("works", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/api-keys`)
+        .send({ name: "ATS", scopes: ["jobs:write"] })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      apiKey: {
+        id: expect.any(Number),
+        name: "ATS",
+        prefix: expect.any(String),
+        scopes: ["jobs:write"],
+        createdAt: expect.any(String),
+        lastUsedAt: null,
+        key: expect.any(String),
+      },
+    });
+
+    const use = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "J1-new" })
+        .set("x-api-key", resp.body.apiKey.key);
+    expect(use.statusCode).toEqual(200);
+  });
+
+  test("bad request for scope the role doesn't grant", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/api-keys`)
+        .send({ name: "ATS", scopes: ["companies:write"] })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/api-keys`)
+        .send({ name: "ATS", scopes: [] })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u3/api-keys`)
+        .send({ name: "ATS", scopes: ["jobs:write"] })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** DELETE /users/:username/api-keys/:id */
+
+describe("DELETE /users/:username/api-keys/:id", function () {
+  test("works", async function () {
+    const { id, key } =
+        await ApiKey.create("u3", { name: "ATS", scopes: ["jobs:write"] });
+    const resp = await request(app)
+        .delete(`/users/u3/api-keys/${id}`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.body).toEqual({ revoked: id });
+
+    const use = await request(app)
+        .patch(`/jobs/${testJobIds[0]}`)
+        .send({ title: "J1-new" })
+        .set("x-api-key", key);
+    expect(use.statusCode).toEqual(401);
+  });
+
+  test("works for admin", async function () {
+    const { id } = await ApiKey.create("u3", { name: "ATS", scopes: ["jobs:write"] });
+    const resp = await request(app)
+        .delete(`/users/u3/api-keys/${id}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ revoked: id });
+  });
+
+  test("not found for no such key", async function () {
+    const resp = await request(app)
+        .delete(`/users/u3/api-keys/0`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for id too big for the database", async function () {
+    const resp = await request(app)
+        .delete(`/users/u3/api-keys/99999999999`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/lockout */
+
+describe("GET /users/:username/lockout", function () {
+  test("works for admin", async function () {
+    await LoginThrottle.recordFailure("u1", "10.0.0.1");
+    const resp = await request(app)
+        .get(`/users/u1/lockout`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      lockout: {
+        username: "u1",
+        failures: 1,
+        lastFailedAt: expect.any(String),
+        lockedUntil: null,
+        locked: false,
+      },
+    });
+  });
+
+  test("forbidden for the user themselves", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/lockout`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/lockout`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+        .get(`/users/nope/lockout`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/lockout */
+
+describe("DELETE /users/:username/lockout", function () {
+  test("works for admin", async function () {
+    for (let i = 0; i < 5; i++) {
+      await LoginThrottle.recordFailure("u1", "10.0.0.1");
+    }
+    const resp = await request(app)
+        .delete(`/users/u1/lockout`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ unlocked: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("forbidden for the user themselves", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/lockout`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+        .delete(`/users/nope/lockout`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/jobs/:id */
+
+describe("POST /users/:username/jobs/:id", function () {
+  test("works for users", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ applied: testJobIds[0] });
+  });
+
+  test("works: save as interested", async function () {
+    await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interested" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.application.state).toEqual("interested");
+  });
+
+  test("conflict if already applied", async function () {
+    await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(409);
+    expect(resp.body.errors).toEqual([{
+      field: "username,jobId",
+      rule: "unique",
+      message: `username,jobId u1, ${testJobIds[0]} already exists`,
+    }]);
+  });
+
+  test("bad request with non-initial state", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "offered" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ applied: testJobIds[0] });
+  });
+
+  test("forbidden for other users", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such job", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/jobs/0`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/jobs/:id */
+
+describe("GET /users/:username/jobs/:id", function () {
+  beforeEach(async function () {
+    await User.apply("u1", testJobIds[0]);
+  });
+
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      application: {
+        username: "u1",
+        jobId: testJobIds[0],
+        state: "applied",
+        history: [
+          {
+            fromState: null,
+            toState: "applied",
+            changedBy: "u1",
+            changedAt: expect.any(String),
+          },
+        ],
+      },
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("forbidden for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[0]}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[1]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  beforeEach(async function () {
+    await User.apply("u1", testJobIds[0]);
+  });
+
+  test("works for admin: move forward", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.application.state).toEqual("interviewing");
+    expect(resp.body.application.history[1]).toEqual({
+      fromState: "applied",
+      toState: "interviewing",
+      changedBy: "admin",
+      changedAt: expect.any(String),
+    });
+  });
+
+  test("works for same user: withdraw", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body.application.state).toEqual("withdrawn");
+  });
+
+  test("forbidden for applicant on admin-only move", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "offered" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(422);
+    expect(resp.body.detail).toEqual("Cannot move application from applied to offered");
+
+    const resp2 = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "interviewing" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp2.statusCode).toEqual(403);
+  });
+
+  test("admin-only moves need two-factor login if required", async function () {
+    config.REQUIRE_ADMIN_2FA = true;
+    try {
+      const token = createToken({ username: "u1", isAdmin: true, role: "admin" });
+      const resp = await request(app)
+          .patch(`/users/u1/jobs/${testJobIds[0]}`)
+          .send({ state: "interviewing" })
+          .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(403);
+    } finally {
+      config.REQUIRE_ADMIN_2FA = false;
+    }
+  });
+
+  test("forbidden for other users", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "withdrawn" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid state", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1/jobs/${testJobIds[0]}`)
+        .send({ state: "hired" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+        .patch(`/users/u2/jobs/${testJobIds[0]}`)
+        .send({ state: "withdrawn" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /users/:username/applications */
+
+describe("GET /users/:username/applications", function () {
+  beforeEach(async function () {
+    await User.apply("u1", testJobIds[0]);
+  });
+
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/applications`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          jobId: testJobIds[0],
+          state: "applied",
+          updatedAt: expect.any(String),
+          job: {
+            id: testJobIds[0],
+            title: "J1",
+            salary: 1,
+            equity: "0.1",
+            company: {
+              handle: "c1",
+              name: "C1",
+              description: "Desc1",
+              numEmployees: 1,
+              logoUrl: "http://c1.img",
+            },
+          },
+        },
+      ],
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applications.length).toEqual(1);
+  });
+
+  test("forbidden for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/applications`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .get(`/users/u1/applications`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+        .get(`/users/nope/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/jobs/:id */
+
+describe("DELETE /users/:username/jobs/:id", function () {
+  beforeEach(async function () {
+    await User.apply("u1", testJobIds[0]);
+  });
+
+  test("works for same user", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.body).toEqual({ withdrawn: testJobIds[0] });
+
+    const application = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(application.body.application.state).toEqual("withdrawn");
+  });
+
+  test("works: can apply again after withdrawing", async function () {
+    await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .post(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+
+    const application = await request(app)
+        .get(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(application.body.application.state).toEqual("applied");
+    expect(application.body.application.history[2]).toEqual({
+      fromState: "withdrawn",
+      toState: "applied",
+      changedBy: "u1",
+      changedAt: expect.any(String),
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ withdrawn: testJobIds[0] });
+  });
+
+  test("unprocessable if already withdrawn", async function () {
+    await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(422);
+  });
+
+  test("forbidden for other users", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[0]}`)
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[0]}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1/jobs/${testJobIds[1]}`)
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(404);
   });
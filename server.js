@@ -1,8 +1,71 @@
 "use strict";
 
+const { once } = require("events");
+
 const app = require("./app");
-const { PORT } = require("./config");
+const db = require("./db");
+const { PORT, SHUTDOWN_TIMEOUT_SECONDS } = require("./config");
+
+/** Start listening on port, once the database answers.
+ *
+ * Returns the http.Server.
+ *
+ * Throws an error if the database can't be reached, so the server doesn't
+ * start without it.
+ */
+
+async function start(port = PORT) {
+  try {
+    await db.query("SELECT 1");
+  } catch (err) {
+    throw new Error(`Cannot reach database: ${err.message}`);
+  }
+
+  const server = app.listen(port);
+  await once(server, "listening");
+  return server;
+}
+
+/** Stop server gracefully: fail readiness checks (see routes/health.js),
+ * stop accepting connections, let in-flight requests finish (cutting them
+ * off after timeoutSeconds), then close the database connections.
+ */
+
+async function shutdown(server, timeoutSeconds = SHUTDOWN_TIMEOUT_SECONDS) {
+  app.locals.shuttingDown = true;
+
+  const closed = new Promise(resolve => server.close(resolve));
+  // keep-alive connections go idle as their requests finish; close them then
+  const sweep = setInterval(() => server.closeIdleConnections(), 100);
+  server.closeIdleConnections();
+  const timer = setTimeout(() => server.closeAllConnections(), timeoutSeconds * 1000);
+
+  await closed;
+  clearInterval(sweep);
+  clearTimeout(timer);
+  await db.end();
+}
+
+if (require.main === module) {
+  start().then(function (server) {
+    console.log(`Started on http://localhost:${server.address().port}`);
+
+    for (const signal of ["SIGTERM", "SIGINT"]) {
+      process.once(signal, function () {
+        console.log(`${signal}: finishing requests and shutting down`);
+        shutdown(server).then(
+            () => process.exit(0),
+            (err) => {
+              console.error(err);
+              process.exit(1);
+            });
+      });
+    }
+  }).catch(function (err) {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
 
-app.listen(PORT, function () {
-  console.log(`Started on http://localhost:${PORT}`);
-});
+module.exports = { start, shutdown };
@@ -0,0 +1,56 @@
+"use strict";
+
+const http = require("http");
+
+const db = require("./db");
+const { start, shutdown } = require("./server");
+
+afterEach(function () {
+  jest.restoreAllMocks();
+});
+
+describe("start", function () {
+  test("fails if the database can't be reached", async function () {
+    jest.spyOn(db, "query").mockRejectedValueOnce(new Error("ECONNREFUSED"));
+    await expect(start(0)).rejects.toThrow("Cannot reach database: ECONNREFUSED");
+  });
+});
+
+describe("start and shutdown", function () {
+  test("in-flight requests finish before shutting down", async function () {
+    const server = await start(0);
+    const { port } = server.address();
+    // not logged in, so this fails without touching the database
+    const body = JSON.stringify({ handle: "new", name: "New" });
+
+    // a request whose body hasn't all arrived when shutdown starts
+    const response = new Promise((resolve, reject) => {
+      const req = http.request({
+        port,
+        method: "POST",
+        path: "/companies",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+        },
+      }, resolve);
+      req.on("error", reject);
+      req.write(body.slice(0, 10));
+      setTimeout(() => req.end(body.slice(10)), 100);
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    let done = false;
+    const stopped = shutdown(server).then(() => {
+      done = true;
+    });
+    expect(server.listening).toBeFalsy();
+    expect(done).toBeFalsy();
+
+    const resp = await response;
+    resp.resume();
+    expect(resp.statusCode).toEqual(401);
+    await stopped;
+    expect(done).toBeTruthy();
+  });
+});